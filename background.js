@@ -7,12 +7,68 @@
  * - Communication between popup and content scripts
  * - Tab management and content script injection
  * - Cross-tab messaging relay
+ * - Multi-page scraping by following "next page" links
+ * - Batch scraping of URL lists in background tabs
+ * - Drill-down: following link columns and scraping the linked pages
+ * - Scheduled recipe runs with chrome.alarms, snapshots and run history
+ * - Change monitoring: diffing each scheduled run against the previous one
+ * - Webhook delivery of scraped rows, from the popup and scheduled runs
+ * - Scraping columns that live in cross-origin iframes (see frames.js)
+ * - Request throttling: a cap on open background tabs and spacing between
+ *   page loads, both taken from the settings (see settings.js)
  * ============================================================================
  */
 
+// Shared with the popup: settings, frame scraping, recipes (which validate transforms), schedules, diffing and webhooks
+importScripts('settings.js', 'frames.js', 'transforms.js', 'diff.js', 'webhook.js', 'recipes.js', 'schedules.js');
+
+// How long to wait for the next page to finish loading before giving up
+const PAGINATION_LOAD_TIMEOUT = 30000;
+
+// Column added to every batch row, holding the URL the row came from
+const BATCH_SOURCE_COLUMN = 'Source URL';
+
+// Column added to child rows of a drill-down, holding the followed link
+const DRILL_DOWN_PARENT_COLUMN = 'Parent URL';
+
+// Drill-down limits used when a recipe doesn't set its own; as in recipes,
+// the timeout is in seconds and the delay in milliseconds
+const DRILL_DOWN_DEFAULTS = { maxDepth: 1, maxPages: 50, concurrency: 2, timeout: 45, retries: 1, delay: 1000 };
+
+// Page time limit, retries and settle delay for scheduled runs
+const SCHEDULE_SCRAPE_OPTIONS = { timeout: 60000, retries: 1, delay: 2000 };
+
+// Change alerts listed in one notification before "and N more"
+const NOTIFICATION_MAX_ALERTS = 3;
+
+// Notification IDs are this prefix plus the run ID
+const NOTIFICATION_RUN_PREFIX = 'schedule-run:';
+
 class WebScraperBackground {
   constructor() {
+    this.paginationJob = null;    // Running pagination crawl, if any
+    this.batchJob = null;         // Running batch scrape over a URL list, if any
+    this.drillDownJob = null;     // Running drill-down over followed links, if any
+    this.tabLoadWaiters = new Map(); // Tab ID -> callback for its next completed load
+    this.runningSchedules = new Set(); // IDs of schedules whose run is in progress
+    this.notificationIcon = null;  // Data URL of the notification icon, drawn once
+    this.settings = WebScraperSettings.defaults(); // Replaced by the stored settings once loaded
+    this.openTabCount = 0;        // Background tabs open for scraping
+    this.nextTabOpenAt = 0;       // Earliest time the next background tab may open
+    this.tabSlotWaiters = [];     // Callbacks of scrapes waiting for a tab slot
+    
     this.setupEventListeners();
+    this.loadSettings();
+  }
+
+  // ========================================================================
+  // SETTINGS
+  // Keep the settings current; waiting scrapes re-check the tab limit and
+  // request interval when they change
+  // ========================================================================
+  async loadSettings() {
+    this.settings = await WebScraperSettings.load();
+    this.wakeTabSlotWaiters();
   }
 
   // ========================================================================
@@ -23,6 +79,22 @@ class WebScraperBackground {
     // Handle extension installation/update
     chrome.runtime.onInstalled.addListener((details) => {
       this.handleInstallation(details);
+      this.syncScheduleAlarms();
+    });
+
+    // Alarms can be lost when the browser restarts; set missing ones again
+    chrome.runtime.onStartup.addListener(() => {
+      this.syncScheduleAlarms();
+    });
+
+    // Scheduled recipe runs
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      this.handleAlarm(alarm);
+    });
+
+    // Open the scraped page when a change alert is clicked
+    chrome.notifications.onClicked.addListener((notificationId) => {
+      this.handleNotificationClick(notificationId);
     });
 
     // Handle messages between content script and popup
@@ -34,6 +106,12 @@ class WebScraperBackground {
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       this.handleTabUpdate(tabId, changeInfo, tab);
     });
+
+    // Settings edited on the options page
+    WebScraperSettings.onChange((settings) => {
+      this.settings = settings;
+      this.wakeTabSlotWaiters();
+    });
   }
 
   // ========================================================================
@@ -45,11 +123,10 @@ class WebScraperBackground {
       // Set default storage values
       chrome.storage.local.set({
         selectedElements: [],                    // User's selected CSS selectors with column names
+        rowContainer: null,                      // Optional selector each scraped row lives in
+        recipes: [],                             // Saved scraping recipes (see recipes.js)
         scrapedData: [],                        // Previously scraped data
-        settings: {
-          autoDetectDynamicContent: true,       // Automatically detect AJAX content
-          defaultExportFormat: 'csv'            // Default file format for exports
-        }
+        settings: WebScraperSettings.defaults() // Options page settings (see settings.js)
       });
       
       console.log('Web Scraper Extension installed successfully');
@@ -76,6 +153,88 @@ class WebScraperBackground {
           .then(() => sendResponse({ success: true }))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true; // Keep message channel open for async response
+        
+      // Start following "next page" links in a tab
+      case 'startPagination':
+        this.startPagination(message.config)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
+        
+      // Stop the running pagination crawl
+      case 'stopPagination':
+        this.finishPagination('Stopped by user');
+        sendResponse({ success: true });
+        break;
+        
+      // Report whether a pagination crawl is running
+      case 'getPaginationState':
+        sendResponse({ running: Boolean(this.paginationJob) });
+        break;
+        
+      // Scrape a list of URLs in background tabs
+      case 'startBatch':
+        this.startBatch(message.config)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
+        
+      // Stop the running batch
+      case 'stopBatch':
+        this.finishBatch('Stopped by user');
+        sendResponse({ success: true });
+        break;
+        
+      // Report whether a batch is running
+      case 'getBatchState':
+        sendResponse({ running: Boolean(this.batchJob) });
+        break;
+        
+      // Follow the link columns of scraped rows
+      case 'startDrillDown':
+        this.startDrillDown(message.config)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
+        
+      // Stop the running drill-down, keeping the rows followed so far
+      case 'stopDrillDown':
+        if (this.drillDownJob) this.drillDownJob.cancelled = true;
+        sendResponse({ success: true });
+        break;
+        
+      // Report whether a drill-down is running
+      case 'getDrillDownState':
+        sendResponse({ running: Boolean(this.drillDownJob) });
+        break;
+        
+      // Create or update a schedule and (re)set its alarm
+      case 'saveSchedule':
+        this.saveSchedule(message.schedule)
+          .then(schedule => sendResponse({ success: true, schedule: schedule }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
+        
+      // Delete a schedule with its alarm, run history and snapshots
+      case 'deleteSchedule':
+        this.deleteSchedule(message.scheduleId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
+        
+      // Run a schedule right away, without waiting for its alarm
+      case 'runScheduleNow':
+        this.runSchedule(message.scheduleId)
+          .catch(error => console.error('Scheduled run error:', error));
+        sendResponse({ success: true });
+        break;
+        
+      // POST rows to a webhook; delivery goes on if the popup closes
+      case 'deliverWebhook':
+        this.deliverWebhook(message.rows, message.settings, message.context)
+          .then(entry => sendResponse({ success: true, entry: entry }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
     }
   }
 
@@ -89,7 +248,972 @@ class WebScraperBackground {
         tab.url && 
         !tab.url.startsWith('chrome://')) {
       this.ensureContentScriptInjected(tabId);
+      
+      // Continue the pagination crawl once its next page has loaded
+      if (this.paginationJob && this.paginationJob.tabId === tabId) {
+        this.handlePaginationPageLoaded(tab);
+      }
+      
+      // Wake up anyone waiting for this tab to load (batch tabs)
+      const waiter = this.tabLoadWaiters.get(tabId);
+      if (waiter) {
+        this.tabLoadWaiters.delete(tabId);
+        waiter();
+      }
+    }
+  }
+
+  // ========================================================================
+  // PAGINATION - START
+  // Scrape the current page, then keep clicking "next" and scraping until
+  // the page limit, a repeated URL, or a missing next link
+  // ========================================================================
+  async startPagination(config) {
+    if (this.paginationJob) {
+      throw new Error('Pagination is already running');
+    }
+    
+    const tab = await chrome.tabs.get(config.tabId);
+    
+    this.paginationJob = {
+      tabId: config.tabId,
+      config: config,
+      page: 0,                       // Pages scraped so far
+      data: [],                      // Rows from all pages
+      visitedUrls: new Set(),        // Used to detect loops
+      awaitingLoad: false,           // True between clicking "next" and the page load
+      loadTimeoutId: null
+    };
+    
+    // Run the first page without blocking the response to the popup
+    this.scrapePaginationPage(tab.url);
+  }
+
+  // ========================================================================
+  // PAGINATION - SCRAPE ONE PAGE
+  // Scrape the loaded page, append its rows, then click "next"
+  // ========================================================================
+  async scrapePaginationPage(url) {
+    const job = this.paginationJob;
+    if (!job) return;
+    
+    const { config } = job;
+    
+    try {
+      if (job.visitedUrls.has(url)) {
+        this.finishPagination(`Stopped at a repeated page (${url})`);
+        return;
+      }
+      job.visitedUrls.add(url);
+      job.page++;
+      
+      const response = await this.scrapeTab(job.tabId, config.elements, config.container);
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to scrape page');
+      }
+      
+      job.data.push(...response.data);
+      this.reportPaginationProgress(job);
+      
+      if (job.page >= config.maxPages) {
+        this.finishPagination(`Reached the maximum of ${config.maxPages} pages`);
+        return;
+      }
+      
+      const next = await chrome.tabs.sendMessage(job.tabId, {
+        action: 'clickNext',
+        selector: config.nextSelector,
+        type: config.nextType
+      }, { frameId: 0 });
+      
+      if (!next || !next.found) {
+        this.finishPagination('No next page link found');
+        return;
+      }
+      
+      if (next.href && job.visitedUrls.has(next.href)) {
+        this.finishPagination(`Stopped at a repeated page (${next.href})`);
+        return;
+      }
+      
+      // Wait for handleTabUpdate to report the next page as loaded
+      job.awaitingLoad = true;
+      job.loadTimeoutId = setTimeout(() => {
+        if (this.paginationJob === job) {
+          this.finishPagination('Next page did not load in time', true);
+        }
+      }, PAGINATION_LOAD_TIMEOUT);
+    } catch (error) {
+      console.error('Pagination error:', error);
+      if (this.paginationJob === job) {
+        this.finishPagination(`Error on page ${job.page}: ${error.message}`, true);
+      }
+    }
+  }
+
+  // ========================================================================
+  // PAGINATION - PAGE LOADED
+  // Called from handleTabUpdate when the crawled tab finishes loading
+  // ========================================================================
+  async handlePaginationPageLoaded(tab) {
+    const job = this.paginationJob;
+    if (!job || !job.awaitingLoad) return;
+    
+    job.awaitingLoad = false;
+    clearTimeout(job.loadTimeoutId);
+    
+    // Give dynamic content time to render before scraping
+    await this.ensureContentScriptInjected(tab.id);
+    await new Promise(resolve => setTimeout(resolve, Math.max(job.config.delay, this.settings.requestInterval)));
+    
+    // The crawl may have been stopped while waiting
+    if (this.paginationJob !== job) return;
+    
+    this.scrapePaginationPage(tab.url);
+  }
+
+  // ========================================================================
+  // PAGINATION - PROGRESS
+  // Persist progress and tell the popup (if open) how far along we are
+  // ========================================================================
+  reportPaginationProgress(job) {
+    const state = {
+      status: 'running',
+      page: job.page,
+      maxPages: job.config.maxPages,
+      rows: job.data.length
+    };
+    
+    chrome.storage.local.set({ paginationState: state });
+    chrome.runtime.sendMessage({ action: 'paginationProgress', state: state })
+      .catch(() => {});                          // Popup may be closed
+  }
+
+  // ========================================================================
+  // PAGINATION - FINISH
+  // Store the combined rows and report why the crawl ended
+  // ========================================================================
+  async finishPagination(reason, isError = false) {
+    const job = this.paginationJob;
+    if (!job) return;
+    
+    this.paginationJob = null;
+    clearTimeout(job.loadTimeoutId);
+    
+    const state = {
+      status: isError ? 'error' : 'complete',
+      page: job.page,
+      maxPages: job.config.maxPages,
+      rows: job.data.length,
+      reason: reason
+    };
+    
+    // Save results so the popup shows them even if it was closed meanwhile
+    await chrome.storage.local.set({ scrapedData: job.data, paginationState: state });
+    
+    chrome.runtime.sendMessage({ action: 'paginationComplete', state: state, data: job.data })
+      .catch(() => {});                          // Popup may be closed
+    
+    if (!isError && reason !== 'Stopped by user') {
+      this.startDrillDownIfNeeded(job.data, job.config.elements, job.config.drillDown);
+    }
+  }
+
+  // ========================================================================
+  // BATCH - START
+  // Queue the URLs and start up to `concurrency` workers, each scraping
+  // one URL at a time in its own background tab
+  // ========================================================================
+  async startBatch(config) {
+    if (this.batchJob) {
+      throw new Error('A batch is already running');
+    }
+    if (!Array.isArray(config.urls) || config.urls.length === 0) {
+      throw new Error('No URLs to scrape');
+    }
+    
+    const job = {
+      config: config,
+      queue: [...config.urls],      // URLs not started yet
+      total: config.urls.length,
+      done: 0,                      // URLs finished, successfully or not
+      data: [],                     // Rows from all URLs, tagged with their source
+      failures: [],                 // { url, error, attempts } for URLs that gave up
+      tabIds: new Set(),            // Tabs currently open for the batch
+      workers: 0
+    };
+    this.batchJob = job;
+    this.reportBatchProgress(job);
+    
+    // Run the workers without blocking the response to the popup
+    const workerCount = Math.min(config.concurrency, job.queue.length);
+    for (let i = 0; i < workerCount; i++) {
+      this.runBatchWorker(job);
+    }
+  }
+
+  // ========================================================================
+  // BATCH - WORKER
+  // Take URLs from the queue until it is empty or the batch is stopped
+  // ========================================================================
+  async runBatchWorker(job) {
+    job.workers++;
+    
+    while (this.batchJob === job && job.queue.length > 0) {
+      const url = job.queue.shift();
+      const result = await this.scrapeUrlWithRetries(url, job.config, job.tabIds, () => this.batchJob === job);
+      
+      if (this.batchJob !== job) return;
+      
+      if (result.error) {
+        job.failures.push({ url: url, error: result.error, attempts: result.attempts });
+      } else {
+        job.data.push(...result.rows.map(row => ({ ...row, [BATCH_SOURCE_COLUMN]: url })));
+      }
+      job.done++;
+      this.reportBatchProgress(job);
+    }
+    
+    job.workers--;
+    if (job.workers === 0 && this.batchJob === job) {
+      const failed = job.failures.length;
+      this.finishBatch(failed > 0 ? `${failed} URL${failed === 1 ? '' : 's'} failed` : 'All URLs scraped');
+    }
+  }
+
+  // ========================================================================
+  // SCRAPE URL WITH RETRIES
+  // Scrape a URL in a background tab, retrying failed attempts while the
+  // owning job is still active. Returns { rows } or { error, attempts }
+  // ========================================================================
+  async scrapeUrlWithRetries(url, config, tabIds, isActive) {
+    let lastError = null;
+    let attempts = 0;
+    
+    // First try plus the configured number of retries
+    while (attempts <= config.retries && isActive()) {
+      attempts++;
+      try {
+        return { rows: await this.scrapeUrlInTab(url, config, tabIds), attempts: attempts };
+      } catch (error) {
+        lastError = error;
+        console.warn(`Attempt ${attempts} failed for ${url}:`, error.message);
+      }
+    }
+    
+    return { rows: [], error: lastError ? lastError.message : 'Stopped', attempts: attempts };
+  }
+
+  // ========================================================================
+  // SCRAPE URL IN TAB
+  // Open the URL in a background tab, scrape it once loaded and close the
+  // tab. The whole attempt has a time limit. `config` holds elements,
+  // container, timeout and delay; open tab IDs are tracked in `tabIds`.
+  // The time limit starts once the tab is allowed to open
+  // ========================================================================
+  async scrapeUrlInTab(url, config, tabIds) {
+    await this.acquireTabSlot();
+    
+    try {
+      const tab = await chrome.tabs.create({ url: url, active: false });
+      tabIds.add(tab.id);
+      
+      let timeoutId;
+      const timeout = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`Timed out after ${config.timeout / 1000}s`)), config.timeout);
+      });
+      
+      try {
+        const scrape = (async () => {
+          await this.waitForTabLoad(tab.id);
+          await this.ensureContentScriptInjected(tab.id);
+          
+          // Give dynamic content time to render before scraping
+          await new Promise(resolve => setTimeout(resolve, config.delay));
+          
+          const response = await this.scrapeTab(tab.id, config.elements, config.container);
+          
+          if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to scrape page');
+          }
+          return response.data;
+        })();
+        
+        return await Promise.race([scrape, timeout]);
+      } finally {
+        clearTimeout(timeoutId);
+        this.tabLoadWaiters.delete(tab.id);
+        tabIds.delete(tab.id);
+        chrome.tabs.remove(tab.id).catch(() => {});   // May already be closed
+      }
+    } finally {
+      this.releaseTabSlot();
+    }
+  }
+
+  // ========================================================================
+  // SCRAPE TAB
+  // Scrape the page in a tab: the top frame, plus the columns that live in
+  // cross-origin frames (see frames.js)
+  // ========================================================================
+  async scrapeTab(tabId, elements, container) {
+    return WebScraperFrames.scrape(tabId, {
+      action: 'scrapeData',
+      elements: elements,
+      container: container
+    }, (message, frameId) => chrome.tabs.sendMessage(tabId, message, { frameId: frameId }));
+  }
+
+  // ========================================================================
+  // TAB SLOTS
+  // Throttle background scraping across batches, drill-downs and schedules:
+  // at most maxParallelTabs tabs open at once, and at least requestInterval
+  // ms between opening one tab and the next
+  // ========================================================================
+  async acquireTabSlot() {
+    while (this.openTabCount >= this.settings.maxParallelTabs || Date.now() < this.nextTabOpenAt) {
+      const full = this.openTabCount >= this.settings.maxParallelTabs;
+      await new Promise(resolve => {
+        this.tabSlotWaiters.push(resolve);
+        if (!full) setTimeout(resolve, this.nextTabOpenAt - Date.now());
+      });
+    }
+    
+    this.openTabCount++;
+    this.nextTabOpenAt = Date.now() + this.settings.requestInterval;
+  }
+
+  releaseTabSlot() {
+    this.openTabCount--;
+    this.wakeTabSlotWaiters();
+  }
+
+  // Let every waiting scrape check again whether it may open its tab
+  wakeTabSlotWaiters() {
+    const waiters = this.tabSlotWaiters;
+    this.tabSlotWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  // ========================================================================
+  // WAIT FOR TAB LOAD
+  // Resolve once a tab has finished loading (via handleTabUpdate)
+  // ========================================================================
+  async waitForTabLoad(tabId) {
+    const loaded = new Promise(resolve => this.tabLoadWaiters.set(tabId, resolve));
+    
+    // The load may already have completed before the waiter was registered
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete' && tab.url && tab.url !== 'about:blank') {
+      this.tabLoadWaiters.delete(tabId);
+      return;
+    }
+    
+    await loaded;
+  }
+
+  // ========================================================================
+  // BATCH - PROGRESS
+  // Persist progress and tell the popup (if open) how far along we are
+  // ========================================================================
+  reportBatchProgress(job) {
+    const state = {
+      status: 'running',
+      done: job.done,
+      total: job.total,
+      failed: job.failures.length,
+      rows: job.data.length,
+      failures: job.failures
+    };
+    
+    chrome.storage.local.set({ batchState: state });
+    chrome.runtime.sendMessage({ action: 'batchProgress', state: state })
+      .catch(() => {});                          // Popup may be closed
+  }
+
+  // ========================================================================
+  // BATCH - FINISH
+  // Close leftover tabs, store the combined rows and the failure log
+  // ========================================================================
+  async finishBatch(reason) {
+    const job = this.batchJob;
+    if (!job) return;
+    
+    this.batchJob = null;
+    job.tabIds.forEach(tabId => {
+      this.tabLoadWaiters.delete(tabId);
+      chrome.tabs.remove(tabId).catch(() => {});
+    });
+    
+    const state = {
+      status: job.failures.length > 0 && job.failures.length === job.done ? 'error' : 'complete',
+      done: job.done,
+      total: job.total,
+      failed: job.failures.length,
+      rows: job.data.length,
+      failures: job.failures,
+      reason: reason
+    };
+    
+    // Save results so the popup shows them even if it was closed meanwhile
+    await chrome.storage.local.set({ scrapedData: job.data, batchState: state });
+    
+    chrome.runtime.sendMessage({ action: 'batchComplete', state: state, data: job.data })
+      .catch(() => {});                          // Popup may be closed
+    
+    if (reason !== 'Stopped by user') {
+      this.startDrillDownIfNeeded(job.data, job.config.elements, job.config.drillDown);
+    }
+  }
+
+  // ========================================================================
+  // DRILL-DOWN - START
+  // Visit the links in "follow link" columns and scrape each linked page
+  // with the column's child selectors. Runs in the background, so it keeps
+  // going when the popup closes
+  // ========================================================================
+  async startDrillDown(config) {
+    if (this.drillDownJob) {
+      throw new Error('Links are already being followed');
+    }
+    if (!this.getFollowColumns(config.elements).length) {
+      throw new Error('No columns are set to follow links');
+    }
+    
+    const job = this.createDrillDownJob(config.options);
+    this.drillDownJob = job;
+    this.reportDrillDownProgress(job);
+    
+    // Follow the links without blocking the response to the popup
+    this.followLinks(job, config.rows, config.elements, 1)
+      .then(rows => this.finishDrillDown(job, rows))
+      .catch(error => {
+        console.error('Drill-down error:', error);
+        this.finishDrillDown(job, config.rows, error.message);
+      });
+  }
+
+  // ========================================================================
+  // DRILL-DOWN - JOB
+  // State of one drill-down run; only the popup-started run (this.drillDownJob)
+  // reports progress, scheduled runs follow links quietly. Takes the stored
+  // drill-down settings (timeout in seconds); the job keeps milliseconds
+  // ========================================================================
+  createDrillDownJob(settings) {
+    const options = { ...DRILL_DOWN_DEFAULTS, ...(settings || {}) };
+    
+    return {
+      options: { ...options, timeout: options.timeout * 1000 },
+      depth: 1,                     // Depth currently being visited
+      pages: 0,                     // Pages opened, counted against maxPages
+      done: 0,                      // Links finished, successfully or not
+      total: 0,                     // Links queued so far, over all depths
+      skipped: 0,                   // Links left out because of the page limit
+      failures: [],                 // { url, error, attempts }
+      tabIds: new Set(),
+      cancelled: false
+    };
+  }
+
+  // ========================================================================
+  // DRILL-DOWN - AUTOMATIC START
+  // Used after pagination and batch runs whose columns follow links
+  // ========================================================================
+  startDrillDownIfNeeded(rows, elements, options) {
+    if (rows.length === 0 || !this.getFollowColumns(elements).length) return;
+    
+    this.startDrillDown({ rows: rows, elements: elements, options: options })
+      .catch(error => console.error('Drill-down start error:', error));
+  }
+
+  // ========================================================================
+  // DRILL-DOWN - FOLLOW COLUMNS
+  // Columns that have child selectors to scrape on their linked page
+  // ========================================================================
+  getFollowColumns(elements) {
+    return (elements || []).filter(element =>
+      element.follow && element.follow.enabled &&
+      Array.isArray(element.follow.children) && element.follow.children.length > 0
+    );
+  }
+
+  // ========================================================================
+  // DRILL-DOWN - ONE LEVEL
+  // Scrape the links of one level of rows (recursing into child columns
+  // that follow links themselves, up to maxDepth), then merge the child
+  // fields into each parent row or emit them as child rows after it
+  // ========================================================================
+  async followLinks(job, rows, elements, depth) {
+    const followColumns = this.getFollowColumns(elements);
+    if (followColumns.length === 0 || depth > job.options.maxDepth) return rows;
+    
+    // One visit per column and link, even if several rows share the link
+    const tasks = new Map();
+    rows.forEach(row => {
+      followColumns.forEach(column => {
+        const url = this.toFollowUrl(row[column.columnName]);
+        const key = `${column.columnName}\n${url}`;
+        if (url && !tasks.has(key)) tasks.set(key, { column, url });
+      });
+    });
+    
+    job.depth = depth;
+    job.total += tasks.size;
+    this.reportDrillDownProgress(job);
+    
+    const results = new Map();
+    const queue = Array.from(tasks.entries());
+    const isActive = () => !job.cancelled;
+    
+    const worker = async () => {
+      while (queue.length > 0 && isActive()) {
+        const [key, { column, url }] = queue.shift();
+        
+        if (job.pages >= job.options.maxPages) {
+          job.skipped++;
+          job.done++;
+          continue;
+        }
+        job.pages++;
+        
+        const scrape = {
+          elements: column.follow.children,
+          container: column.follow.container || null,
+          timeout: job.options.timeout,
+          retries: job.options.retries,
+          delay: job.options.delay
+        };
+        const result = await this.scrapeUrlWithRetries(url, scrape, job.tabIds, isActive);
+        
+        if (result.error) {
+          job.failures.push({ url: url, error: result.error, attempts: result.attempts });
+        } else {
+          results.set(key, result.rows);
+        }
+        
+        job.done++;
+        this.reportDrillDownProgress(job);
+      }
+    };
+    
+    const workerCount = Math.max(1, Math.min(job.options.concurrency, queue.length));
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+    
+    // Go one level deeper one link at a time, so the tab limit still holds
+    for (const [key, childRows] of results) {
+      const { column } = tasks.get(key);
+      results.set(key, await this.followLinks(job, childRows, column.follow.children, depth + 1));
+    }
+    
+    // Put the child data next to the parent rows
+    const output = [];
+    rows.forEach(row => {
+      const merged = { ...row };
+      const childRows = [];
+      
+      followColumns.forEach(column => {
+        const url = this.toFollowUrl(row[column.columnName]);
+        const children = results.get(`${column.columnName}\n${url}`);
+        if (!children) return;
+        
+        if (column.follow.mode === 'rows') {
+          childRows.push(...children.map(child => ({ [DRILL_DOWN_PARENT_COLUMN]: url, ...child })));
+        } else {
+          // Merge the first match; child rows from a deeper level still follow.
+          // A child field never replaces a field of the row: it is renamed
+          // after the follow column instead, e.g. "Link: Title"
+          Object.entries(children[0] || {}).forEach(([key, value]) => {
+            merged[key in merged ? `${column.columnName}: ${key}` : key] = value;
+          });
+          childRows.push(...children.slice(1).filter(child => DRILL_DOWN_PARENT_COLUMN in child));
+        }
+      });
+      
+      output.push(merged, ...childRows);
+    });
+    
+    return output;
+  }
+
+  // ========================================================================
+  // DRILL-DOWN - LINK CHECK
+  // Absolute http(s) URL from a scraped link value, or null
+  // ========================================================================
+  toFollowUrl(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    
+    try {
+      const url = new URL(value.trim());
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ========================================================================
+  // DRILL-DOWN - PROGRESS
+  // Persist progress and tell the popup (if open) how far along we are
+  // ========================================================================
+  reportDrillDownProgress(job) {
+    if (this.drillDownJob !== job) return;
+    
+    const state = {
+      status: 'running',
+      depth: job.depth,
+      maxDepth: job.options.maxDepth,
+      done: job.done,
+      total: job.total,
+      pages: job.pages,
+      failed: job.failures.length,
+      failures: job.failures
+    };
+    
+    chrome.storage.local.set({ drillDownState: state });
+    chrome.runtime.sendMessage({ action: 'drillDownProgress', state: state })
+      .catch(() => {});                          // Popup may be closed
+  }
+
+  // ========================================================================
+  // DRILL-DOWN - FINISH
+  // Close leftover tabs and store the rows with their child data
+  // ========================================================================
+  async finishDrillDown(job, rows, error = null) {
+    if (this.drillDownJob !== job) return;
+    
+    this.drillDownJob = null;
+    job.tabIds.forEach(tabId => {
+      this.tabLoadWaiters.delete(tabId);
+      chrome.tabs.remove(tabId).catch(() => {});
+    });
+    
+    let reason = `Followed ${job.pages} link${job.pages === 1 ? '' : 's'}`;
+    if (job.cancelled) reason = `Stopped by user after ${job.pages} link${job.pages === 1 ? '' : 's'}`;
+    if (job.skipped > 0) reason += `, ${job.skipped} skipped (page limit ${job.options.maxPages})`;
+    if (job.failures.length > 0) reason += `, ${job.failures.length} failed`;
+    if (error) reason = `Drill-down failed: ${error}`;
+    
+    const state = {
+      status: error ? 'error' : 'complete',
+      depth: job.depth,
+      maxDepth: job.options.maxDepth,
+      done: job.done,
+      total: job.total,
+      pages: job.pages,
+      failed: job.failures.length,
+      failures: job.failures,
+      rows: rows.length,
+      reason: reason
+    };
+    
+    // Save results so the popup shows them even if it was closed meanwhile
+    await chrome.storage.local.set({ scrapedData: rows, drillDownState: state });
+    
+    chrome.runtime.sendMessage({ action: 'drillDownComplete', state: state, data: rows })
+      .catch(() => {});                          // Popup may be closed
+  }
+
+  // ========================================================================
+  // SCHEDULES - SAVE
+  // Create or update a schedule and (re)set its alarm
+  // ========================================================================
+  async saveSchedule(fields) {
+    const errors = WebScraperSchedules.validate(fields);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+    
+    const schedules = await WebScraperSchedules.load();
+    const index = schedules.findIndex(schedule => schedule.id === fields.id);
+    const schedule = index === -1
+      ? WebScraperSchedules.create(fields)
+      : { ...schedules[index], ...fields };
+    
+    if (index === -1) {
+      schedules.push(schedule);
+    } else {
+      schedules[index] = schedule;
+    }
+    
+    await WebScraperSchedules.save(schedules);
+    await this.setScheduleAlarm(schedule);
+    return schedule;
+  }
+
+  // ========================================================================
+  // SCHEDULES - DELETE
+  // Remove a schedule, its alarm, its run history and its snapshots
+  // ========================================================================
+  async deleteSchedule(scheduleId) {
+    const schedules = await WebScraperSchedules.load();
+    await WebScraperSchedules.save(schedules.filter(schedule => schedule.id !== scheduleId));
+    await chrome.alarms.clear(WebScraperSchedules.alarmName(scheduleId));
+    
+    const runs = await WebScraperSchedules.loadRuns();
+    const removed = runs.filter(run => run.scheduleId === scheduleId);
+    await chrome.storage.local.set({ scheduleRuns: runs.filter(run => run.scheduleId !== scheduleId) });
+    await chrome.storage.local.remove(removed.map(run => run.snapshotKey).filter(Boolean));
+  }
+
+  // ========================================================================
+  // SCHEDULES - ALARMS
+  // One alarm per enabled schedule, named after the schedule ID
+  // ========================================================================
+  async setScheduleAlarm(schedule) {
+    const name = WebScraperSchedules.alarmName(schedule.id);
+    await chrome.alarms.clear(name);
+    
+    if (schedule.enabled) {
+      await chrome.alarms.create(name, WebScraperSchedules.alarmInfo(schedule));
+    }
+  }
+
+  async syncScheduleAlarms() {
+    try {
+      const schedules = await WebScraperSchedules.load();
+      const alarms = await chrome.alarms.getAll();
+      const alarmNames = new Set(alarms.map(alarm => alarm.name));
+      const scheduleIds = new Set(schedules.map(schedule => schedule.id));
+      
+      // Alarms of deleted schedules
+      for (const alarm of alarms) {
+        const scheduleId = WebScraperSchedules.scheduleIdFromAlarm(alarm.name);
+        if (scheduleId && !scheduleIds.has(scheduleId)) {
+          await chrome.alarms.clear(alarm.name);
+        }
+      }
+      
+      // Enabled schedules without an alarm
+      for (const schedule of schedules) {
+        if (schedule.enabled && !alarmNames.has(WebScraperSchedules.alarmName(schedule.id))) {
+          await this.setScheduleAlarm(schedule);
+        }
+      }
+    } catch (error) {
+      console.error('Schedule alarm sync error:', error);
+    }
+  }
+
+  handleAlarm(alarm) {
+    const scheduleId = WebScraperSchedules.scheduleIdFromAlarm(alarm.name);
+    if (!scheduleId) return;
+    
+    this.runSchedule(scheduleId)
+      .catch(error => console.error('Scheduled run error:', error));
+  }
+
+  // ========================================================================
+  // SCHEDULES - RUN
+  // Scrape the schedule's URL with its recipe in a background tab (following
+  // links if the recipe does), store the rows as a snapshot and log the run
+  // ========================================================================
+  async runSchedule(scheduleId) {
+    if (this.runningSchedules.has(scheduleId)) {
+      console.warn(`Schedule ${scheduleId} is still running; skipping this run`);
+      return;
+    }
+    
+    const schedules = await WebScraperSchedules.load();
+    const schedule = schedules.find(entry => entry.id === scheduleId);
+    if (!schedule) {
+      await chrome.alarms.clear(WebScraperSchedules.alarmName(scheduleId));
+      return;
+    }
+    
+    const recipes = await WebScraperRecipes.load();
+    const recipe = recipes.find(entry => entry.id === schedule.recipeId);
+    const run = {
+      id: `${Date.now().toString()}-${Math.random().toString(36).slice(2, 8)}`,
+      scheduleId: schedule.id,
+      recipeName: recipe ? recipe.name : '(deleted recipe)',
+      url: schedule.url,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      status: 'running',
+      rows: 0,
+      error: null,
+      snapshotKey: null
+    };
+    
+    this.runningSchedules.add(scheduleId);
+    let data = [];
+    
+    try {
+      if (!recipe) {
+        throw new Error('The recipe for this schedule no longer exists');
+      }
+      
+      const { config } = recipe;
+      const scrape = {
+        elements: config.elements,
+        container: config.rowContainer,
+        ...SCHEDULE_SCRAPE_OPTIONS
+      };
+      const result = await this.scrapeUrlWithRetries(schedule.url, scrape, new Set(), () => true);
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      
+      data = result.rows;
+      if (this.getFollowColumns(config.elements).length > 0) {
+        data = await this.followLinks(this.createDrillDownJob(config.drillDown), data, config.elements, 1);
+      }
+      
+      run.status = 'success';
+      run.rows = data.length;
+      run.snapshotKey = `snapshot_${run.id}`;
+      
+      if (config.monitor && config.monitor.enabled) {
+        await this.compareWithPreviousRun(run, data, config);
+      }
+      
+      // A failed delivery is logged but doesn't fail the run
+      if (config.webhook && config.webhook.enabled && config.webhook.onSchedule) {
+        run.delivery = await this.deliverWebhook(
+          WebScraperDiff.transformRows(data, config.elements),
+          config.webhook,
+          { source: 'schedule', recipeName: recipe.name }
+        ).then(entry => entry.status, () => 'error');
+      }
+    } catch (error) {
+      run.status = 'error';
+      run.error = error.message;
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      this.runningSchedules.delete(scheduleId);
+      
+      await this.recordScheduleRun(run, data);
+      
+      // Daily alarms are one-off; set the next one unless the schedule changed meanwhile
+      const current = (await WebScraperSchedules.load()).find(entry => entry.id === scheduleId);
+      if (current && current.frequency === 'daily' && current.enabled) {
+        await this.setScheduleAlarm(current);
+      }
+    }
+  }
+
+  // ========================================================================
+  // MONITORING - COMPARE
+  // Diff a scheduled run against the schedule's last successful snapshot,
+  // note the counts on the run and raise a notification for matching alerts
+  // ========================================================================
+  async compareWithPreviousRun(run, data, config) {
+    const runs = await WebScraperSchedules.loadRuns();
+    const previousRun = runs.find(entry => entry.scheduleId === run.scheduleId && entry.status === 'success');
+    const snapshot = previousRun && await WebScraperSchedules.loadSnapshot(previousRun);
+    if (!snapshot) return;                       // First run: nothing to compare with
+    
+    const { monitor } = config;
+    const diff = WebScraperDiff.compare(
+      WebScraperDiff.transformRows(snapshot.data, config.elements),
+      WebScraperDiff.transformRows(data, config.elements),
+      monitor.keyColumns || []
+    );
+    const alerts = WebScraperDiff.evaluate(diff, monitor.conditions || [], monitor.keyColumns || []);
+    
+    run.changes = { added: diff.added, removed: diff.removed, changed: diff.changed };
+    run.alerts = alerts.map(alert => alert.message);
+    
+    if (alerts.length > 0 && monitor.notify !== false) {
+      await this.notifyChanges(run);
+    }
+  }
+
+  // ========================================================================
+  // MONITORING - NOTIFY
+  // ========================================================================
+  async notifyChanges(run) {
+    const shown = run.alerts.slice(0, NOTIFICATION_MAX_ALERTS);
+    const more = run.alerts.length - shown.length;
+    
+    try {
+      await chrome.notifications.create(`${NOTIFICATION_RUN_PREFIX}${run.id}`, {
+        type: 'basic',
+        iconUrl: await this.getNotificationIcon(),
+        title: `${run.recipeName}: ${run.alerts.length} change alert${run.alerts.length === 1 ? '' : 's'}`,
+        message: shown.join('\n') + (more > 0 ? `\n...and ${more} more` : ''),
+        contextMessage: run.url,
+        priority: 1
+      });
+    } catch (error) {
+      console.error('Notification error:', error);
+    }
+  }
+
+  // The extension ships no image files, so the icon is drawn once
+  async getNotificationIcon() {
+    if (this.notificationIcon) return this.notificationIcon;
+    
+    const canvas = new OffscreenCanvas(80, 80);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#4CAF50';
+    context.fillRect(0, 0, 80, 80);
+    context.font = '56px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText('🕷️', 40, 44);
+    
+    const bytes = new Uint8Array(await (await canvas.convertToBlob({ type: 'image/png' })).arrayBuffer());
+    this.notificationIcon = `data:image/png;base64,${btoa(String.fromCharCode(...bytes))}`;
+    return this.notificationIcon;
+  }
+
+  async handleNotificationClick(notificationId) {
+    if (!notificationId.startsWith(NOTIFICATION_RUN_PREFIX)) return;
+    
+    const runId = notificationId.slice(NOTIFICATION_RUN_PREFIX.length);
+    const run = (await WebScraperSchedules.loadRuns()).find(entry => entry.id === runId);
+    if (run) {
+      chrome.tabs.create({ url: run.url });
+    }
+    chrome.notifications.clear(notificationId);
+  }
+
+  // ========================================================================
+  // SCHEDULES - HISTORY
+  // Store the run (newest first) and its snapshot, dropping the oldest runs
+  // of the schedule beyond the history limit
+  // ========================================================================
+  async recordScheduleRun(run, data) {
+    if (run.snapshotKey) {
+      await chrome.storage.local.set({
+        [run.snapshotKey]: {
+          runId: run.id,
+          scheduleId: run.scheduleId,
+          url: run.url,
+          takenAt: run.finishedAt,
+          data: data
+        }
+      });
+    }
+    
+    const runs = [run, ...await WebScraperSchedules.loadRuns()];
+    const ownRuns = runs.filter(entry => entry.scheduleId === run.scheduleId);
+    const dropped = new Set(ownRuns.slice(SCHEDULE_HISTORY_LIMIT));
+    
+    await chrome.storage.local.set({ scheduleRuns: runs.filter(entry => !dropped.has(entry)) });
+    await chrome.storage.local.remove([...dropped].map(entry => entry.snapshotKey).filter(Boolean));
+    
+    chrome.runtime.sendMessage({ action: 'scheduleRunComplete', run: run })
+      .catch(() => {});                          // Popup may be closed
+  }
+
+  // ========================================================================
+  // WEBHOOK DELIVERY
+  // POST rows to the endpoint, log the delivery and tell the popup
+  // ========================================================================
+  async deliverWebhook(rows, settings, context) {
+    const errors = WebScraperWebhook.validate(settings);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
     }
+    
+    const entry = await WebScraperWebhook.deliver(rows, settings, context);
+    await WebScraperWebhook.appendLog(entry);
+    
+    chrome.runtime.sendMessage({ action: 'webhookDelivered', entry: entry })
+      .catch(() => {});                          // Popup may be closed
+    return entry;
   }
 
   // ========================================================================
@@ -99,8 +1223,8 @@ class WebScraperBackground {
   async injectContentScript(tabId) {
     try {
       await chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        files: ['content.js']                   // The file that handles element selection
+        target: { tabId: tabId, allFrames: true },
+        files: ['settings.js', 'structured-data.js', 'selector-generator.js', 'content.js']   // Settings + structured data reader + selector generator + element selection
       });
     } catch (error) {
       console.error('Failed to inject content script:', error);
@@ -115,7 +1239,7 @@ class WebScraperBackground {
   async ensureContentScriptInjected(tabId) {
     try {
       // Test if content script is already present by sending a ping
-      const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' }, { frameId: 0 });
     } catch (error) {
       // Content script not present, inject it
       await this.injectContentScript(tabId);
@@ -3,13 +3,51 @@
  * UNIVERSAL WEB SCRAPER - CONTENT SCRIPT
  * ============================================================================
  * This file handles all interactions with web pages:
- * - Element selection (point-and-click)
+ * - Element selection (point-and-click, or arrow keys and Enter); Shift
+ *   leaves a column match out of its column instead
  * - Data scraping from selected elements
- * - CSS selector and XPath generation
+ * - CSS selector and XPath generation (ranked alternatives, see
+ *   selector-generator.js)
  * - Communication with popup interface
+ * - Re-scraping when the page changes after a scrape from the popup
+ * - Column colors and labels on the page, and the row hovered in the preview
+ * - Open shadow roots and same-origin iframes (deep selectors, see below)
+ *
+ * The script runs in every frame. Elements inside open shadow roots and
+ * same-origin iframes get deep selectors that the top frame resolves: one
+ * selector per level, separated by " >>> ", e.g. "product-card >>> .price"
+ * or "iframe#reviews >>> li.review". Elements in a cross-origin frame get
+ * selectors for that frame's document; the popup scrapes them by messaging
+ * the frame (see frames.js).
  * ============================================================================
  */
 
+// Quiet time after the last DOM change before re-scraping
+const RESCRAPE_DEBOUNCE = 1000;
+
+// Quiet time after the last DOM change before re-applying highlights
+const HIGHLIGHT_REFRESH_DEBOUNCE = 150;
+
+// Selector alternatives listed in the hover tooltip, besides the one a click adds
+const TOOLTIP_ALTERNATIVES = 3;
+
+// Most column badges drawn at once; only matches in view get one
+const MAX_COLUMN_BADGES = 300;
+
+// Ancestor levels shown in the tooltip breadcrumb, the element included
+const BREADCRUMB_LEVELS = 6;
+
+// Selection mode keys: move the highlight to a related element
+const NAVIGATION_KEYS = {
+  ArrowUp: 'parent',
+  ArrowDown: 'child',
+  ArrowLeft: 'previous',
+  ArrowRight: 'next'
+};
+
+// Separates the levels of a deep selector (shadow host or frame, then inside it)
+const DEEP_SELECTOR_SEPARATOR = ' >>> ';
+
 class WebScraperContent {
   constructor() {
     // ====================================================================
@@ -18,13 +56,127 @@ class WebScraperContent {
     // ====================================================================
     this.isSelectionMode = false;        // Whether user can select elements
     this.highlightedElement = null;      // Currently hovered element
-    this.selectedElements = new Set();   // Set of selected CSS selectors
+    this.columns = [];                   // Popup columns scraped in this frame, with their color index
+    this.columnRows = [];                // Elements of each scraped row, one entry per column (or null)
+    this.hoveredRow = null;              // Row highlighted from the popup preview
+    this.badgeFrameId = null;            // Pending animation frame that redraws the column badges
+    this.rowContainer = null;            // Optional { selector, type } each row lives in
+    this.isSimilarMode = false;          // Whether clicks collect samples for a common selector
+    this.similarSamples = [];            // Sample elements clicked in similar mode
+    this.similarSelector = null;         // Common selector generalized from the samples
+    this.pickTarget = null;              // Set while the next click picks a control (e.g. 'nextPage')
+    this.resumeSelectionAfterPick = false; // Whether selection mode was on before picking
+    this.isAutoLoading = false;          // Whether the scroll / "load more" phase is running
+    this.autoLoadCancelled = false;      // Set by the popup to stop the auto-load phase
+    this.detectedTables = [];            // Data tables found by the last detectTables, by index
     this.mutationObserver = null;        // Watches for DOM changes
+    this.settings = WebScraperSettings.defaults(); // Replaced by the stored settings once loaded
+    this.watchedScrape = null;           // { elements, container, signature } re-scraped on DOM changes
+    this.rescrapeTimeoutId = null;       // Pending debounced re-scrape
+    this.highlightRefreshTimeoutId = null; // Pending debounced highlight refresh
+    this.similarMatches = [];            // Elements highlighted as matches of the similar selector
+    this.styledRoots = new Set();        // Shadow roots and frame documents given copies of our styles
+    this.breadcrumb = [];                // Elements behind the tooltip breadcrumb, top first
     
     // Initialize the content script
     this.initializeStyles();
     this.attachEventListeners();
     this.setupMutationObserver();
+    this.loadSettings();
+  }
+
+  // ======================================================================
+  // SETTINGS
+  // Load the options page settings and follow changes made while the page
+  // is open
+  // ======================================================================
+  async loadSettings() {
+    this.settings = await WebScraperSettings.load();
+    this.applyHighlightColors();
+
+    WebScraperSettings.onChange((settings) => {
+      this.settings = settings;
+      this.applyHighlightColors();
+      if (!settings.autoDetectDynamicContent) {
+        clearTimeout(this.rescrapeTimeoutId);
+      }
+    });
+  }
+
+  // ======================================================================
+  // HIGHLIGHT COLORS
+  // Override the default highlight colors with the configured ones. The
+  // extra `html` (or `:host` inside shadow roots) raises specificity above
+  // the base !important rules
+  // ======================================================================
+  applyHighlightColors() {
+    let style = document.getElementById('web-scraper-colors');
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'web-scraper-colors';
+      document.head.appendChild(style);
+    }
+
+    const rule = (className, color) => `
+      html .${className}, :host .${className} {
+        outline-color: ${color} !important;
+        background-color: ${this.toTranslucent(color, 0.1)} !important;
+      }`;
+
+    // Column colors come last, so a clicked element shows its column's color
+    // once the popup has added it
+    style.textContent = [
+      rule('web-scraper-highlight', this.settings.hoverColor),
+      rule('web-scraper-selected', this.settings.selectedColor),
+      rule('web-scraper-similar', this.settings.similarColor),
+      ...Array.from({ length: COLUMN_COLORS.length + 1 }, (_, index) =>
+        rule(`web-scraper-column-${index}`, WebScraperSettings.columnColor(this.settings, index)))
+    ].join('\n');
+    
+    this.scheduleBadges();
+
+    this.styledRoots.forEach(root => this.copyStyle(style, root));
+  }
+
+  // ======================================================================
+  // STYLES IN SHADOW ROOTS AND FRAMES
+  // Page styles don't reach into shadow roots, and a same-origin frame
+  // highlighted from its parent may not have our styles yet; give each
+  // such root its own copy the first time something in it is highlighted
+  // ======================================================================
+  ensureStyles(root) {
+    if (root === document || this.styledRoots.has(root)) return;
+    if (root.nodeType !== Node.DOCUMENT_FRAGMENT_NODE && root.nodeType !== Node.DOCUMENT_NODE) return;
+
+    this.styledRoots.add(root);
+    ['web-scraper-styles', 'web-scraper-colors'].forEach(id => {
+      const style = document.getElementById(id);
+      if (style) this.copyStyle(style, root);
+    });
+  }
+
+  // Add or update the copy of one of our <style> elements in a root
+  copyStyle(style, root) {
+    const copy = root.getElementById(style.id);
+    if (copy) {
+      copy.textContent = style.textContent;
+      return;
+    }
+
+    const parent = root.nodeType === Node.DOCUMENT_NODE ? (root.head || root.documentElement) : root;
+    parent.appendChild(style.cloneNode(true));
+  }
+
+  // Highlight an element, wherever it lives
+  addHighlight(element, className) {
+    this.ensureStyles(element.getRootNode());
+    element.classList.add(className);
+  }
+
+  // "#rrggbb" -> "rgba(r, g, b, alpha)"
+  toTranslucent(hex, alpha) {
+    const [r, g, b] = [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
   }
 
   // ======================================================================
@@ -54,9 +206,61 @@ class WebScraperContent {
         background-color: rgba(76, 175, 80, 0.1) !important;
       }
       
+      /* Similar match highlight - orange border */
+      .web-scraper-similar {
+        outline: 2px dashed #ff9800 !important;
+        outline-offset: 2px !important;
+        background-color: rgba(255, 152, 0, 0.1) !important;
+      }
+      
+      /* Column match; the color comes from its web-scraper-column-N class */
+      .web-scraper-column {
+        outline: 2px solid #4caf50 !important;
+        outline-offset: 2px !important;
+      }
+      
+      /* Elements of the row hovered in the popup preview */
+      .web-scraper-column.web-scraper-row {
+        outline-width: 4px !important;
+        box-shadow: 0 0 0 8px rgba(0, 0, 0, 0.2) !important;
+      }
+      
+      /* Column name and row number on each match */
+      .web-scraper-badges {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 0;
+        height: 0;
+        z-index: 9999;
+        pointer-events: none;
+      }
+      
+      .web-scraper-badge {
+        position: fixed;
+        padding: 0 4px;
+        border-radius: 2px;
+        color: white;
+        font: bold 10px/14px monospace;
+        white-space: nowrap;
+        opacity: 0.9;
+      }
+      
+      .web-scraper-badge.web-scraper-row {
+        opacity: 1;
+        outline: 1px solid white;
+      }
+      
+      /* Detected table hovered in the popup - purple border */
+      .web-scraper-table {
+        outline: 3px solid #9c27b0 !important;
+        outline-offset: 2px !important;
+        background-color: rgba(156, 39, 176, 0.06) !important;
+      }
+      
       /* Tooltip for element information */
       .web-scraper-tooltip {
-        position: absolute;
+        position: fixed;
         background: #333;
         color: white;
         padding: 4px 8px;
@@ -64,13 +268,41 @@ class WebScraperContent {
         font-size: 12px;
         font-family: monospace;
         z-index: 10000;
-        pointer-events: none;
-        white-space: nowrap;
-        max-width: 300px;
+        max-width: 480px;
+        cursor: default;
+      }
+      
+      .web-scraper-tooltip > div {
+        white-space: pre;
         overflow: hidden;
         text-overflow: ellipsis;
       }
       
+      /* Ancestor breadcrumb: click a level to move the highlight there */
+      .web-scraper-crumb {
+        color: #90caf9;
+        cursor: pointer;
+      }
+      
+      .web-scraper-crumb:hover {
+        text-decoration: underline;
+      }
+      
+      .web-scraper-crumb.current {
+        color: white;
+        font-weight: bold;
+      }
+      
+      .web-scraper-tooltip-selection {
+        color: #a5d6a7;
+      }
+      
+      .web-scraper-tooltip-keys {
+        margin-top: 2px;
+        color: #aaa;
+        font-size: 10px;
+      }
+      
       /* Selection mode overlay */
       .web-scraper-overlay {
         position: fixed;
@@ -92,10 +324,15 @@ class WebScraperContent {
   // ======================================================================
   setupMutationObserver() {
     this.mutationObserver = new MutationObserver((mutations) => {
-      // Re-apply selection highlights if elements are added/removed
-      if (this.isSelectionMode) {
-        setTimeout(() => this.updateHighlights(), 100);
+      // Our own tooltip, overlay and styles coming and going are not page changes
+      if (mutations.every(mutation => this.isOwnMutation(mutation))) return;
+
+      // Re-apply selection and column highlights if elements are added/removed
+      if (this.isSelectionMode || this.columns.length > 0) {
+        this.scheduleHighlightRefresh();
       }
+
+      this.scheduleRescrape();
     });
 
     // Monitor changes to the page content
@@ -106,6 +343,54 @@ class WebScraperContent {
     });
   }
 
+  // Whether a mutation only adds or removes the extension's own elements
+  isOwnMutation(mutation) {
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length > 0 && nodes.every(node =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      (node.id.startsWith('web-scraper-') ||
+        Array.from(node.classList).some(cls => cls.startsWith('web-scraper-'))));
+  }
+
+  // ======================================================================
+  // DYNAMIC CONTENT - RE-SCRAPE
+  // After a scrape from the popup, scrape again once the DOM has been quiet
+  // for a moment and send the rows to the popup if they changed. Watching
+  // stops when the popup is closed or no longer wants updates
+  // ======================================================================
+  scheduleRescrape() {
+    if (!this.watchedScrape || !this.settings.autoDetectDynamicContent || this.isAutoLoading) return;
+
+    clearTimeout(this.rescrapeTimeoutId);
+    this.rescrapeTimeoutId = setTimeout(() => this.rescrape(), RESCRAPE_DEBOUNCE);
+  }
+
+  async rescrape() {
+    const watched = this.watchedScrape;
+    if (!watched || !this.settings.autoDetectDynamicContent) return;
+
+    const result = this.scrapeData(watched.elements, watched.container);
+    if (!result.success) return;
+
+    const signature = JSON.stringify(result.data);
+    if (signature === watched.signature) return;
+    watched.signature = signature;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'pageDataChanged', data: result.data });
+      if (!response || !response.watching) this.stopWatching(watched);
+    } catch (error) {
+      // No popup to receive the rows
+      this.stopWatching(watched);
+    }
+  }
+
+  stopWatching(watched) {
+    if (this.watchedScrape !== watched) return;
+    this.watchedScrape = null;
+    clearTimeout(this.rescrapeTimeoutId);
+  }
+
   // ======================================================================
   // EVENT LISTENERS SETUP
   // Set up communication and interaction handlers
@@ -113,18 +398,21 @@ class WebScraperContent {
   attachEventListeners() {
     // Listen for messages from popup interface
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message, sender, sendResponse);
+      return this.handleMessage(message, sender, sendResponse);
     });
 
     // Mouse event handlers for element selection
     this.mouseMoveHandler = (e) => this.handleMouseMove(e);
     this.clickHandler = (e) => this.handleClick(e);
     this.mouseLeaveHandler = () => this.clearHighlight();
+    this.keyDownHandler = (e) => this.handleKeyDown(e);
+    this.badgeHandler = () => this.scheduleBadges();
   }
 
   // ======================================================================
   // MESSAGE HANDLER
-  // Process commands from the popup interface
+  // Process commands from the popup interface. Returns true for actions
+  // that respond asynchronously, to keep the message channel open
   // ======================================================================
   handleMessage(message, sender, sendResponse) {
     try {
@@ -141,7 +429,17 @@ class WebScraperContent {
           
         // Enable point-and-click element selection
         case 'enableSelection':
+          this.rowContainer = message.container || null;
+          this.setSimilarMode(Boolean(message.similar));
           this.enableSelectionMode();
+          this.renderColumns();
+          sendResponse({ success: true });
+          break;
+          
+        // Update the row container used for relative selectors
+        case 'setRowContainer':
+          this.rowContainer = message.container || null;
+          this.renderColumns();
           sendResponse({ success: true });
           break;
           
@@ -151,15 +449,90 @@ class WebScraperContent {
           sendResponse({ success: true });
           break;
           
-        // Test a CSS selector or XPath and return match count
+        // Let the next click pick a control such as the "next page" link
+        case 'pickElement':
+          this.startPick(message.target);
+          sendResponse({ success: true });
+          break;
+          
+        // Click the "next page" control for the pagination crawler
+        case 'clickNext':
+          sendResponse(this.clickNextPage(message.selector, message.type));
+          break;
+          
+        // Scroll or click "load more" until no new items appear
+        case 'autoLoad':
+          this.autoLoad(message.options, message.elements, message.container)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+          
+        // Stop the running auto-load phase
+        case 'cancelAutoLoad':
+          this.autoLoadCancelled = true;
+          sendResponse({ success: true });
+          break;
+          
+        // Drop collected samples and start a new similar selection
+        case 'resetSimilar':
+          this.resetSimilarSelection();
+          sendResponse({ success: true });
+          break;
+          
+        // Collect JSON-LD, Microdata, RDFa, OpenGraph and Twitter data
+        case 'extractStructuredData':
+          sendResponse({
+            success: true,
+            items: StructuredDataExtractor.collect().map(({ source, type, fields, element }) => ({
+              source, type, fields, scoped: Boolean(element)
+            }))
+          });
+          break;
+          
+        // Find the data tables on the page
+        case 'detectTables':
+          sendResponse({ success: true, tables: this.detectTables() });
+          break;
+          
+        // Color and label the popup's columns on the page
+        case 'showColumns':
+          this.showColumns(message.elements || []);
+          sendResponse({ success: true });
+          break;
+          
+        // Outline the elements of a row hovered in the popup preview
+        case 'highlightRow':
+          this.highlightRow(message.index);
+          sendResponse({ success: true });
+          break;
+          
+        // Outline a detected table (index null clears the outline)
+        case 'highlightTable':
+          this.highlightTable(message.index);
+          sendResponse({ success: true });
+          break;
+          
+        // Turn a detected table into a row container and columns
+        case 'importTable':
+          sendResponse(this.importTable(message.index));
+          break;
+          
+        // Test a CSS selector or XPath and return match count, exclusions left out
         case 'testSelector':
-          const result = this.testSelector(message.selector, message.type);
+          const result = this.testSelector(message.selector, message.type, message.structured, message.exclude);
           sendResponse(result);
           break;
           
-        // Scrape data using provided selectors
+        // Scrape data using provided selectors; `watch` re-scrapes on page changes
         case 'scrapeData':
-          const scrapedData = this.scrapeData(message.elements);
+          const scrapedData = this.scrapeData(message.elements, message.container);
+          if (message.watch && scrapedData.success) {
+            this.watchedScrape = {
+              elements: message.elements,
+              container: message.container,
+              signature: JSON.stringify(scrapedData.data)
+            };
+          }
           sendResponse(scrapedData);
           break;
           
@@ -183,12 +556,16 @@ class WebScraperContent {
     document.addEventListener('mousemove', this.mouseMoveHandler);
     document.addEventListener('click', this.clickHandler);
     document.addEventListener('mouseleave', this.mouseLeaveHandler);
+    // Capture phase, before page shortcuts see the keys
+    document.addEventListener('keydown', this.keyDownHandler, true);
     
     // Add visual overlay to indicate selection mode
-    const overlay = document.createElement('div');
-    overlay.className = 'web-scraper-overlay';
-    overlay.id = 'web-scraper-overlay';
-    document.body.appendChild(overlay);
+    if (!document.getElementById('web-scraper-overlay')) {
+      const overlay = document.createElement('div');
+      overlay.className = 'web-scraper-overlay';
+      overlay.id = 'web-scraper-overlay';
+      document.body.appendChild(overlay);
+    }
     
     // Change cursor to crosshair
     document.body.style.cursor = 'crosshair';
@@ -205,6 +582,7 @@ class WebScraperContent {
     document.removeEventListener('mousemove', this.mouseMoveHandler);
     document.removeEventListener('click', this.clickHandler);
     document.removeEventListener('mouseleave', this.mouseLeaveHandler);
+    document.removeEventListener('keydown', this.keyDownHandler, true);
     
     // Remove visual overlay
     const overlay = document.getElementById('web-scraper-overlay');
@@ -212,6 +590,7 @@ class WebScraperContent {
     
     // Reset cursor and clear highlights
     this.clearHighlight();
+    this.resetSimilarSelection();
     document.body.style.cursor = '';
   }
 
@@ -222,11 +601,119 @@ class WebScraperContent {
   handleMouseMove(e) {
     if (!this.isSelectionMode) return;
     
-    // Get element under mouse cursor
-    const element = document.elementFromPoint(e.clientX, e.clientY);
-    if (element && element !== this.highlightedElement) {
-      this.highlightElement(element, e.clientX, e.clientY);
+    // Get element under mouse cursor, inside open shadow roots too
+    const element = this.getElementFromPoint(e.clientX, e.clientY);
+    
+    // Hovering the tooltip keeps the highlight, so its breadcrumb can be clicked
+    if (!element || element.closest('#web-scraper-tooltip')) return;
+    
+    if (element !== this.highlightedElement) {
+      this.highlightElement(element);
+    }
+  }
+
+  // ======================================================================
+  // KEYBOARD NAVIGATION
+  // Arrow keys move the highlight to the parent (up), first child (down)
+  // or a sibling (left / right); Enter selects the highlighted element like
+  // a click (Shift+Enter like a Shift+click), Escape cancels selection mode
+  // or a pending pick
+  // ======================================================================
+  handleKeyDown(e) {
+    if (!this.isSelectionMode) return;
+    
+    // Leave keys typed into form fields alone
+    const target = this.getEventTarget(e);
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+    
+    if (e.key === 'Escape') {
+      this.cancelSelection();
+    } else if (e.key === 'Enter' && this.highlightedElement) {
+      this.selectElement(this.highlightedElement, e.shiftKey);
+    } else if (NAVIGATION_KEYS[e.key] && this.highlightedElement) {
+      const next = this.getRelatedElement(this.highlightedElement, NAVIGATION_KEYS[e.key]);
+      if (next) {
+        next.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        this.highlightElement(next);
+      }
+    } else {
+      return;
+    }
+    
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  // Parent, first child or sibling of an element, skipping the extension's
+  // own and invisible elements; parents and children cross shadow roots
+  getRelatedElement(element, direction) {
+    const isCandidate = el => el && !this.isOwnElement(el) && !['SCRIPT', 'STYLE', 'TEMPLATE', 'LINK', 'META'].includes(el.tagName);
+    let candidate;
+    
+    switch (direction) {
+      case 'parent':
+        candidate = element.parentElement || element.getRootNode().host || null;
+        return candidate && candidate !== document.body && candidate !== document.documentElement ? candidate : null;
+      case 'child':
+        return Array.from((element.shadowRoot || element).children).find(isCandidate) || null;
+      case 'next':
+      case 'previous':
+        candidate = element;
+        do {
+          candidate = direction === 'next' ? candidate.nextElementSibling : candidate.previousElementSibling;
+        } while (candidate && !isCandidate(candidate));
+        return candidate;
+      default:
+        return null;
+    }
+  }
+
+  // Whether an element is one the extension added (tooltip, overlay, styles)
+  isOwnElement(element) {
+    return Boolean(element.id && element.id.startsWith('web-scraper-'));
+  }
+
+  // ======================================================================
+  // SELECTION MODE - CANCEL
+  // Escape: stop a pending pick, or leave selection mode. The popup is told
+  // so it can turn selection off in every frame
+  // ======================================================================
+  cancelSelection() {
+    const target = this.pickTarget;
+    
+    if (target) {
+      this.pickTarget = null;
+      if (!this.resumeSelectionAfterPick) {
+        this.disableSelectionMode();
+      }
+    } else {
+      this.disableSelectionMode();
+    }
+    
+    chrome.runtime.sendMessage({ action: 'selectionCancelled', target: target });
+  }
+
+  // ======================================================================
+  // ELEMENT LOOKUP
+  // Element at a point, descending into open shadow roots (the document
+  // only reports their host)
+  // ======================================================================
+  getElementFromPoint(x, y) {
+    let element = document.elementFromPoint(x, y);
+    
+    while (element && element.shadowRoot) {
+      const inner = element.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === element) break;
+      element = inner;
     }
+    
+    return element;
+  }
+
+  // Element an event happened on; e.target is retargeted to the shadow host
+  getEventTarget(e) {
+    const [target] = e.composedPath();
+    return target && target.nodeType === Node.ELEMENT_NODE ? target : e.target;
   }
 
   // ======================================================================
@@ -240,194 +727,1206 @@ class WebScraperContent {
     e.preventDefault();
     e.stopPropagation();
     
-    const element = e.target;
-    const cssSelector = this.generateCSSSelector(element);
-    const xpath = this.generateXPath(element);
+    const element = this.getEventTarget(e);
+    
+    // Clicks on the tooltip move the highlight to a breadcrumb level
+    if (element.closest('#web-scraper-tooltip')) {
+      const crumb = element.closest('.web-scraper-crumb');
+      const level = crumb ? this.breadcrumb[Number(crumb.dataset.index)] : null;
+      if (level && level.isConnected) this.highlightElement(level);
+      return;
+    }
+    
+    this.selectElement(element, e.shiftKey);
+  }
+
+  // ======================================================================
+  // ELEMENT SELECTION
+  // Pick, collect a similar sample, add a column or (with Shift) exclude a
+  // column match for an element chosen by click or Enter
+  // ======================================================================
+  selectElement(element, exclude = false) {
+    // A pending pick consumes this click instead of adding a column
+    if (this.pickTarget) {
+      this.finishPick(element);
+      return;
+    }
+    
+    // In similar mode clicks only collect samples until the popup adds the column
+    if (this.isSimilarMode) {
+      this.toggleSimilarSample(element);
+      return;
+    }
+    
+    if (exclude) {
+      this.excludeElement(element);
+      return;
+    }
+    
+    const containerElement = this.findRowContainer(element);
+    const alternatives = this.generateAlternatives(element, containerElement);
+    const { cssSelector, count } = this.getColumnSelector(element, containerElement);
+    const xpath = this.generateDeepXPath(element);
     
-    // Send selected element info to popup
+    // Send selected element info to popup; `frame` is set in cross-origin frames
     chrome.runtime.sendMessage({
       action: 'elementSelected',
       cssSelector: cssSelector,
       xpath: xpath,
+      count: count,
+      relative: Boolean(containerElement),
+      alternatives: alternatives,
+      frame: this.getFrameAddress(),
       tagName: element.tagName.toLowerCase(),
       textContent: element.textContent?.substring(0, 50) || ''
     });
     
-    // Mark element as selected visually
-    element.classList.add('web-scraper-selected');
-    this.selectedElements.add(cssSelector);
+    // Mark element as selected visually until the popup sends the new columns
+    this.addHighlight(element, 'web-scraper-selected');
+  }
+
+  // Selector a click adds for an element, with its match count
+  getColumnSelector(element, containerElement) {
+    if (containerElement) {
+      // Inside a row container: select relative to it so it works for every row
+      const cssSelector = this.generateRelativeSelector(element, containerElement);
+      return { cssSelector, count: this.countContainerMatches(cssSelector) };
+    }
+    
+    const cssSelector = this.generateDeepCSSSelector(element);
+    return { cssSelector, count: this.queryElements(cssSelector, 'css', this.getSelectorRoot()).length };
   }
 
   // ======================================================================
-  // ELEMENT HIGHLIGHTING
-  // Show visual highlight and tooltip for hovered element
+  // ELEMENT EXCLUSION
+  // Leave a column match (e.g. a sponsored card's title) out of its column.
+  // The popup adds the exclusion selector to the column's "exclude" list;
+  // the selector also covers similar matches where it can (see
+  // SelectorGenerator.exclusion)
   // ======================================================================
-  highlightElement(element, mouseX, mouseY) {
-    this.clearHighlight();
-    
-    // Don't highlight body or html elements
-    if (element === document.body || element === document.documentElement) return;
-    
-    this.highlightedElement = element;
-    element.classList.add('web-scraper-highlight');
-    
-    // Create and show tooltip with element information
-    const tooltip = document.createElement('div');
-    tooltip.className = 'web-scraper-tooltip';
-    tooltip.id = 'web-scraper-tooltip';
+  excludeElement(element) {
+    const match = this.findColumnMatch(element);
+    if (!match) {
+      chrome.runtime.sendMessage({
+        action: 'elementExcluded',
+        error: 'Shift+click an element marked as a column match to exclude it'
+      });
+      return;
+    }
     
-    const cssSelector = this.generateCSSSelector(element);
-    const text = element.textContent?.substring(0, 30) || '';
-    tooltip.textContent = `${cssSelector}${text ? ` | "${text}..."` : ''}`;
+    const { matchElement, columnIndex } = match;
+    const others = this.columnRows
+      .map(row => row[columnIndex])
+      .filter(other => other && other !== matchElement);
+    const column = this.columns[columnIndex];
     
-    // Position tooltip near cursor
-    tooltip.style.left = `${mouseX + 10}px`;
-    tooltip.style.top = `${mouseY - 30}px`;
+    chrome.runtime.sendMessage({
+      action: 'elementExcluded',
+      index: column.index,
+      selector: column.selector,
+      exclude: SelectorGenerator.exclusion(matchElement, others)
+    });
+  }
+
+  // Column match an element is, or is inside; the innermost one wins
+  findColumnMatch(element) {
+    const columnsByElement = new Map();
+    this.columnRows.forEach(row => row.forEach((matchElement, columnIndex) => {
+      if (matchElement && !columnsByElement.has(matchElement)) columnsByElement.set(matchElement, columnIndex);
+    }));
     
-    document.body.appendChild(tooltip);
+    // Walk up through shadow hosts too
+    for (let current = element; current; current = current.parentElement || current.getRootNode().host) {
+      if (columnsByElement.has(current)) {
+        return { matchElement: current, columnIndex: columnsByElement.get(current) };
+      }
+    }
+    return null;
   }
 
   // ======================================================================
-  // CLEAR HIGHLIGHTING
-  // Remove visual highlights and tooltip
+  // CONTROL PICKING - START
+  // Turn on selection so the next click picks a control for the popup
   // ======================================================================
-  clearHighlight() {
-    if (this.highlightedElement) {
-      this.highlightedElement.classList.remove('web-scraper-highlight');
-      this.highlightedElement = null;
+  startPick(target) {
+    if (!this.pickTarget) {
+      this.resumeSelectionAfterPick = this.isSelectionMode;
     }
-    
-    const tooltip = document.getElementById('web-scraper-tooltip');
-    if (tooltip) tooltip.remove();
+    this.pickTarget = target;
+    this.enableSelectionMode();
   }
 
   // ======================================================================
-  // UPDATE HIGHLIGHTS
-  // Re-apply highlights after DOM changes (for dynamic content)
+  // CONTROL PICKING - FINISH
+  // Report the picked control and restore the previous selection state
   // ======================================================================
-  updateHighlights() {
-    // Re-apply selected element highlights
-    this.selectedElements.forEach(selector => {
-      try {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(el => el.classList.add('web-scraper-selected'));
-      } catch (error) {
-        console.warn('Invalid selector in updateHighlights:', selector);
-      }
+  finishPick(element) {
+    chrome.runtime.sendMessage({
+      action: 'targetPicked',
+      target: this.pickTarget,
+      cssSelector: this.generateDeepCSSSelector(element),
+      xpath: this.generateDeepXPath(element),
+      tagName: element.tagName.toLowerCase(),
+      textContent: element.textContent?.trim().substring(0, 50) || ''
     });
+    
+    this.pickTarget = null;
+    if (!this.resumeSelectionAfterPick) {
+      this.disableSelectionMode();
+    }
   }
 
   // ======================================================================
-  // CSS SELECTOR GENERATION
-  // Generate unique CSS selector for any element
+  // PAGINATION - NEXT PAGE
+  // Find and click the "next page" control; reports whether it was found
   // ======================================================================
-  generateCSSSelector(element) {
-    // Try ID first (most specific)
-    if (element.id) {
-      return `#${element.id}`;
-    }
+  clickNextPage(selector, type = 'css') {
+    const [element] = this.queryElements(selector, type);
     
-    // Try unique class combination
-    if (element.className && typeof element.className === 'string') {
-      const classes = element.className.trim().split(/\s+/).filter(cls => 
-        cls && !cls.startsWith('web-scraper-')  // Exclude our own classes
-      );
-      
-      if (classes.length > 0) {
-        const classSelector = `.${classes.join('.')}`;
-        if (document.querySelectorAll(classSelector).length === 1) {
-          return classSelector;
-        }
-      }
+    // A missing or disabled next control means this is the last page
+    if (!element || element.disabled || element.getAttribute('aria-disabled') === 'true') {
+      return { success: true, found: false };
     }
     
-    // Build path-based selector
-    const path = [];
-    let current = element;
+    const href = element.href || element.closest('a')?.href || null;
     
-    while (current && current !== document.body) {
-      let selector = current.tagName.toLowerCase();
-      
-      // Add nth-child if needed for uniqueness
-      if (current.parentElement) {
-        const siblings = Array.from(current.parentElement.children)
-          .filter(sibling => sibling.tagName === current.tagName);
-        
-        if (siblings.length > 1) {
-          const index = siblings.indexOf(current) + 1;
-          selector += `:nth-child(${index})`;
-        }
-      }
-      
-      path.unshift(selector);
-      current = current.parentElement;
-      
-      // Check if current path is unique
-      const currentSelector = path.join(' > ');
-      if (document.querySelectorAll(currentSelector).length === 1) {
-        return currentSelector;
-      }
-      
-      // Limit path length for performance
-      if (path.length >= 5) break;
-    }
+    // Click after responding so navigation doesn't cut off the reply
+    setTimeout(() => element.click(), 0);
     
-    return path.join(' > ');
+    return { success: true, found: true, href: href };
   }
 
   // ======================================================================
-  // XPATH GENERATION
-  // Generate XPath for any element
+  // AUTO-LOAD
+  // Pre-scrape phase for lazy-loaded pages: scroll to the bottom or click
+  // a "load more" control repeatedly, until no new items appear for
+  // maxAttempts rounds, the row or time limit is hit, or it is cancelled
   // ======================================================================
-  generateXPath(element) {
-    if (element.id) {
-      return `//*[@id="${element.id}"]`;
+  async autoLoad(options, elements, container = null) {
+    if (this.isAutoLoading) {
+      throw new Error('Auto-load is already running');
     }
     
-    const path = [];
-    let current = element;
+    this.isAutoLoading = true;
+    this.autoLoadCancelled = false;
     
-    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
-      let selector = current.nodeName.toLowerCase();
-      
-      if (current.parentElement) {
-        const siblings = Array.from(current.parentElement.children)
-          .filter(sibling => sibling.nodeName === current.nodeName);
-        
-        if (siblings.length > 1) {
-          const index = siblings.indexOf(current) + 1;
-          selector += `[${index}]`;
-        }
-      }
-      
-      path.unshift(selector);
-      current = current.parentElement;
-    }
+    const startTime = Date.now();
+    let count = this.countRows(elements, container);
+    let idleAttempts = 0;
+    let rounds = 0;
+    let reason;
     
-    return '/' + path.join('/');
-  }
-
-  // ======================================================================
-  // SELECTOR TESTING
-  // Test CSS selector or XPath and return information about matches
-  // ======================================================================
-  testSelector(selector, type = 'css') {
     try {
-      let elements;
-      
-      if (type === 'xpath') {
-        const result = document.evaluate(selector, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
-        elements = [];
-        for (let i = 0; i < result.snapshotLength; i++) {
-          elements.push(result.snapshotItem(i));
+      while (true) {
+        if (this.autoLoadCancelled) {
+          reason = 'Stopped by user';
+          break;
         }
-      } else {
-        elements = document.querySelectorAll(selector);
-      }
-      
-      return {
+        if (options.maxRows > 0 && count >= options.maxRows) {
+          reason = `Reached the limit of ${options.maxRows} rows`;
+          break;
+        }
+        if (Date.now() - startTime >= options.timeLimit * 1000) {
+          reason = `Reached the time limit of ${options.timeLimit}s`;
+          break;
+        }
+        
+        if (options.mode === 'button') {
+          const [button] = this.queryElements(options.buttonSelector, options.buttonType);
+          if (!button || button.disabled || button.getAttribute('aria-disabled') === 'true') {
+            reason = 'The "load more" button is gone';
+            break;
+          }
+          button.scrollIntoView({ block: 'center' });
+          button.click();
+        } else {
+          const scroller = document.scrollingElement || document.documentElement;
+          window.scrollTo(0, scroller.scrollHeight);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, options.wait));
+        rounds++;
+        
+        const newCount = this.countRows(elements, container);
+        idleAttempts = newCount > count ? 0 : idleAttempts + 1;
+        count = newCount;
+        
+        // Report live counts to the popup
+        chrome.runtime.sendMessage({
+          action: 'autoLoadProgress',
+          count: count,
+          rounds: rounds,
+          idleAttempts: idleAttempts,
+          elapsed: Date.now() - startTime
+        });
+        
+        if (idleAttempts >= options.maxAttempts) {
+          reason = `No new items after ${options.maxAttempts} attempts`;
+          break;
+        }
+      }
+    } finally {
+      this.isAutoLoading = false;
+    }
+    
+    return {
+      success: true,
+      count: count,
+      rounds: rounds,
+      reason: reason
+    };
+  }
+
+  // ======================================================================
+  // ROW COUNT
+  // Number of rows a scrape would currently produce: container matches,
+  // or the largest match count among the column selectors
+  // ======================================================================
+  countRows(elements, container = null) {
+    try {
+      if (container && container.selector) {
+        return this.queryElements(container.selector, container.type).length;
+      }
+      
+      // Columns of other frames are not on this page
+      const columns = elements.filter(element => element.type !== 'structured' && !element.frame);
+      const matchesPerColumn = this.excludeIndexRows(columns, columns.map(element => {
+        try {
+          return this.queryElements(element.selector, element.type);
+        } catch (error) {
+          return [];
+        }
+      }));
+      return Math.max(0, ...matchesPerColumn.map(matches => matches.length));
+    } catch (error) {
+      console.warn('Error counting rows:', error);
+      return 0;
+    }
+  }
+
+  // ======================================================================
+  // ELEMENT HIGHLIGHTING
+  // Show visual highlight and tooltip for hovered element
+  // ======================================================================
+  highlightElement(element) {
+    this.clearHighlight();
+    
+    // Don't highlight body or html elements
+    if (element === document.body || element === document.documentElement) return;
+    
+    this.highlightedElement = element;
+    this.addHighlight(element, 'web-scraper-highlight');
+    this.showTooltip(element);
+  }
+
+  // ======================================================================
+  // TOOLTIP
+  // Breadcrumb of the element's ancestors (click a level to move there),
+  // the selector a click adds, the element's text, other selectors with
+  // their stability scores and match counts, and the keyboard keys. Placed
+  // against the element's top edge, so the mouse reaches it without
+  // crossing other elements
+  // ======================================================================
+  showTooltip(element) {
+    const tooltip = document.createElement('div');
+    tooltip.className = 'web-scraper-tooltip';
+    tooltip.id = 'web-scraper-tooltip';
+    
+    const line = (className, text) => {
+      const div = document.createElement('div');
+      div.className = className;
+      div.textContent = text;
+      tooltip.appendChild(div);
+      return div;
+    };
+    
+    const breadcrumb = line('web-scraper-breadcrumb', '');
+    this.breadcrumb = this.getAncestors(element).slice(-BREADCRUMB_LEVELS);
+    this.breadcrumb.forEach((level, index) => {
+      if (index > 0) breadcrumb.append(' › ');
+      const crumb = document.createElement('span');
+      crumb.className = level === element ? 'web-scraper-crumb current' : 'web-scraper-crumb';
+      crumb.dataset.index = index;
+      crumb.textContent = this.describeElement(level);
+      breadcrumb.appendChild(crumb);
+    });
+    
+    // Tag, the selector a click adds and its match count
+    const containerElement = this.findRowContainer(element);
+    const { cssSelector, count } = this.getColumnSelector(element, containerElement);
+    line('web-scraper-tooltip-selection',
+      `<${element.tagName.toLowerCase()}> ${cssSelector} (${count} ${count === 1 ? 'match' : 'matches'})`);
+    
+    const text = element.textContent?.replace(/\s+/g, ' ').trim().substring(0, 40) || '';
+    if (text) line('web-scraper-tooltip-text', `"${text}..."`);
+    
+    // The other selectors the popup offers for it, best first
+    this.generateAlternatives(element, containerElement)
+      .filter(alternative => alternative.selector !== cssSelector)
+      .slice(0, TOOLTIP_ALTERNATIVES)
+      .forEach(alternative => line('web-scraper-tooltip-alternative',
+        `★${String(alternative.score).padStart(3)} ${alternative.type === 'xpath' ? 'xpath ' : ''}${alternative.selector} (${alternative.count} ${alternative.count === 1 ? 'match' : 'matches'})`));
+    
+    line('web-scraper-tooltip-keys', '↑ parent  ↓ child  ← → sibling  ⏎ select  ⇧ exclude  Esc cancel');
+    
+    document.body.appendChild(tooltip);
+    
+    // Above the element, or below it when there is no room
+    const rect = element.getBoundingClientRect();
+    const above = rect.top - tooltip.offsetHeight;
+    tooltip.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - tooltip.offsetWidth))}px`;
+    tooltip.style.top = `${above >= 0 ? above : Math.max(0, Math.min(rect.bottom, window.innerHeight - tooltip.offsetHeight))}px`;
+  }
+
+  // The element and its ancestors below <body>, top first; shadow roots
+  // are crossed through their hosts
+  getAncestors(element) {
+    const ancestors = [];
+    for (let current = element; current && current !== document.body && current !== document.documentElement;
+      current = current.parentElement || current.getRootNode().host || null) {
+      ancestors.unshift(current);
+    }
+    return ancestors;
+  }
+
+  // Short label for a breadcrumb level: tag, stable id or first stable class
+  describeElement(element) {
+    const tag = element.tagName.toLowerCase();
+    if (element.id && !SelectorGenerator.isGeneratedId(element.id)) return `${tag}#${element.id}`;
+    
+    const [cls] = SelectorGenerator.getStableClasses(element);
+    return cls ? `${tag}.${cls}` : tag;
+  }
+
+  // ======================================================================
+  // CLEAR HIGHLIGHTING
+  // Remove visual highlights and tooltip
+  // ======================================================================
+  clearHighlight() {
+    if (this.highlightedElement) {
+      this.highlightedElement.classList.remove('web-scraper-highlight');
+      this.highlightedElement = null;
+    }
+    
+    const tooltip = document.getElementById('web-scraper-tooltip');
+    if (tooltip) tooltip.remove();
+    this.breadcrumb = [];
+  }
+
+  // ======================================================================
+  // UPDATE HIGHLIGHTS
+  // Re-apply highlights after DOM changes (for dynamic content), once the
+  // DOM has been quiet for a moment. The columns come from the popup, so
+  // they are dropped instead of rendered again once it has closed
+  // ======================================================================
+  scheduleHighlightRefresh() {
+    clearTimeout(this.highlightRefreshTimeoutId);
+    this.highlightRefreshTimeoutId = setTimeout(() => this.refreshHighlights(), HIGHLIGHT_REFRESH_DEBOUNCE);
+  }
+
+  async refreshHighlights() {
+    if (this.columns.length > 0 && !(await this.isPopupShowingColumns())) {
+      this.showColumns([]);
+    }
+    this.updateHighlights();
+  }
+
+  async isPopupShowingColumns() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'columnsShown' });
+      return Boolean(response && response.showing);
+    } catch (error) {
+      // No popup to answer
+      return false;
+    }
+  }
+
+  updateHighlights() {
+    // Re-apply column highlights and badges
+    this.renderColumns();
+    
+    // Re-apply similar match highlights so newly loaded items show up too
+    if (this.similarSelector) {
+      this.highlightSimilarMatches();
+    }
+  }
+
+  // ======================================================================
+  // COLUMNS ON THE PAGE
+  // The popup sends its columns whenever they change. Every match gets its
+  // column's color and a badge with the column name and row number; rows
+  // follow the scrape (row container, or i-th match of every column), so
+  // row N on the page is row N of the preview
+  // ======================================================================
+  showColumns(elements) {
+    const frame = this.getFrameAddress();
+    
+    // Colors and indexes follow the popup order; structured data columns have no elements
+    this.columns = elements
+      .map((element, index) => ({ ...element, index: index, colorIndex: index % (COLUMN_COLORS.length + 1) }))
+      .filter(element => element.type !== 'structured' && (element.frame || null) === frame);
+    
+    this.renderColumns();
+  }
+
+  renderColumns() {
+    this.clearColumns();
+    this.columnRows = this.getColumnRows();
+    
+    this.columnRows.forEach(row => row.forEach((element, columnIndex) => {
+      if (!element) return;
+      this.addHighlight(element, 'web-scraper-column');
+      element.classList.add(`web-scraper-column-${this.columns[columnIndex].colorIndex}`);
+    }));
+    
+    if (this.hoveredRow !== null) {
+      this.highlightRow(this.hoveredRow, false);
+    }
+    
+    // Badges follow their elements while the page scrolls or resizes
+    const hasColumns = this.columns.length > 0;
+    window[hasColumns ? 'addEventListener' : 'removeEventListener']('scroll', this.badgeHandler, true);
+    window[hasColumns ? 'addEventListener' : 'removeEventListener']('resize', this.badgeHandler);
+    this.scheduleBadges();
+  }
+
+  // Remove the column classes from the elements marked last time
+  clearColumns() {
+    this.columnRows.forEach(row => row.forEach(element => {
+      if (!element) return;
+      element.classList.remove('web-scraper-column', 'web-scraper-row');
+      Array.from({ length: COLUMN_COLORS.length + 1 }, (_, index) =>
+        element.classList.remove(`web-scraper-column-${index}`));
+    }));
+    this.columnRows = [];
+  }
+
+  // Elements of each row a scrape would produce, one entry per column.
+  // Rows without any value are skipped, as scrapeByContainer and
+  // scrapeByIndex skip them
+  getColumnRows() {
+    if (this.columns.length === 0) return [];
+    
+    // Cross-origin frames are scraped without the row container (see frames.js)
+    const container = this.getFrameAddress() ? null : this.rowContainer;
+    const tableGrids = new Map();
+    const find = (column, containerElement) => {
+      try {
+        if (Number.isInteger(column.tableColumn) && containerElement.tagName === 'TR') {
+          return this.excludeMatches([this.getTableCell(containerElement, column.tableColumn, tableGrids)].filter(Boolean), column);
+        }
+        return this.queryColumn(column, containerElement);
+      } catch (error) {
+        return [];
+      }
+    };
+    
+    let rows;
+    if (container && container.selector) {
+      let containers = [];
+      try {
+        containers = this.queryElements(container.selector, container.type, this.getSelectorRoot());
+      } catch (error) {
+        console.warn('Invalid row container selector:', container.selector);
+      }
+      rows = containers.map(containerElement => this.columns.map(column => find(column, containerElement)[0] || null));
+    } else {
+      const matches = this.excludeIndexRows(this.columns, this.columns.map(column => {
+        try {
+          return this.queryElements(column.selector, column.type, this.getSelectorRoot());
+        } catch (error) {
+          return [];
+        }
+      }));
+      const length = Math.max(0, ...matches.map(list => list.length));
+      rows = Array.from({ length }, (_, i) => matches.map(list => list[i] || null));
+    }
+    
+    return rows.filter(row => row.some((element, columnIndex) =>
+      element && String(this.extractElementValue(element, this.columns[columnIndex].extract) ?? '').trim()));
+  }
+
+  // ======================================================================
+  // COLUMN BADGES
+  // Labels drawn in a fixed layer over the page, redrawn once per
+  // animation frame after scrolling, resizing or DOM changes
+  // ======================================================================
+  scheduleBadges() {
+    if (this.badgeFrameId !== null) return;
+    
+    this.badgeFrameId = requestAnimationFrame(() => {
+      this.badgeFrameId = null;
+      this.drawBadges();
+    });
+  }
+
+  drawBadges() {
+    let layer = document.getElementById('web-scraper-badges');
+    if (this.columnRows.length === 0) {
+      if (layer) layer.remove();
+      return;
+    }
+    
+    if (!layer) {
+      layer = document.createElement('div');
+      layer.id = 'web-scraper-badges';
+      layer.className = 'web-scraper-badges';
+      document.body.appendChild(layer);
+    }
+    
+    const badges = [];
+    for (let rowIndex = 0; rowIndex < this.columnRows.length && badges.length < MAX_COLUMN_BADGES; rowIndex++) {
+      this.columnRows[rowIndex].forEach((element, columnIndex) => {
+        if (!element || !element.isConnected || badges.length >= MAX_COLUMN_BADGES) return;
+        
+        const rect = this.getViewportRect(element);
+        if (rect.bottom < 0 || rect.top > window.innerHeight || rect.right < 0 || rect.left > window.innerWidth) return;
+        
+        const column = this.columns[columnIndex];
+        const badge = document.createElement('div');
+        badge.className = rowIndex === this.hoveredRow ? 'web-scraper-badge web-scraper-row' : 'web-scraper-badge';
+        badge.textContent = `${column.columnName} #${rowIndex + 1}`;
+        badge.style.background = WebScraperSettings.columnColor(this.settings, column.colorIndex);
+        badge.style.left = `${Math.max(0, rect.left)}px`;
+        badge.style.top = `${Math.max(0, rect.top - 14)}px`;
+        badges.push(badge);
+      });
+    }
+    
+    layer.replaceChildren(...badges);
+  }
+
+  // Position of an element in the top frame's viewport; elements in
+  // same-origin frames are offset by their frame's position
+  getViewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+    
+    for (let view = element.ownerDocument.defaultView; view && view !== window && view.frameElement; view = view.parent) {
+      const frameRect = view.frameElement.getBoundingClientRect();
+      left += frameRect.left + view.frameElement.clientLeft;
+      top += frameRect.top + view.frameElement.clientTop;
+    }
+    
+    return { left, top, right: left + rect.width, bottom: top + rect.height };
+  }
+
+  // ======================================================================
+  // PREVIEW ROW HIGHLIGHT
+  // Emphasize the elements of one row (null clears) and scroll to them
+  // ======================================================================
+  highlightRow(index, scroll = true) {
+    this.columnRows.forEach(row => row.forEach(element => element && element.classList.remove('web-scraper-row')));
+    this.hoveredRow = Number.isInteger(index) ? index : null;
+    
+    const elements = this.hoveredRow === null ? [] : (this.columnRows[this.hoveredRow] || []).filter(Boolean);
+    elements.forEach(element => element.classList.add('web-scraper-row'));
+    if (scroll && elements.length > 0) {
+      elements[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+    
+    this.scheduleBadges();
+  }
+
+  // ======================================================================
+  // SIMILAR SELECTION - MODE
+  // Switch between single-element and "select similar" clicking
+  // ======================================================================
+  setSimilarMode(enabled) {
+    if (this.isSimilarMode !== enabled) {
+      this.resetSimilarSelection();
+    }
+    this.isSimilarMode = enabled;
+  }
+
+  // ======================================================================
+  // SIMILAR SELECTION - SAMPLES
+  // Add or remove a clicked sample and regeneralize the selector
+  // ======================================================================
+  toggleSimilarSample(element) {
+    const index = this.similarSamples.indexOf(element);
+    
+    if (index === -1) {
+      this.similarSamples.push(element);
+      this.addHighlight(element, 'web-scraper-selected');
+    } else {
+      // Clicking a sample again removes it
+      this.similarSamples.splice(index, 1);
+      element.classList.remove('web-scraper-selected');
+    }
+    
+    let error = null;
+    if (this.similarSamples.length === 0) {
+      this.similarSelector = null;
+    } else if (this.similarSamples.length === 1) {
+      this.similarSelector = this.generateDeepCSSSelector(this.similarSamples[0]);
+    } else {
+      this.similarSelector = this.generateSimilarSelector(this.similarSamples);
+      if (!this.similarSelector) {
+        error = 'The clicked elements have no common selector (different tag names, shadow roots or frames)';
+      }
+    }
+    
+    const count = this.highlightSimilarMatches();
+    
+    // Report the live result back to the popup
+    chrome.runtime.sendMessage({
+      action: 'similarSelectorUpdated',
+      selector: this.similarSelector,
+      count: count,
+      sampleCount: this.similarSamples.length,
+      frame: this.getFrameAddress(),
+      error: error
+    });
+  }
+
+  // ======================================================================
+  // SIMILAR SELECTION - HIGHLIGHT
+  // Mark every element matched by the common selector, return the count
+  // ======================================================================
+  highlightSimilarMatches() {
+    this.similarMatches.forEach(el => el.classList.remove('web-scraper-similar'));
+    this.similarMatches = [];
+    
+    if (!this.similarSelector) return 0;
+    
+    try {
+      this.similarMatches = this.queryElements(this.similarSelector, 'css', this.getSelectorRoot());
+      this.similarMatches.forEach(el => this.addHighlight(el, 'web-scraper-similar'));
+      return this.similarMatches.length;
+    } catch (error) {
+      console.warn('Invalid similar selector:', this.similarSelector);
+      return 0;
+    }
+  }
+
+  // ======================================================================
+  // SIMILAR SELECTION - RESET
+  // Forget the samples and remove their highlights
+  // ======================================================================
+  resetSimilarSelection() {
+    this.similarSamples.forEach(el => el.classList.remove('web-scraper-selected'));
+    this.similarSamples = [];
+    this.similarSelector = null;
+    this.highlightSimilarMatches();
+  }
+
+  // ======================================================================
+  // CSS SELECTOR GENERATION
+  // Most stable selector that is unique within the element's document or
+  // shadow root (see selector-generator.js; generateDeepCSSSelector gives
+  // the full path)
+  // ======================================================================
+  generateCSSSelector(element) {
+    return SelectorGenerator.best(element, 'css');
+  }
+
+  // ======================================================================
+  // SIMILAR SELECTOR GENERATION
+  // Work out the most specific selector that matches all sample elements.
+  // The samples' ancestor chains are walked upwards level by level, keeping
+  // the tag, shared classes and shared position at each level, until the
+  // chains meet in a common ancestor that anchors the selector
+  // ======================================================================
+  generateSimilarSelector(samples) {
+    // Samples in different shadow roots or frames have no common selector
+    const root = samples[0].getRootNode();
+    if (samples.some(sample => sample.getRootNode() !== root)) return null;
+    
+    const chains = samples.map(sample => {
+      const chain = [];
+      for (let current = sample; current && current !== root.body; current = current.parentElement) {
+        chain.push(current);
+      }
+      return chain;
+    });
+    
+    const segments = [];
+    
+    for (let level = 0; level < 8; level++) {
+      const nodes = chains.map(chain => chain[level]);
+      if (nodes.some(node => !node)) break;
+      
+      // All chains meet here: anchor on this ancestor and stop
+      if (nodes.every(node => node === nodes[0])) {
+        segments.unshift(this.generateCSSSelector(nodes[0]));
+        break;
+      }
+      
+      const segment = this.buildCommonSegment(nodes);
+      if (!segment) {
+        // The samples themselves must share a tag; higher up we just stop climbing
+        if (level === 0) return null;
+        break;
+      }
+      segments.unshift(segment);
+    }
+    
+    const selector = segments.join(' > ');
+    
+    // Sanity check: every sample must be matched
+    try {
+      const matches = new Set(root.querySelectorAll(selector));
+      if (!samples.every(sample => matches.has(sample))) return null;
+    } catch (error) {
+      return null;
+    }
+    
+    const host = this.getHostElement(root);
+    return host ? `${this.generateDeepCSSSelector(host)}${DEEP_SELECTOR_SEPARATOR}${selector}` : selector;
+  }
+
+  // ======================================================================
+  // COMMON SEGMENT
+  // Build one selector step (tag, shared classes, shared nth-of-type)
+  // describing every node at the same level of the sample chains
+  // ======================================================================
+  buildCommonSegment(nodes) {
+    const tagName = nodes[0].tagName;
+    if (nodes.some(node => node.tagName !== tagName)) return null;
+    
+    let segment = tagName.toLowerCase();
+    
+    // Classes every node has in common
+    const commonClasses = nodes.slice(1).reduce(
+      (classes, node) => {
+        const nodeClasses = this.getOwnClasses(node);
+        return classes.filter(cls => nodeClasses.includes(cls));
+      },
+      this.getOwnClasses(nodes[0])
+    );
+    if (commonClasses.length > 0) {
+      segment += `.${commonClasses.map(cls => CSS.escape(cls)).join('.')}`;
+    }
+    
+    // Position among same-tag siblings, only if it is the same for all
+    const positions = nodes.map(node => {
+      if (!node.parentElement) return 0;
+      const siblings = Array.from(node.parentElement.children)
+        .filter(sibling => sibling.tagName === tagName);
+      return siblings.length > 1 ? siblings.indexOf(node) + 1 : 0;
+    });
+    if (positions[0] > 0 && positions.every(position => position === positions[0])) {
+      segment += `:nth-of-type(${positions[0]})`;
+    }
+    
+    return segment;
+  }
+
+  // ======================================================================
+  // ROW CONTAINER LOOKUP
+  // Find the configured row container that holds an element, if any
+  // ======================================================================
+  findRowContainer(element) {
+    // The row container belongs to the top page, which a cross-origin frame can't see
+    if (!this.rowContainer || !this.rowContainer.selector || this.getFrameAddress()) return null;
+
+    try {
+      const containers = this.queryElements(this.rowContainer.selector, this.rowContainer.type, this.getSelectorRoot());
+      return containers.find(container => container !== element && this.containsDeep(container, element)) || null;
+    } catch (error) {
+      console.warn('Invalid row container selector:', this.rowContainer.selector);
+      return null;
+    }
+  }
+
+  // ======================================================================
+  // RELATIVE CSS SELECTOR GENERATION
+  // Generate a selector for an element relative to its row container,
+  // so the same selector picks the matching field in every other row
+  // ======================================================================
+  generateRelativeSelector(element, containerElement) {
+    // Inside a shadow root or frame within the row: relative up to its host,
+    // then unique within the root (the same in every row's copy of it)
+    const root = element.getRootNode();
+    if (root !== containerElement.getRootNode()) {
+      const host = this.getHostElement(root);
+      return `${this.generateRelativeSelector(host, containerElement)}${DEEP_SELECTOR_SEPARATOR}${this.generateCSSSelector(element)}`;
+    }
+
+    // First try tag and class names only, which generalize best across rows;
+    // fall back to nth-of-type positions when that is ambiguous
+    for (const usePositions of [false, true]) {
+      const path = [];
+      let current = element;
+
+      while (current && current !== containerElement) {
+        let selector = current.tagName.toLowerCase();
+
+        const classes = this.getOwnClasses(current);
+        if (classes.length > 0) {
+          selector += `.${classes.map(cls => CSS.escape(cls)).join('.')}`;
+        }
+
+        if (usePositions && current.parentElement) {
+          const siblings = Array.from(current.parentElement.children)
+            .filter(sibling => sibling.tagName === current.tagName);
+
+          if (siblings.length > 1) {
+            selector += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+          }
+        }
+
+        path.unshift(selector);
+        current = current.parentElement;
+
+        // Stop once the path picks this element first within the container,
+        // run the way scraping runs it
+        const currentSelector = path.join(' > ');
+        if (this.queryLevel(currentSelector, 'css', containerElement)[0] === element) {
+          return currentSelector;
+        }
+      }
+
+      if (usePositions) return path.join(' > ');
+    }
+  }
+
+  // ======================================================================
+  // CONTAINER MATCH COUNT
+  // Count how many row containers hold a match for a relative selector
+  // ======================================================================
+  countContainerMatches(selector, type = 'css') {
+    try {
+      return this.queryElements(this.rowContainer.selector, this.rowContainer.type, this.getSelectorRoot())
+        .filter(container => this.queryElements(selector, type, container).length > 0)
+        .length;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // ======================================================================
+  // CLASS NAME HELPER
+  // Class names of an element worth selecting on: not the ones this
+  // extension adds, nor generated or state classes (see selector-generator.js)
+  // ======================================================================
+  getOwnClasses(element) {
+    return SelectorGenerator.getStableClasses(element);
+  }
+
+  // ======================================================================
+  // XPATH GENERATION
+  // Most stable XPath that is unique within the element's document or
+  // shadow root (see generateDeepXPath for the full path). In a shadow
+  // root the path is relative to the root
+  // ======================================================================
+  generateXPath(element) {
+    return SelectorGenerator.best(element, 'xpath');
+  }
+
+  // ======================================================================
+  // SELECTOR ALTERNATIVES
+  // Ranked CSS and XPath selectors for an element with their match counts,
+  // offered in the tooltip and the popup. Inside a row container they are
+  // relative to it, led by the relative selector a click adds, and count
+  // the rows they find a match in
+  // ======================================================================
+  generateAlternatives(element, containerElement = null) {
+    const root = element.getRootNode();
+
+    if (containerElement) {
+      // Below a shadow root or frame within the row only the relative path works
+      const alternatives = [
+        { selector: this.generateRelativeSelector(element, containerElement), type: 'css', score: null },
+        ...(root === containerElement.getRootNode() ? SelectorGenerator.alternatives(element, containerElement) : [])
+      ];
+
+      return alternatives
+        .filter((alternative, index) => alternatives.findIndex(other =>
+          other.selector === alternative.selector && other.type === alternative.type) === index)
+        .map(alternative => ({ ...alternative, count: this.countContainerMatches(alternative.selector, alternative.type) }));
+    }
+
+    const host = this.getHostElement(root);
+    return SelectorGenerator.alternatives(element).map(alternative => {
+      if (!host) return alternative;
+
+      const hostSelector = alternative.type === 'xpath' ? this.generateDeepXPath(host) : this.generateDeepCSSSelector(host);
+      const selector = `${hostSelector}${DEEP_SELECTOR_SEPARATOR}${alternative.selector}`;
+      return { ...alternative, selector, count: this.queryElements(selector, alternative.type, this.getSelectorRoot()).length };
+    });
+  }
+
+  // ======================================================================
+  // DEEP SELECTORS
+  // Shadow roots and same-origin frame documents hang below a host element
+  // (the shadow host or the <iframe>). A deep selector is the host's deep
+  // selector, " >>> ", then the element's selector within the root; the
+  // path starts at the top page, or at the document of a cross-origin frame
+  // ======================================================================
+  generateDeepCSSSelector(element) {
+    return this.buildDeepSelector(element, el => this.generateCSSSelector(el));
+  }
+
+  generateDeepXPath(element) {
+    return this.buildDeepSelector(element, el => this.generateXPath(el));
+  }
+
+  buildDeepSelector(element, generate) {
+    const host = this.getHostElement(element.getRootNode());
+    const selector = generate(element);
+    return host ? `${this.buildDeepSelector(host, generate)}${DEEP_SELECTOR_SEPARATOR}${selector}` : selector;
+  }
+
+  // Shadow host or <iframe> a root hangs below; null at the top page and
+  // below cross-origin parents
+  getHostElement(root) {
+    if (root.host) return root.host;
+
+    try {
+      const view = root.defaultView;
+      return view && view !== view.top ? view.frameElement : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Open shadow root or same-origin frame document below a host element
+  getInnerRoot(element) {
+    if (element.shadowRoot) return element.shadowRoot;
+
+    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+      try {
+        return element.contentDocument;   // null for cross-origin frames
+      } catch (error) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  // Whether an element is inside a container, across shadow roots and frames
+  containsDeep(container, element) {
+    for (let node = element; node; node = node.parentElement || this.getHostElement(node.getRootNode())) {
+      if (node === container) return true;
+    }
+    return false;
+  }
+
+  // Outermost document this frame can reach through same-origin parents;
+  // deep selectors start here
+  getSelectorRoot() {
+    let root = document;
+    for (let host = this.getHostElement(root); host; host = this.getHostElement(root)) {
+      root = host.getRootNode();
+    }
+    return root;
+  }
+
+  // Address (origin + path) of the cross-origin frame deep selectors start
+  // in, or null when they start at the top page
+  getFrameAddress() {
+    const root = this.getSelectorRoot();
+    if (root.defaultView === window.top) return null;
+    return `${root.location.origin}${root.location.pathname}`;
+  }
+
+  // ======================================================================
+  // TABLE DETECTION
+  // Find data tables (not layout tables) and summarize them for the popup
+  // ======================================================================
+  detectTables() {
+    this.highlightTable(null);
+
+    const tables = [];
+    this.detectedTables = [];
+
+    document.querySelectorAll('table').forEach(table => {
+      const role = table.getAttribute('role');
+      if (role === 'presentation' || role === 'none') return;
+      if (table.querySelector('table')) return;              // Layout tables nest others
+      if (table.getClientRects().length === 0) return;      // Hidden
+
+      const info = this.analyzeTable(table);
+      if (info.bodyRows.length === 0 || info.columnCount < 2) return;
+      if (info.headerRows.length === 0 && info.bodyRows.length < 2) return;
+
+      const caption = (table.caption?.textContent || table.getAttribute('aria-label') || '').trim();
+
+      tables.push({
+        index: this.detectedTables.length,
+        selector: this.generateCSSSelector(table),
+        caption: caption.replace(/\s+/g, ' ').substring(0, 80),
+        rows: info.bodyRows.length,
+        columns: info.columnCount,
+        headers: info.headers,
+        hasHeader: info.headerRows.length > 0
+      });
+      this.detectedTables.push(table);
+    });
+
+    return tables;
+  }
+
+  // ======================================================================
+  // TABLE ANALYSIS
+  // Split a table into header and body rows and name its logical columns.
+  // Header rows are the thead rows, or leading rows made only of <th>;
+  // multi-row headers are joined, e.g. "Price / USD"
+  // ======================================================================
+  analyzeTable(table) {
+    const rows = Array.from(table.rows);
+    const grid = this.buildTableGrid(rows);
+
+    const headerRows = [];
+    for (let r = 0; r < rows.length; r++) {
+      const row = rows[r];
+      const isHeader = row.parentElement.tagName === 'THEAD' ||
+        (row.cells.length > 0 && Array.from(row.cells).every(cell => cell.tagName === 'TH'));
+      if (!isHeader) break;
+      headerRows.push(r);
+    }
+
+    const bodyRows = rows.filter((row, r) =>
+      !headerRows.includes(r) &&
+      row.parentElement.tagName !== 'TFOOT' &&
+      Array.from(row.cells).some(cell => cell.tagName === 'TD')
+    );
+
+    const columnCount = Math.max(0, ...grid.map(cells => cells.length));
+
+    const usedNames = new Set();
+    const headers = [];
+    for (let c = 0; c < columnCount; c++) {
+      const parts = [];
+      const seen = new Set();
+      headerRows.forEach(r => {
+        const cell = grid[r][c];
+        if (!cell || seen.has(cell)) return;
+        seen.add(cell);
+        const text = cell.textContent.replace(/\s+/g, ' ').trim();
+        if (text && parts[parts.length - 1] !== text) parts.push(text);
+      });
+
+      let name = parts.join(' / ') || `Column_${c + 1}`;
+      for (let i = 2; usedNames.has(name); i++) {
+        name = `${parts.join(' / ') || `Column_${c + 1}`} (${i})`;
+      }
+      usedNames.add(name);
+      headers.push(name);
+    }
+
+    return { rows, grid, headerRows, bodyRows, columnCount, headers };
+  }
+
+  // ======================================================================
+  // TABLE GRID
+  // Lay out table rows as a grid of logical columns: a cell spanning
+  // several rows or columns fills every grid slot it covers
+  // ======================================================================
+  buildTableGrid(rows) {
+    const grid = rows.map(() => []);
+
+    rows.forEach((row, r) => {
+      let c = 0;
+      Array.from(row.cells).forEach(cell => {
+        while (grid[r][c]) c++;
+
+        // rowSpan 0 means "to the end of the table section"
+        const rowSpan = cell.rowSpan === 0 ? rows.length - r : Math.max(1, cell.rowSpan);
+        const colSpan = Math.max(1, cell.colSpan);
+
+        for (let dr = 0; dr < rowSpan && r + dr < rows.length; dr++) {
+          for (let dc = 0; dc < colSpan; dc++) {
+            grid[r + dr][c + dc] = cell;
+          }
+        }
+        c += colSpan;
+      });
+    });
+
+    return grid;
+  }
+
+  // ======================================================================
+  // TABLE CELL LOOKUP
+  // Cell in a logical column of a table row; grids are cached per scrape
+  // ======================================================================
+  getTableCell(row, column, cache) {
+    const table = row.closest('table');
+    if (!table) return null;
+
+    if (!cache.has(table)) {
+      const rows = Array.from(table.rows);
+      cache.set(table, {
+        grid: this.buildTableGrid(rows),
+        rowIndex: new Map(rows.map((tableRow, index) => [tableRow, index]))
+      });
+    }
+
+    const { grid, rowIndex } = cache.get(table);
+    const r = rowIndex.get(row);
+    return r === undefined ? null : grid[r][column] || null;
+  }
+
+  // ======================================================================
+  // TABLE HIGHLIGHT
+  // Outline a detected table while it is hovered in the popup
+  // ======================================================================
+  highlightTable(index) {
+    document.querySelectorAll('.web-scraper-table').forEach(el => {
+      el.classList.remove('web-scraper-table');
+    });
+
+    const table = index === null || index === undefined ? null : this.detectedTables[index];
+    if (table && table.isConnected) {
+      table.classList.add('web-scraper-table');
+      table.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }
+
+  // ======================================================================
+  // TABLE IMPORT
+  // Turn a detected table into a row container (its body rows) and one
+  // column per logical table column, named from the headers
+  // ======================================================================
+  importTable(index) {
+    const table = this.detectedTables[index];
+    if (!table || !table.isConnected) {
+      return { success: false, error: 'Table is no longer on the page. Detect tables again.' };
+    }
+
+    this.highlightTable(null);
+    const info = this.analyzeTable(table);
+
+    // Body rows only: header rows hold no <td>, footers live in <tfoot>.
+    // Script-built tables may have rows directly under <table>
+    const tableSelector = this.generateCSSSelector(table);
+    const containerSelector = `${tableSelector} > tbody > tr:has(> td), ${tableSelector} > tr:has(> td)`;
+
+    return {
+      success: true,
+      container: {
+        selector: containerSelector,
+        type: 'css',
+        count: this.queryElements(containerSelector).length
+      },
+      columns: info.headers.map((name, c) => ({
+        columnName: name,
+        selector: `:scope > :nth-child(${c + 1})`,
+        type: 'css',
+        tableColumn: c,
+        count: info.bodyRows.filter(row => info.grid[info.rows.indexOf(row)][c]).length
+      }))
+    };
+  }
+
+  // ======================================================================
+  // SELECTOR TESTING
+  // Test CSS selector or XPath and return information about matches
+  // ======================================================================
+  testSelector(selector, type = 'css', structured = null, exclude = []) {
+    try {
+      // Structured data columns count the values of their field instead
+      const count = type === 'structured'
+        ? StructuredDataExtractor.values(StructuredDataExtractor.collect(), structured).length
+        : this.queryColumn({ selector, type, exclude }).length;
+      
+      return {
         success: true,
-        count: elements.length,
+        count: count,
         selector: selector,
         type: type
       };
@@ -441,66 +1940,161 @@ class WebScraperContent {
     }
   }
 
+  // ======================================================================
+  // ELEMENT QUERYING
+  // Resolve a CSS selector or XPath to an array of elements, optionally
+  // relative to a context element (used for row containers). Deep selectors
+  // are resolved level by level, inside the shadow root or frame document
+  // of each match of the previous level
+  // ======================================================================
+  queryElements(selector, type = 'css', context = document) {
+    const [first, ...levels] = selector.split(DEEP_SELECTOR_SEPARATOR.trim()).map(part => part.trim());
+
+    let matches = this.queryLevel(first, type, context);
+    levels.forEach(level => {
+      matches = matches.flatMap(host => {
+        const root = this.getInnerRoot(host);
+        return root ? this.queryLevel(level, type, root) : [];
+      });
+    });
+
+    return matches;
+  }
+
+  // One level of a selector, within a document, shadow root or element
+  queryLevel(selector, type, context) {
+    if (type === 'xpath') {
+      // Absolute XPaths would escape the container, so anchor them to it
+      let expression = selector;
+      const isDocument = context.nodeType === Node.DOCUMENT_NODE;
+      if (!isDocument && expression.startsWith('/')) {
+        expression = `.${expression}`;
+      }
+
+      const ownerDocument = isDocument ? context : context.ownerDocument;
+      const result = ownerDocument.evaluate(expression, context, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      const elements = [];
+      for (let i = 0; i < result.snapshotLength; i++) {
+        elements.push(result.snapshotItem(i));
+      }
+      return elements;
+    }
+
+    // Within an element, every part of the selector starts at the element,
+    // so "div > span" can't match a span whose parent div is the container
+    const scoped = context.nodeType === Node.ELEMENT_NODE ? this.scopeSelector(selector) : selector;
+    return Array.from(context.querySelectorAll(scoped));
+  }
+
+  // Prefix each selector of a comma-separated list with :scope, unless it
+  // already starts with it (e.g. ":scope > :nth-child(2)" from table import)
+  scopeSelector(selector) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '\\') {
+        i++;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(selector.slice(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(selector.slice(start));
+
+    return parts
+      .map(part => part.trim())
+      .map(part => part.startsWith(':scope') ? part : `:scope ${part}`)
+      .join(', ');
+  }
+
+  // ======================================================================
+  // COLUMN QUERYING
+  // Matches of a column's selector without the ones its "exclude"
+  // selectors leave out: a match is left out when it, or an ancestor in its
+  // document or shadow root, matches one of them
+  // ======================================================================
+  queryColumn(column, context = document) {
+    return this.excludeMatches(this.queryElements(column.selector, column.type, context), column);
+  }
+
+  excludeMatches(matches, column) {
+    const isExcluded = this.getExclusionTest(column);
+    return isExcluded ? matches.filter(match => !isExcluded(match)) : matches;
+  }
+
+  // Test for matches a column excludes, or null when it excludes nothing
+  getExclusionTest(column) {
+    // Invalid selectors (e.g. hand-edited recipes) leave nothing out
+    const exclude = (column.exclude || []).filter(selector => {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+      } catch (error) {
+        console.warn('Invalid exclude selector:', selector);
+        return false;
+      }
+    });
+    if (exclude.length === 0) return null;
+    
+    return match => exclude.some(selector => match.closest(selector));
+  }
+
+  // ======================================================================
+  // INDEX MODE EXCLUSIONS
+  // Without a row container, row i is the i-th match of every column, so an
+  // excluded match leaves out its whole row: dropping it from its column
+  // alone would move that column's later values onto the wrong rows.
+  // Takes every column's unfiltered matches (values for structured data
+  // columns); a page-level structured value repeated on every row stays
+  // ======================================================================
+  excludeIndexRows(columns, matchesPerColumn) {
+    const excludedRows = new Set();
+    columns.forEach((column, columnIndex) => {
+      const isExcluded = column.type !== 'structured' && this.getExclusionTest(column);
+      if (!isExcluded) return;
+      matchesPerColumn[columnIndex].forEach((match, index) => {
+        if (isExcluded(match)) excludedRows.add(index);
+      });
+    });
+    if (excludedRows.size === 0) return matchesPerColumn;
+    
+    return matchesPerColumn.map((matches, columnIndex) => {
+      const column = columns[columnIndex];
+      const repeated = column.type === 'structured' && matches.length === 1 &&
+        StructuredDataExtractor.isPageLevel(column.structured.source);
+      return repeated ? matches : matches.filter((match, index) => !excludedRows.has(index));
+    });
+  }
+
   // ======================================================================
   // DATA SCRAPING
-  // Extract data from page using provided element configurations
+  // Extract data from page using provided element configurations.
+  // With a row container, each container becomes one row and columns are
+  // looked up inside it; otherwise the i-th match of every selector is zipped
   // ======================================================================
-  scrapeData(elements) {
+  scrapeData(elements, container = null) {
     try {
-      const data = [];
-      
-      // Find the maximum number of elements for any selector
-      const maxElements = Math.max(...elements.map(element => {
-        try {
-          if (element.type === 'xpath') {
-            const result = document.evaluate(element.selector, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
-            return result.snapshotLength;
-          } else {
-            return document.querySelectorAll(element.selector).length;
-          }
-        } catch (error) {
-          console.warn('Invalid selector:', element.selector);
-          return 0;
-        }
-      }));
+      // Structured data columns read from JSON-LD, Microdata, ... collected once
+      const structuredItems = elements.some(element => element.type === 'structured')
+        ? StructuredDataExtractor.collect()
+        : [];
 
-      // Extract data for each row
-      for (let i = 0; i < maxElements; i++) {
-        const row = {};
-        
-        elements.forEach((element) => {
-          try {
-            let matchedElements = [];
-            
-            if (element.type === 'xpath') {
-              const result = document.evaluate(element.selector, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
-              for (let j = 0; j < result.snapshotLength; j++) {
-                matchedElements.push(result.snapshotItem(j));
-              }
-            } else {
-              matchedElements = Array.from(document.querySelectorAll(element.selector));
-            }
-            
-            const domElement = matchedElements[i];
-            
-            if (domElement) {
-              // Use user-provided column name
-              const columnName = element.columnName || `Column_${elements.indexOf(element) + 1}`;
-              
-              // Extract text content, handling special cases
-              let value = this.extractElementValue(domElement);
-              row[columnName] = value;
-            }
-          } catch (error) {
-            console.warn('Error processing selector:', element.selector, error);
-          }
-        });
-        
-        // Only add row if it has at least one non-empty value
-        if (Object.values(row).some(value => value && value.toString().trim())) {
-          data.push(row);
-        }
-      }
+      const data = container && container.selector
+        ? this.scrapeByContainer(elements, container, structuredItems)
+        : this.scrapeByIndex(elements, structuredItems);
 
       return {
         success: true,
@@ -516,11 +2110,136 @@ class WebScraperContent {
     }
   }
 
+  // ======================================================================
+  // DATA SCRAPING - INDEX MODE
+  // Build row i from the i-th match of every column selector. A structured
+  // data column contributes its i-th value; a single page-level value
+  // (e.g. og:title) is repeated on every row
+  // ======================================================================
+  scrapeByIndex(elements, structuredItems = []) {
+    const data = [];
+
+    // Resolve every selector once up front
+    const allMatchesPerColumn = elements.map(element => {
+      try {
+        if (element.type === 'structured') {
+          return StructuredDataExtractor.values(structuredItems, element.structured);
+        }
+        return this.queryElements(element.selector, element.type);
+      } catch (error) {
+        console.warn('Invalid selector:', element.selector);
+        return [];
+      }
+    });
+    const matchesPerColumn = this.excludeIndexRows(elements, allMatchesPerColumn);
+
+    // Find the maximum number of elements for any selector
+    const maxElements = Math.max(0, ...matchesPerColumn.map(matches => matches.length));
+
+    // Extract data for each row
+    for (let i = 0; i < maxElements; i++) {
+      const row = {};
+
+      elements.forEach((element, columnIndex) => {
+        try {
+          const matches = matchesPerColumn[columnIndex];
+
+          if (element.type === 'structured') {
+            const repeat = matches.length === 1 && StructuredDataExtractor.isPageLevel(element.structured.source);
+            const value = repeat ? matches[0] : matches[i];
+            if (value !== undefined) {
+              row[element.columnName || `Column_${columnIndex + 1}`] = value;
+            }
+            return;
+          }
+
+          const domElement = matches[i];
+
+          if (domElement) {
+            // Use user-provided column name
+            const columnName = element.columnName || `Column_${columnIndex + 1}`;
+
+            // Extract text content, handling special cases
+            row[columnName] = this.extractElementValue(domElement, element.extract);
+          }
+        } catch (error) {
+          console.warn('Error processing selector:', element.selector, error);
+        }
+      });
+
+      // Only add row if it has at least one non-empty value
+      if (this.hasValues(row)) {
+        data.push(row);
+      }
+    }
+
+    return data;
+  }
+
+  // ======================================================================
+  // DATA SCRAPING - CONTAINER MODE
+  // One row per container match; a missing field becomes an empty cell
+  // instead of shifting later values onto the wrong row. Structured data
+  // columns use the Microdata/RDFa item inside the container, or the
+  // page-level value (JSON-LD, meta tags)
+  // ======================================================================
+  scrapeByContainer(elements, container, structuredItems = []) {
+    const data = [];
+    const containers = this.queryElements(container.selector, container.type);
+    const tableGrids = new Map();   // Table -> cell grid, for imported table columns
+
+    containers.forEach(containerElement => {
+      const row = {};
+
+      elements.forEach((element, columnIndex) => {
+        const columnName = element.columnName || `Column_${columnIndex + 1}`;
+        row[columnName] = '';
+
+        try {
+          if (element.type === 'structured') {
+            row[columnName] = StructuredDataExtractor.values(structuredItems, element.structured, containerElement)[0] ?? '';
+            return;
+          }
+
+          // Imported table columns use the logical column, which stays right
+          // when rowspan/colspan shift the physical cells
+          const [domElement] = Number.isInteger(element.tableColumn) && containerElement.tagName === 'TR'
+            ? this.excludeMatches([this.getTableCell(containerElement, element.tableColumn, tableGrids)].filter(Boolean), element)
+            : this.queryColumn(element, containerElement);
+          if (domElement) {
+            row[columnName] = this.extractElementValue(domElement, element.extract);
+          }
+        } catch (error) {
+          console.warn('Error processing selector:', element.selector, error);
+        }
+      });
+
+      if (this.hasValues(row)) {
+        data.push(row);
+      }
+    });
+
+    return data;
+  }
+
+  // ======================================================================
+  // ROW CHECK
+  // Whether a scraped row has at least one non-empty value
+  // ======================================================================
+  hasValues(row) {
+    return Object.values(row).some(value => value && value.toString().trim());
+  }
+
   // ======================================================================
   // VALUE EXTRACTION
-  // Extract appropriate value from different types of HTML elements
+  // Extract a value using the column's extraction spec, or pick an
+  // appropriate value for the element type when the spec is 'auto'
   // ======================================================================
-  extractElementValue(element) {
+  extractElementValue(element, extract = null) {
+    if (extract && extract.mode && extract.mode !== 'auto') {
+      return this.extractBySpec(element, extract);
+    }
+    
     const tagName = element.tagName.toLowerCase();
     
     // Handle different input types
@@ -564,6 +2283,55 @@ class WebScraperContent {
     // Default to text content
     return element.textContent?.trim() || element.innerText?.trim() || '';
   }
+
+  // ======================================================================
+  // VALUE EXTRACTION - EXPLICIT SPEC
+  // Extract text, inner/outer HTML, a named attribute or a DOM property
+  // ======================================================================
+  extractBySpec(element, extract) {
+    switch (extract.mode) {
+      case 'text':
+        return element.textContent?.trim() || '';
+        
+      case 'innerHTML':
+        return this.getCleanClone(element).innerHTML.trim();
+        
+      case 'outerHTML':
+        return this.getCleanClone(element).outerHTML;
+        
+      case 'attribute':
+        return element.getAttribute(extract.name) ?? '';
+        
+      case 'property': {
+        const value = element[extract.name];
+        if (value == null) return '';
+        // Keep primitives as-is (e.g. booleans), stringify anything else
+        return typeof value === 'object' ? String(value) : value;
+      }
+        
+      default:
+        throw new Error(`Unknown extraction mode: ${extract.mode}`);
+    }
+  }
+
+  // ======================================================================
+  // CLEAN CLONE
+  // Copy of an element without the highlight classes this script adds,
+  // so extracted HTML matches the page markup
+  // ======================================================================
+  getCleanClone(element) {
+    const clone = element.cloneNode(true);
+    
+    [clone, ...clone.querySelectorAll('[class*="web-scraper-"]')].forEach(node => {
+      if (!node.classList) return;
+      Array.from(node.classList)
+        .filter(cls => cls.startsWith('web-scraper-'))
+        .forEach(cls => node.classList.remove(cls));
+      if (node.classList.length === 0) node.removeAttribute('class');
+    });
+    
+    return clone;
+  }
 }
 
 // ========================================================================
@@ -0,0 +1,226 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - CHANGE MONITORING
+ * ============================================================================
+ * Compares two scrapes of the same page: rows are matched on the recipe's
+ * key columns (or on all their values when there are none) and sorted into
+ * added, removed, changed and unchanged rows. Alert conditions such as
+ * "Price decreases" are checked against the result.
+ *
+ * Values are compared after column transforms, so a "Price" column that
+ * parses numbers compares as numbers.
+ *
+ * Loaded as a plain script by the popup and imported by the background
+ * service worker after transforms.js; exposes the global WebScraperDiff.
+ * ============================================================================
+ */
+
+// Alert conditions, in the order shown in the popup
+const DIFF_CONDITIONS = {
+  added: { label: 'A row is added', needsColumn: false },
+  removed: { label: 'A row is removed', needsColumn: false },
+  changed: { label: 'changes', needsColumn: true },
+  increased: { label: 'increases', needsColumn: true },
+  decreased: { label: 'decreases', needsColumn: true }
+};
+
+class WebScraperDiff {
+  // ========================================================================
+  // PREPARATION
+  // ========================================================================
+
+  /**
+   * Apply the column transforms (including those of followed-link child
+   * columns) to raw rows, so they compare the way they export
+   * @param {Array} rows - Raw rows
+   * @param {Array} elements - Columns of the recipe
+   * @returns {Array} Transformed rows
+   */
+  static transformRows(rows, elements) {
+    const flatten = columns => (columns || []).flatMap(column => [
+      column,
+      ...(column.follow && column.follow.enabled ? flatten(column.follow.children) : [])
+    ]);
+    return WebScraperTransforms.applyToRows(rows || [], flatten(elements));
+  }
+
+  // ========================================================================
+  // COMPARISON
+  // ========================================================================
+
+  /**
+   * Compare a previous and a current scrape
+   * @param {Array} previous - Rows of the previous scrape
+   * @param {Array} current - Rows of the current scrape
+   * @param {Array<string>} keyColumns - Columns identifying a row across scrapes
+   * @returns {Object} { entries, added, removed, changed, unchanged } where each
+   *   entry is { status, row, previous, changedFields }, current rows first in
+   *   their order, then the removed rows
+   */
+  static compare(previous, current, keyColumns = []) {
+    // Rows sharing a key are matched in order of appearance
+    const previousByKey = new Map();
+    previous.forEach(row => {
+      const key = this.rowKey(row, keyColumns);
+      if (!previousByKey.has(key)) previousByKey.set(key, []);
+      previousByKey.get(key).push(row);
+    });
+
+    const entries = current.map(row => {
+      const matches = previousByKey.get(this.rowKey(row, keyColumns));
+      const previousRow = matches && matches.shift();
+      if (!previousRow) {
+        return { status: 'added', row: row, previous: null, changedFields: [] };
+      }
+
+      const changedFields = this.changedFields(previousRow, row);
+      return {
+        status: changedFields.length > 0 ? 'changed' : 'unchanged',
+        row: row,
+        previous: previousRow,
+        changedFields: changedFields
+      };
+    });
+
+    previousByKey.forEach(rows => {
+      rows.forEach(row => entries.push({ status: 'removed', row: row, previous: row, changedFields: [] }));
+    });
+
+    const count = status => entries.filter(entry => entry.status === status).length;
+    return {
+      entries: entries,
+      added: count('added'),
+      removed: count('removed'),
+      changed: count('changed'),
+      unchanged: count('unchanged')
+    };
+  }
+
+  /**
+   * Identity of a row: its key column values, or all values without keys
+   * @param {Object} row - Row
+   * @param {Array<string>} keyColumns - Key columns
+   * @returns {string} Key
+   */
+  static rowKey(row, keyColumns) {
+    const columns = keyColumns.length > 0 ? keyColumns : Object.keys(row).sort();
+    return JSON.stringify(columns.map(column => this.text(row[column])));
+  }
+
+  /**
+   * Columns whose value differs between two versions of a row
+   * @param {Object} before - Previous row
+   * @param {Object} after - Current row
+   * @returns {Array<string>} Column names
+   */
+  static changedFields(before, after) {
+    const columns = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...columns].filter(column => this.text(before[column]) !== this.text(after[column]));
+  }
+
+  /**
+   * Short summary such as "2 added, 1 removed, 3 changed"
+   * @param {Object} diff - Result of compare
+   * @returns {string} Summary
+   */
+  static summarize(diff) {
+    if (diff.added + diff.removed + diff.changed === 0) return 'no changes';
+    return `${diff.added} added, ${diff.removed} removed, ${diff.changed} changed`;
+  }
+
+  // ========================================================================
+  // ALERT CONDITIONS
+  // ========================================================================
+
+  /**
+   * Check alert conditions against a comparison
+   * @param {Object} diff - Result of compare
+   * @param {Array<Object>} conditions - { change, column }
+   * @param {Array<string>} keyColumns - Used to name the rows in messages
+   * @returns {Array<Object>} Matches { condition, entry, message }
+   */
+  static evaluate(diff, conditions = [], keyColumns = []) {
+    const matches = [];
+
+    conditions.forEach(condition => {
+      diff.entries.forEach(entry => {
+        const label = this.rowLabel(entry.row, keyColumns);
+
+        switch (condition.change) {
+          case 'added':
+          case 'removed':
+            if (entry.status === condition.change) {
+              matches.push({ condition, entry, message: `Row ${condition.change}: ${label}` });
+            }
+            break;
+
+          case 'changed':
+          case 'increased':
+          case 'decreased': {
+            if (entry.status !== 'changed' || !entry.changedFields.includes(condition.column)) break;
+
+            const before = entry.previous[condition.column];
+            const after = entry.row[condition.column];
+            if (condition.change !== 'changed') {
+              const difference = this.number(after) - this.number(before);
+              if (Number.isNaN(difference)) break;
+              if (condition.change === 'increased' ? difference <= 0 : difference >= 0) break;
+            }
+
+            matches.push({
+              condition,
+              entry,
+              message: `${condition.column} ${condition.change}: ${this.text(before)} → ${this.text(after)} (${label})`
+            });
+            break;
+          }
+        }
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Label of a condition for display, e.g. "Price decreases"
+   * @param {Object} condition - { change, column }
+   * @returns {string} Label
+   */
+  static describeCondition(condition) {
+    const spec = DIFF_CONDITIONS[condition.change];
+    if (!spec) return condition.change;
+    return spec.needsColumn ? `${condition.column} ${spec.label}` : spec.label;
+  }
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  /**
+   * Name of a row in messages: its key values, or its first values
+   * @param {Object} row - Row
+   * @param {Array<string>} keyColumns - Key columns
+   * @returns {string} Label
+   */
+  static rowLabel(row, keyColumns) {
+    const values = keyColumns.length > 0
+      ? keyColumns.map(column => row[column])
+      : Object.values(row).slice(0, 2);
+    return values.map(value => this.text(value)).filter(Boolean).join(' / ') || '(empty row)';
+  }
+
+  static text(value) {
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  /**
+   * Numeric value of a cell; text such as "$1,299.00" is parsed
+   * @param {*} value - Cell value
+   * @returns {number} Number, or NaN
+   */
+  static number(value) {
+    if (typeof value === 'number') return value;
+    const parsed = WebScraperTransforms.parseNumber(this.text(value));
+    return parsed === '' ? NaN : parsed;
+  }
+}
@@ -0,0 +1,401 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - EXPORTERS
+ * ============================================================================
+ * File formats the scraped rows can be exported as. Each exporter turns
+ * the column names and rows into the file contents:
+ *
+ *   WebScraperExporters.register('csv', {
+ *     label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8',
+ *     build: (columns, rows, options) => '...'   // string or Blob (may be async)
+ *   });
+ *
+ * Rows are objects keyed by column name; exporters write the columns in
+ * the order given, which is the order of the selected columns. Options:
+ * - tableName: SQL table name (default "scraped_data")
+ * - title:     Title of the HTML document (default "Scraped Data")
+ * - header:    false leaves out the header row of TSV and HTML tables
+ * - delimiter: CSV field separator (default ",")
+ * - encoding:  CSV encoding, 'utf-8' (default) or 'utf-16le'
+ * - bom:       true starts a UTF-8 CSV file with a byte order mark
+ *
+ * Loaded as a plain script by the popup after xlsx-writer.js (used by the
+ * xlsx exporter); exposes the global WebScraperExporters.
+ * ============================================================================
+ */
+
+// Exporters by format ID, in registration order (the order of the format menu)
+const EXPORTERS = new Map();
+
+class WebScraperExporters {
+  // ========================================================================
+  // REGISTRY
+  // ========================================================================
+
+  /**
+   * Add (or replace) an export format
+   * @param {string} id - Format ID, e.g. 'csv'
+   * @param {Object} exporter - { label, extension, mimeType, build(columns, rows, options) }
+   */
+  static register(id, exporter) {
+    EXPORTERS.set(id, exporter);
+  }
+
+  /**
+   * Look up an export format
+   * @param {string} id - Format ID
+   * @returns {Object|null} Exporter
+   */
+  static get(id) {
+    return EXPORTERS.get(id) || null;
+  }
+
+  /**
+   * All export formats, for menus
+   * @returns {Array<Object>} { id, label, extension }
+   */
+  static list() {
+    return [...EXPORTERS].map(([id, exporter]) => ({ id, label: exporter.label, extension: exporter.extension }));
+  }
+
+  /**
+   * Build the export file
+   * @param {string} id - Format ID
+   * @param {Array<string>} columns - Column names in output order
+   * @param {Array<Object>} rows - Rows (column transforms already applied)
+   * @param {Object} options - { tableName, title, header, delimiter, encoding, bom }
+   * @returns {Promise<Blob>} File contents
+   * @throws {Error} For an unknown format
+   */
+  static async createBlob(id, columns, rows, options = {}) {
+    const exporter = this.get(id);
+    if (!exporter) {
+      throw new Error(`Unsupported format: ${id}`);
+    }
+
+    const content = await exporter.build(columns, rows, options);
+    return content instanceof Blob ? content : new Blob([content], { type: exporter.mimeType });
+  }
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  /**
+   * Cell value as text; null and undefined become ''
+   * @param {*} value - Cell value
+   * @returns {string} Text
+   */
+  static text(value) {
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  /**
+   * Rows as objects holding only the given columns, in that order
+   * @param {Array<string>} columns - Column names
+   * @param {Array<Object>} rows - Rows
+   * @returns {Array<Object>} Ordered rows; missing cells are null
+   */
+  static orderedRows(columns, rows) {
+    return rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+  }
+
+  static escapeHtml(value) {
+    return this.text(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ========================================================================
+  // DELIMITED TEXT
+  // ========================================================================
+
+  /**
+   * Comma-separated values, or separated by options.delimiter. Values
+   * holding the delimiter, quotes or line breaks are quoted.
+   */
+  static buildCsv(columns, rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const escape = value => {
+      const str = this.text(value);
+      return /["\n\r]/.test(str) || str.includes(delimiter) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const header = columns.map(escape).join(delimiter) + '\n';
+    return header + rows.map(row => columns.map(column => escape(row[column])).join(delimiter)).join('\n');
+  }
+
+  /**
+   * CSV file in the encoding chosen on the options page. UTF-16 always
+   * starts with a byte order mark; UTF-8 only when options.bom is set.
+   * @returns {Blob} File contents
+   */
+  static encodeCsv(text, options = {}) {
+    if (options.encoding === 'utf-16le') {
+      const view = new DataView(new ArrayBuffer((text.length + 1) * 2));
+      view.setUint16(0, 0xFEFF, true);
+      for (let i = 0; i < text.length; i++) {
+        view.setUint16((i + 1) * 2, text.charCodeAt(i), true);
+      }
+      return new Blob([view.buffer], { type: 'text/csv;charset=utf-16le' });
+    }
+
+    return new Blob([options.bom ? '\uFEFF' + text : text], { type: 'text/csv;charset=utf-8' });
+  }
+
+  /**
+   * Tab-separated values. TSV has no quoting, so tabs and line breaks inside
+   * a value become spaces.
+   */
+  static buildTsv(columns, rows, options = {}) {
+    const clean = value => this.text(value).replace(/[\t\r\n]+/g, ' ');
+    const lines = rows.map(row => columns.map(column => row[column]));
+    return (options.header === false ? lines : [columns, ...lines])
+      .map(cells => cells.map(clean).join('\t'))
+      .join('\n') + '\n';
+  }
+
+  // ========================================================================
+  // JSON
+  // ========================================================================
+
+  static buildJson(columns, rows) {
+    return JSON.stringify(this.orderedRows(columns, rows), null, 2);
+  }
+
+  static buildNdjson(columns, rows) {
+    return this.orderedRows(columns, rows).map(row => JSON.stringify(row)).join('\n') + '\n';
+  }
+
+  // ========================================================================
+  // TABLES
+  // ========================================================================
+
+  /**
+   * GitHub-flavoured Markdown table; pipes are escaped and line breaks
+   * become <br>
+   */
+  static buildMarkdown(columns, rows) {
+    const cell = value => this.text(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    const line = cells => `| ${cells.map(cell).join(' | ')} |`;
+
+    return [
+      line(columns),
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => line(columns.map(column => row[column])))
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * The <table> element alone, also used for rich clipboard copies
+   * @param {Array<string>} columns - Column names
+   * @param {Array<Object>} rows - Rows
+   * @param {Object} options - { header }
+   * @returns {string} HTML table
+   */
+  static buildHtmlTable(columns, rows, options = {}) {
+    const head = columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('');
+    const body = rows.map(row =>
+      `    <tr>${columns.map(column => `<td>${this.escapeHtml(row[column])}</td>`).join('')}</tr>`
+    ).join('\n');
+    const thead = options.header === false ? '' : `  <thead>\n    <tr>${head}</tr>\n  </thead>\n`;
+
+    return `<table>\n${thead}  <tbody>\n${body}\n  </tbody>\n</table>`;
+  }
+
+  static buildHtml(columns, rows, options) {
+    const title = this.escapeHtml(options.title || 'Scraped Data');
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: sans-serif; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f5f5f5; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${this.buildHtmlTable(columns, rows)}
+</body>
+</html>
+`;
+  }
+
+  // ========================================================================
+  // XML
+  // ========================================================================
+
+  /**
+   * Generic XML: one <row> per row and one <field name="..."> per column,
+   * so any column name survives unchanged
+   */
+  static buildXml(columns, rows) {
+    const escape = value => this.escapeHtml(value).replace(/'/g, '&apos;')
+      // Control characters other than tab and line breaks are not allowed in XML 1.0
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+
+    const body = rows.map(row => [
+      '  <row>',
+      ...columns.map(column => row[column] === null || row[column] === undefined
+        ? `    <field name="${escape(column)}"/>`
+        : `    <field name="${escape(column)}">${escape(row[column])}</field>`),
+      '  </row>'
+    ].join('\n')).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<rows>\n${body}${body ? '\n' : ''}</rows>\n`;
+  }
+
+  // ========================================================================
+  // SQL
+  // ========================================================================
+
+  /**
+   * CREATE TABLE with column types inferred from the values, followed by
+   * one INSERT per row. Identifiers are double-quoted (standard SQL).
+   */
+  static buildSql(columns, rows, options) {
+    const quoteName = name => `"${String(name).replace(/"/g, '""')}"`;
+    const table = quoteName(options.tableName || 'scraped_data');
+    const types = columns.map(column => this.inferSqlType(rows.map(row => row[column])));
+
+    const create = `CREATE TABLE ${table} (\n` +
+      columns.map((column, index) => `  ${quoteName(column)} ${types[index]}`).join(',\n') +
+      '\n);\n';
+    const names = columns.map(quoteName).join(', ');
+    const inserts = rows.map(row =>
+      `INSERT INTO ${table} (${names}) VALUES (${columns.map((column, index) => this.sqlLiteral(row[column], types[index])).join(', ')});`
+    );
+
+    return create + (inserts.length > 0 ? '\n' + inserts.join('\n') + '\n' : '');
+  }
+
+  /**
+   * Narrowest SQL type that fits every non-empty value of a column. Numbers
+   * written with a leading zero (ZIP codes, SKUs, phone numbers such as
+   * "01234") stay TEXT, as a number would drop the zero
+   * @param {Array} values - Column values
+   * @returns {string} BOOLEAN, INTEGER, BIGINT, NUMERIC, DATE, TIMESTAMP or TEXT
+   */
+  static inferSqlType(values) {
+    const present = values.filter(value => this.text(value) !== '');
+    if (present.length === 0) return 'TEXT';
+
+    const all = test => present.every(test);
+    const asText = value => this.text(value).trim();
+
+    if (all(value => typeof value === 'boolean' || /^(true|false)$/i.test(asText(value)))) {
+      return 'BOOLEAN';
+    }
+    if (present.some(value => /^-?0\d/.test(asText(value)))) {
+      return 'TEXT';
+    }
+    if (all(value => /^-?\d+$/.test(asText(value)))) {
+      return all(value => Math.abs(Number(value)) <= 2147483647) ? 'INTEGER' : 'BIGINT';
+    }
+    if (all(value => /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(asText(value)))) {
+      return 'NUMERIC';
+    }
+    if (all(value => /^\d{4}-\d{2}-\d{2}$/.test(asText(value)))) {
+      return 'DATE';
+    }
+    if (all(value => /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(asText(value)))) {
+      return 'TIMESTAMP';
+    }
+    return 'TEXT';
+  }
+
+  /**
+   * SQL literal of a value in a column of the given type
+   * @param {*} value - Cell value
+   * @param {string} type - Column type from inferSqlType
+   * @returns {string} Literal
+   */
+  static sqlLiteral(value, type) {
+    const text = this.text(value).trim();
+    if (text === '') return 'NULL';
+
+    switch (type) {
+      case 'BOOLEAN':
+        return text.toLowerCase() === 'true' ? 'TRUE' : 'FALSE';
+      case 'INTEGER':
+      case 'BIGINT':
+      case 'NUMERIC':
+        return text;
+      default:
+        return `'${this.text(value).replace(/'/g, "''")}'`;
+    }
+  }
+}
+
+// ============================================================================
+// BUILT-IN FORMATS
+// ============================================================================
+
+WebScraperExporters.register('csv', {
+  label: 'CSV',
+  extension: 'csv',
+  mimeType: 'text/csv;charset=utf-8;',
+  build: (columns, rows, options) => WebScraperExporters.encodeCsv(WebScraperExporters.buildCsv(columns, rows, options), options)
+});
+
+WebScraperExporters.register('tsv', {
+  label: 'TSV (tab-separated)',
+  extension: 'tsv',
+  mimeType: 'text/tab-separated-values;charset=utf-8',
+  build: (columns, rows, options) => WebScraperExporters.buildTsv(columns, rows, options)
+});
+
+WebScraperExporters.register('json', {
+  label: 'JSON',
+  extension: 'json',
+  mimeType: 'application/json',
+  build: (columns, rows) => WebScraperExporters.buildJson(columns, rows)
+});
+
+WebScraperExporters.register('ndjson', {
+  label: 'NDJSON (one row per line)',
+  extension: 'ndjson',
+  mimeType: 'application/x-ndjson',
+  build: (columns, rows) => WebScraperExporters.buildNdjson(columns, rows)
+});
+
+WebScraperExporters.register('xlsx', {
+  label: 'Excel',
+  extension: 'xlsx',
+  mimeType: XLSX_MIME_TYPE,
+  build: (columns, rows) => XlsxWriter.createWorkbook(columns, rows.map(row => columns.map(column => row[column])), 'Scraped Data')
+});
+
+WebScraperExporters.register('markdown', {
+  label: 'Markdown table',
+  extension: 'md',
+  mimeType: 'text/markdown;charset=utf-8',
+  build: (columns, rows) => WebScraperExporters.buildMarkdown(columns, rows)
+});
+
+WebScraperExporters.register('html', {
+  label: 'HTML table',
+  extension: 'html',
+  mimeType: 'text/html;charset=utf-8',
+  build: (columns, rows, options) => WebScraperExporters.buildHtml(columns, rows, options)
+});
+
+WebScraperExporters.register('xml', {
+  label: 'XML',
+  extension: 'xml',
+  mimeType: 'application/xml',
+  build: (columns, rows) => WebScraperExporters.buildXml(columns, rows)
+});
+
+WebScraperExporters.register('sql', {
+  label: 'SQL (CREATE TABLE + INSERT)',
+  extension: 'sql',
+  mimeType: 'application/sql',
+  build: (columns, rows, options) => WebScraperExporters.buildSql(columns, rows, options)
+});
@@ -0,0 +1,138 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - FRAMES
+ * ============================================================================
+ * Scraping columns that live in cross-origin iframes. The content script
+ * runs in every frame; a column picked inside a frame the top page cannot
+ * reach into (another origin) keeps the frame's address in its "frame"
+ * field (origin + path, e.g. "https://widgets.example.com/prices").
+ *
+ * Same-origin frames and open shadow roots need none of this: their
+ * columns use selectors with a host/frame path that the top frame resolves
+ * itself, e.g. "iframe#reviews >>> .rating" (see queryElements in
+ * content.js).
+ *
+ * A scrape sends the regular columns to the top frame and each frame's
+ * columns to that frame, which scrapes them without a row container. The
+ * frame rows are then joined to the top frame rows by index.
+ *
+ * Loaded as a plain script by the popup and imported by the background
+ * service worker; exposes the global WebScraperFrames.
+ * ============================================================================
+ */
+
+class WebScraperFrames {
+  /**
+   * Address a frame is identified by: origin and path, without the query
+   * string and hash, which often change between visits
+   * @param {string} url - Frame document URL
+   * @returns {string} Frame address, or '' for URLs that can't be parsed
+   */
+  static frameKey(url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.origin}${parsed.pathname}`;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Whether any column is scraped in a frame of its own
+   * @param {Array} elements - Column configurations
+   * @returns {boolean} True when some column has a frame
+   */
+  static hasFrameColumns(elements) {
+    return elements.some(element => element.frame);
+  }
+
+  /**
+   * Group the columns by the frame they are scraped in
+   * @param {Array} elements - Column configurations
+   * @returns {Object} { main: columns of the top frame, frames: Map frame address -> columns }
+   */
+  static splitElements(elements) {
+    const main = [];
+    const frames = new Map();
+
+    elements.forEach(element => {
+      if (!element.frame) {
+        main.push(element);
+        return;
+      }
+      if (!frames.has(element.frame)) frames.set(element.frame, []);
+      frames.get(element.frame).push(element);
+    });
+
+    return { main, frames };
+  }
+
+  /**
+   * Frame ID of the first frame of a tab showing the given address
+   * @param {number} tabId - Tab ID
+   * @param {string} frame - Frame address (see frameKey)
+   * @returns {Promise<number|null>} Frame ID, or null when no frame matches
+   */
+  static async findFrameId(tabId, frame) {
+    // Runs in every frame, so the frame IDs come back with each frame's URL
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tabId, allFrames: true },
+      func: () => location.href
+    });
+
+    const match = results.find(result => result.frameId !== 0 && this.frameKey(result.result) === frame);
+    return match ? match.frameId : null;
+  }
+
+  /**
+   * Scrape the columns of every frame and join the rows
+   * @param {number} tabId - Tab ID
+   * @param {Object} message - 'scrapeData' message with all columns
+   * @param {Function} send - (message, frameId) => Promise of the content script response
+   * @returns {Promise<Object>} Content script style response { success, data, count, error }
+   */
+  static async scrape(tabId, message, send) {
+    const { main, frames } = this.splitElements(message.elements);
+    if (frames.size === 0) return send(message, 0);
+
+    const response = main.length > 0
+      ? await send({ ...message, elements: main }, 0)
+      : { success: true, data: [] };
+    if (!response || !response.success) return response;
+
+    const frameRows = [];
+    for (const [frame, elements] of frames) {
+      const frameId = await this.findFrameId(tabId, frame);
+      if (frameId === null) {
+        console.warn(`No frame showing ${frame}; its columns stay empty`);
+        continue;
+      }
+
+      const frameResponse = await send({ action: 'scrapeData', elements: elements, container: null }, frameId);
+      if (!frameResponse || !frameResponse.success) {
+        throw new Error(`Frame ${frame}: ${frameResponse?.error || 'no response'}`);
+      }
+      frameRows.push(frameResponse.data);
+    }
+
+    const data = this.joinRows(response.data, frameRows);
+    return { success: true, data: data, count: data.length };
+  }
+
+  /**
+   * Join frame rows to the top frame rows: row i gets the fields of row i of
+   * every frame. The longest list sets the number of rows
+   * @param {Array} rows - Top frame rows
+   * @param {Array<Array>} frameRows - Rows of each frame
+   * @returns {Array} Joined rows
+   */
+  static joinRows(rows, frameRows) {
+    const length = Math.max(rows.length, ...frameRows.map(list => list.length));
+
+    return Array.from({ length }, (_, index) => Object.assign(
+      {},
+      rows[index],
+      ...frameRows.map(list => list[index])
+    ));
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - OPTIONS PAGE
+ * ============================================================================
+ * Edits the extension-wide settings described by SETTINGS_SCHEMA
+ * (settings.js). The form is built from the schema, one section per group;
+ * every change is saved right away and picked up live by the popup,
+ * content scripts and background.
+ * ============================================================================
+ */
+
+class WebScraperOptions {
+  constructor() {
+    this.settings = WebScraperSettings.defaults(); // Settings shown in the form
+    this.inputs = new Map();       // Setting key -> form control
+
+    this.initializeElements();
+    this.renderForm();
+    this.attachEventListeners();
+    this.loadSettings();
+  }
+
+  // ========================================
+  // UI SETUP
+  // ========================================
+
+  /**
+   * Get references to the page elements
+   */
+  initializeElements() {
+    this.form = document.getElementById('settings-form');
+    this.resetBtn = document.getElementById('reset-settings');
+    this.statusBar = document.getElementById('status-bar');
+    this.statusText = document.getElementById('status-text');
+  }
+
+  /**
+   * Build one form control per setting, grouped into sections
+   */
+  renderForm() {
+    const sections = new Map();
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, spec]) => {
+      if (!sections.has(spec.section)) {
+        const section = document.createElement('fieldset');
+        section.className = 'section';
+        const legend = document.createElement('legend');
+        legend.textContent = spec.section;
+        section.appendChild(legend);
+        sections.set(spec.section, section);
+        this.form.appendChild(section);
+      }
+      sections.get(spec.section).appendChild(this.createField(key, spec));
+    });
+  }
+
+  /**
+   * Label, control and description for one setting
+   * @param {string} key - Setting key
+   * @param {Object} spec - Entry of SETTINGS_SCHEMA
+   * @returns {HTMLElement} Form group
+   */
+  createField(key, spec) {
+    const group = document.createElement('div');
+    group.className = spec.type === 'checkbox' ? 'form-group checkbox-group' : 'form-group';
+
+    let input;
+    if (spec.type === 'select') {
+      input = document.createElement('select');
+      spec.options.forEach(option => {
+        const element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        input.appendChild(element);
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = spec.type;
+      if (spec.type === 'number') {
+        input.min = spec.min;
+        input.max = spec.max;
+        input.step = 1;
+      }
+    }
+    input.id = `setting-${key}`;
+    this.inputs.set(key, input);
+
+    const label = document.createElement('label');
+    label.htmlFor = input.id;
+    label.textContent = spec.label;
+
+    if (spec.type === 'checkbox') {
+      group.append(input, label);
+    } else {
+      group.append(label, input);
+    }
+
+    if (spec.description) {
+      const description = document.createElement('small');
+      description.className = 'hint';
+      description.textContent = spec.description;
+      group.appendChild(description);
+    }
+
+    return group;
+  }
+
+  /**
+   * Save on every change; follow changes made elsewhere
+   */
+  attachEventListeners() {
+    this.inputs.forEach((input, key) => {
+      input.addEventListener('change', () => this.saveSetting(key));
+    });
+
+    this.resetBtn.addEventListener('click', () => this.resetSettings());
+
+    // Another options tab, or a newer install, may change the settings too
+    WebScraperSettings.onChange((settings) => this.showSettings(settings));
+  }
+
+  // ========================================
+  // SETTINGS
+  // ========================================
+
+  /**
+   * Fill the form from the stored settings
+   */
+  async loadSettings() {
+    try {
+      this.showSettings(await WebScraperSettings.load());
+    } catch (error) {
+      this.updateStatus(`Failed to load settings: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show settings in the form
+   * @param {Object} settings - Complete settings
+   */
+  showSettings(settings) {
+    this.settings = settings;
+
+    this.inputs.forEach((input, key) => {
+      if (SETTINGS_SCHEMA[key].type === 'checkbox') {
+        input.checked = settings[key];
+      } else {
+        input.value = settings[key];
+      }
+    });
+  }
+
+  /**
+   * Read one control, check its value and store it
+   * @param {string} key - Setting key
+   */
+  async saveSetting(key) {
+    const spec = SETTINGS_SCHEMA[key];
+    const input = this.inputs.get(key);
+
+    let value;
+    switch (spec.type) {
+      case 'checkbox':
+        value = input.checked;
+        break;
+      case 'number':
+        value = Number(input.value);
+        break;
+      default:
+        value = input.value;
+    }
+
+    try {
+      if (!WebScraperSettings.isValid(spec, value)) {
+        throw new Error(spec.type === 'number'
+          ? `${spec.label} must be a whole number from ${spec.min} to ${spec.max}`
+          : `Invalid value for ${spec.label}`);
+      }
+
+      this.settings = await WebScraperSettings.update({ [key]: value });
+      this.updateStatus(`Saved: ${spec.label}`, 'success');
+    } catch (error) {
+      // Put the control back to the stored value
+      this.showSettings(this.settings);
+      this.updateStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Put every setting back to its default
+   */
+  async resetSettings() {
+    if (!confirm('Reset all settings to their defaults?')) return;
+
+    try {
+      this.showSettings(await WebScraperSettings.reset());
+      this.updateStatus('All settings reset to their defaults', 'success');
+    } catch (error) {
+      this.updateStatus(`Failed to reset settings: ${error.message}`, 'error');
+    }
+  }
+
+  // ========================================
+  // STATUS
+  // ========================================
+
+  /**
+   * Update the status bar
+   * @param {string} message - Status message
+   * @param {string} type - 'info', 'success' or 'error'
+   */
+  updateStatus(message, type = 'info') {
+    this.statusText.textContent = message;
+    this.statusBar.className = `status-bar ${type}`;
+  }
+}
+
+/**
+ * Initialize the options page when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  new WebScraperOptions();
+});
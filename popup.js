@@ -10,21 +10,62 @@
  * - Responsive design with detached window support
  * - Point-and-click element selection
  * - CSS/XPath selector input
- * - Data preview and export (CSV, JSON, Excel)
+ * - Data preview and export (CSV, JSON, Excel .xlsx via xlsx-writer.js)
  * - Progress tracking and status updates
  * - Local storage for persistence
+ * - Saved recipes per URL pattern (see recipes.js)
+ * - Per-column cleaning transforms (see transforms.js)
  */
 
+/**
+ * Extraction modes a column can use, in the order shown in the edit form
+ * 'auto' keeps the type-based behaviour (href for links, src for images, ...)
+ */
+const PopupExtractModes = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'text', label: 'Text' },
+  { value: 'innerHTML', label: 'Inner HTML' },
+  { value: 'outerHTML', label: 'Outer HTML' },
+  { value: 'attribute', label: 'Attribute' },
+  { value: 'property', label: 'Property' }
+];
+
 class WebScraperPopup {
   constructor() {
     // ========================================
     // INITIALIZATION PROPERTIES
     // ========================================
     this.selectedElements = [];     // Array of selected elements with their selectors
+    this.rowContainer = null;       // Optional row container { selector, type, count }
     this.currentMode = 'select';    // Current selection mode: 'select' or 'css'
     this.scrapedData = [];         // Scraped data array
     this.isSelecting = false;      // Flag for selection mode state
+    this.similarResult = null;     // Pending "select similar" result { selector, count }
+    this.isPaginating = false;     // Flag for a running pagination crawl
+    this.isBatchRunning = false;   // Flag for a running batch scrape
+    this.isDrillingDown = false;   // Flag for a running drill-down over followed links
+    this.activeAutoLoad = null;    // Settings of the running auto-load phase, if any
+    this.recipes = [];             // Saved recipes
+    this.activeRecipeId = null;    // Recipe the current configuration was loaded from
+    this.matchingRecipes = [];     // Recipes whose URL pattern matches the target page
+    this.targetUrl = '';           // URL of the target page, used to prefill schedules
+    this.schedules = [];           // Recurring recipe runs
+    this.scheduleRuns = [];        // Run history of the schedules, newest first
+    this.monitorSettings = { enabled: false, keyColumns: [], conditions: [], notify: true };
+    this.diffBaseline = null;      // Previous rows the preview is compared with { rows, keyColumns, label }
+    this.webhookSettings = WebScraperWebhook.defaults();
+    this.webhookLog = [];          // Webhook deliveries, newest first
+    this.pendingDownloads = new Map(); // Download ID -> object URL, revoked when the download ends
+    this.lastDownloadId = null;    // Download the "Show in folder" button reveals
+    this.settings = WebScraperSettings.defaults(); // Options page settings (see settings.js)
+    this.highlightedRow = null;    // Preview row outlined on the page
+    this.watchedScrape = null;     // { rows, tabId } of the last page scrape, kept current while the page changes
+    this.previewSelection = null;  // Copy selection in the preview: { type: 'rows', start, end, anchor } or { type: 'column', column }
+    this.structuredItems = [];     // Items from the last structured data read
     this.editingElementId = null;  // ID of element currently being edited
+    this.editingTransforms = null; // Working copy of the edited column's transform steps
+    this.editingFollow = null;     // Working copy of the edited column's follow-link settings
+    this.editingExclude = null;    // Working copy of the edited column's exclusion selectors
     this.isDetachedWindow = false; // Flag for detached window mode
     this.targetTabId = null;       // Store target tab ID for detached windows
     
@@ -249,6 +290,7 @@ class WebScraperPopup {
             "elements elements"
             "preview preview"
             "scraping export"
+            "pagination pagination"
             "progress progress"
             "help help" !important;
         }
@@ -259,6 +301,7 @@ class WebScraperPopup {
         #preview-section { grid-area: preview; }
         #scraping-section { grid-area: scraping; }
         #export-section { grid-area: export; }
+        #pagination-section { grid-area: pagination; }
         #progress-section { grid-area: progress; }
         .section:has(details) { grid-area: help; }
       }
@@ -274,6 +317,7 @@ class WebScraperPopup {
             "elements elements elements"
             "preview preview preview"
             "scraping export export"
+            "pagination pagination pagination"
             "progress progress progress"
             "help help help" !important;
         }
@@ -314,9 +358,20 @@ class WebScraperPopup {
     } else {
       // Add button to detach the popup
       this.addDetachButton();
+      this.disableSaveAs();
     }
   }
 
+  /**
+   * Turn off "Ask where to save" in the action popup: the Save As dialog
+   * takes focus and closes the popup, and the file's object URL goes with
+   * it. The saved choice still applies in the detached window
+   */
+  disableSaveAs() {
+    this.saveAsCheckbox.disabled = true;
+    this.saveAsNote.classList.remove('hidden');
+  }
+
   /**
    * Load target tab ID for detached window
    */
@@ -558,9 +613,36 @@ class WebScraperPopup {
    * Gets references to all UI elements for later manipulation
    */
   initializeElements() {
+    // Header
+    this.openOptionsBtn = document.getElementById('open-options');
+    
+    // Recipes section
+    this.recipeMatch = document.getElementById('recipe-match');
+    this.recipeMatchText = document.getElementById('recipe-match-text');
+    this.loadMatchingRecipeBtn = document.getElementById('load-matching-recipe');
+    this.recipeSelect = document.getElementById('recipe-select');
+    this.recipeNameInput = document.getElementById('recipe-name');
+    this.recipePatternInput = document.getElementById('recipe-pattern');
+    this.saveRecipeBtn = document.getElementById('save-recipe');
+    this.saveRecipeAsBtn = document.getElementById('save-recipe-as');
+    this.duplicateRecipeBtn = document.getElementById('duplicate-recipe');
+    this.deleteRecipeBtn = document.getElementById('delete-recipe');
+    this.exportRecipeBtn = document.getElementById('export-recipe');
+    this.importRecipeBtn = document.getElementById('import-recipe');
+    this.importRecipeFileInput = document.getElementById('import-recipe-file');
+    
     // Mode buttons
     this.selectModeBtn = document.getElementById('select-mode');
     this.cssModeBtn = document.getElementById('css-mode');
+    this.similarModeCheckbox = document.getElementById('similar-mode');
+    
+    // Select similar section
+    this.similarSection = document.getElementById('similar-section');
+    this.similarCount = document.getElementById('similar-count');
+    this.similarSelectorDisplay = document.getElementById('similar-selector');
+    this.similarColumnNameInput = document.getElementById('similar-column-name');
+    this.addSimilarBtn = document.getElementById('add-similar');
+    this.resetSimilarBtn = document.getElementById('reset-similar');
     
     // CSS selector input section
     this.cssInputSection = document.getElementById('css-input-section');
@@ -570,29 +652,146 @@ class WebScraperPopup {
     this.testSelectorBtn = document.getElementById('test-selector');
     this.addSelectorBtn = document.getElementById('add-selector');
     
+    // Structured data section
+    this.extractStructuredBtn = document.getElementById('extract-structured');
+    
+    // Table import section
+    this.detectTablesBtn = document.getElementById('detect-tables');
+    this.tablesList = document.getElementById('tables-list');
+    
     // Elements display section
     this.elementCount = document.getElementById('element-count');
     this.elementsList = document.getElementById('elements-list');
     this.clearSelectionsBtn = document.getElementById('clear-selections');
     
+    // Row container
+    this.containerTypeSelect = document.getElementById('container-type');
+    this.containerSelectorInput = document.getElementById('container-selector');
+    this.setContainerBtn = document.getElementById('set-container');
+    this.clearContainerBtn = document.getElementById('clear-container');
+    this.containerInfo = document.getElementById('container-info');
+    
     // Scraping actions
     this.scrapeDataBtn = document.getElementById('scrape-data');
     this.refreshPreviewBtn = document.getElementById('refresh-preview');
     
+    // Auto-load options
+    this.enableAutoLoadCheckbox = document.getElementById('enable-autoload');
+    this.autoLoadOptions = document.getElementById('autoload-options');
+    this.autoLoadModeSelect = document.getElementById('autoload-mode');
+    this.loadMoreGroup = document.getElementById('load-more-group');
+    this.loadMoreTypeSelect = document.getElementById('load-more-type');
+    this.loadMoreSelectorInput = document.getElementById('load-more-selector');
+    this.pickLoadMoreBtn = document.getElementById('pick-load-more');
+    this.autoLoadAttemptsInput = document.getElementById('autoload-attempts');
+    this.autoLoadWaitInput = document.getElementById('autoload-wait');
+    this.autoLoadMaxRowsInput = document.getElementById('autoload-max-rows');
+    this.autoLoadTimeLimitInput = document.getElementById('autoload-time-limit');
+    
+    // Drill-down options
+    this.drillDownOptions = document.getElementById('drill-down-options');
+    this.drillDownDepthInput = document.getElementById('drill-down-depth');
+    this.drillDownPagesInput = document.getElementById('drill-down-pages');
+    this.drillDownConcurrencyInput = document.getElementById('drill-down-concurrency');
+    this.drillDownTimeoutInput = document.getElementById('drill-down-timeout');
+    this.drillDownDelayInput = document.getElementById('drill-down-delay');
+    this.drillDownLog = document.getElementById('drill-down-log');
+    
+    // Pagination section
+    this.enablePaginationCheckbox = document.getElementById('enable-pagination');
+    this.paginationOptions = document.getElementById('pagination-options');
+    this.maxPagesInput = document.getElementById('max-pages');
+    this.pageDelayInput = document.getElementById('page-delay');
+    this.nextSelectorTypeSelect = document.getElementById('next-selector-type');
+    this.nextSelectorInput = document.getElementById('next-selector');
+    this.pickNextBtn = document.getElementById('pick-next');
+    this.testNextBtn = document.getElementById('test-next');
+    this.startPaginationBtn = document.getElementById('start-pagination');
+    this.stopPaginationBtn = document.getElementById('stop-pagination');
+    
+    // Batch section
+    this.batchUrlsInput = document.getElementById('batch-urls');
+    this.importBatchUrlsBtn = document.getElementById('import-batch-urls');
+    this.importBatchFileInput = document.getElementById('import-batch-file');
+    this.batchUrlCount = document.getElementById('batch-url-count');
+    this.batchConcurrencyInput = document.getElementById('batch-concurrency');
+    this.batchTimeoutInput = document.getElementById('batch-timeout');
+    this.batchRetriesInput = document.getElementById('batch-retries');
+    this.batchDelayInput = document.getElementById('batch-delay');
+    this.startBatchBtn = document.getElementById('start-batch');
+    this.stopBatchBtn = document.getElementById('stop-batch');
+    this.batchLog = document.getElementById('batch-log');
+    
+    // Change monitoring section
+    this.enableMonitorCheckbox = document.getElementById('enable-monitor');
+    this.monitorOptions = document.getElementById('monitor-options');
+    this.monitorKeyColumns = document.getElementById('monitor-key-columns');
+    this.monitorConditions = document.getElementById('monitor-conditions');
+    this.monitorConditionChangeSelect = document.getElementById('monitor-condition-change');
+    this.monitorConditionColumnSelect = document.getElementById('monitor-condition-column');
+    this.addMonitorConditionBtn = document.getElementById('add-monitor-condition');
+    this.monitorNotifyCheckbox = document.getElementById('monitor-notify');
+    
+    // Schedules section
+    this.scheduleRecipeSelect = document.getElementById('schedule-recipe');
+    this.scheduleUrlInput = document.getElementById('schedule-url');
+    this.scheduleFrequencySelect = document.getElementById('schedule-frequency');
+    this.scheduleIntervalGroup = document.getElementById('schedule-interval-group');
+    this.scheduleIntervalInput = document.getElementById('schedule-interval');
+    this.scheduleTimeGroup = document.getElementById('schedule-time-group');
+    this.scheduleTimeInput = document.getElementById('schedule-time');
+    this.addScheduleBtn = document.getElementById('add-schedule');
+    this.schedulesList = document.getElementById('schedules-list');
+    this.scheduleRunsList = document.getElementById('schedule-runs');
+    
     // Preview section
     this.previewData = document.getElementById('preview-data');
     this.dataCount = document.getElementById('data-count');
+    this.copySelectionText = document.getElementById('copy-selection');
+    this.copyHeadersCheckbox = document.getElementById('copy-headers');
+    this.copyTableBtn = document.getElementById('copy-table');
+    this.copyJsonBtn = document.getElementById('copy-json');
     
     // Export section
     this.exportCsvBtn = document.getElementById('export-csv');
     this.exportJsonBtn = document.getElementById('export-json');
     this.exportXlsxBtn = document.getElementById('export-xlsx');
+    this.exportWebhookBtn = document.getElementById('export-webhook');
+    this.exportFormatSelect = document.getElementById('export-format');
+    this.exportOtherBtn = document.getElementById('export-other');
+    this.exportTableNameGroup = document.getElementById('export-table-name-group');
+    this.exportTableNameInput = document.getElementById('export-table-name');
     this.filenameInput = document.getElementById('filename');
+    this.saveAsCheckbox = document.getElementById('save-as');
+    this.saveAsNote = document.getElementById('save-as-note');
+    this.filenameConflictSelect = document.getElementById('filename-conflict');
+    this.downloadResult = document.getElementById('download-result');
+    this.downloadResultName = document.getElementById('download-result-name');
+    this.showInFolderBtn = document.getElementById('show-in-folder');
+    
+    // Every registered export format, including those with their own button
+    this.exportFormatSelect.innerHTML = WebScraperExporters.list()
+      .map(format => `<option value="${format.id}">${format.label} (.${format.extension})</option>`)
+      .join('');
+    
+    // Webhook delivery section
+    this.enableWebhookCheckbox = document.getElementById('enable-webhook');
+    this.webhookOptions = document.getElementById('webhook-options');
+    this.webhookUrlInput = document.getElementById('webhook-url');
+    this.webhookFormatSelect = document.getElementById('webhook-format');
+    this.webhookHeadersInput = document.getElementById('webhook-headers');
+    this.webhookBatchSizeInput = document.getElementById('webhook-batch-size');
+    this.webhookRetriesInput = document.getElementById('webhook-retries');
+    this.webhookBackoffInput = document.getElementById('webhook-backoff');
+    this.webhookOnScheduleCheckbox = document.getElementById('webhook-on-schedule');
+    this.webhookLogList = document.getElementById('webhook-log');
     
     // Progress section
     this.progressSection = document.getElementById('progress-section');
     this.progressFill = document.getElementById('progress-fill');
     this.progressText = document.getElementById('progress-text');
+    this.cancelAutoLoadBtn = document.getElementById('cancel-autoload');
+    this.stopDrillDownBtn = document.getElementById('stop-drill-down');
     
     // Status section
     this.statusBar = document.getElementById('status-bar');
@@ -604,10 +803,30 @@ class WebScraperPopup {
    * Sets up all user interaction handlers
    */
   attachEventListeners() {
+    // ========= RECIPES =========
+    this.recipeSelect.addEventListener('change', () => this.selectRecipe(this.recipeSelect.value));
+    this.loadMatchingRecipeBtn.addEventListener('click', () => this.loadMatchingRecipe());
+    this.saveRecipeBtn.addEventListener('click', () => this.saveRecipe());
+    this.saveRecipeAsBtn.addEventListener('click', () => this.saveRecipeAsNew());
+    this.duplicateRecipeBtn.addEventListener('click', () => this.duplicateRecipe());
+    this.deleteRecipeBtn.addEventListener('click', () => this.deleteRecipe());
+    this.exportRecipeBtn.addEventListener('click', () => this.exportRecipe());
+    this.importRecipeBtn.addEventListener('click', () => this.importRecipeFileInput.click());
+    this.importRecipeFileInput.addEventListener('change', () => {
+      const [file] = this.importRecipeFileInput.files;
+      if (file) this.importRecipe(file);
+      this.importRecipeFileInput.value = '';     // Allow re-importing the same file
+    });
+    
     // ========= MODE SWITCHING =========
     this.selectModeBtn.addEventListener('click', () => this.switchMode('select'));
     this.cssModeBtn.addEventListener('click', () => this.switchMode('css'));
     
+    // ========= SELECT SIMILAR =========
+    this.similarModeCheckbox.addEventListener('change', () => this.toggleSimilarMode());
+    this.addSimilarBtn.addEventListener('click', () => this.addSimilarColumn());
+    this.resetSimilarBtn.addEventListener('click', () => this.resetSimilarSelection());
+    
     // ========= CSS SELECTOR TESTING AND ADDING =========
     this.testSelectorBtn.addEventListener('click', () => this.testCssSelector());
     this.addSelectorBtn.addEventListener('click', () => this.addManualSelector());
@@ -615,9 +834,57 @@ class WebScraperPopup {
       if (e.key === 'Enter') this.testCssSelector();
     });
     
+    // ========= STRUCTURED DATA =========
+    this.extractStructuredBtn.addEventListener('click', () => this.extractStructuredData());
+    this.previewData.addEventListener('click', (e) => {
+      const mapButton = e.target.closest('.map-structured-btn');
+      if (mapButton) {
+        this.addStructuredColumn(
+          parseInt(mapButton.getAttribute('data-item'), 10),
+          mapButton.getAttribute('data-field')
+        );
+      } else if (e.target.closest('.show-scraped-btn')) {
+        this.updatePreview(this.scrapedData);
+      } else if (e.target.closest('.clear-diff-btn')) {
+        this.clearComparison();
+      } else if (e.target.closest('.preview-table')) {
+        this.handlePreviewClick(e);
+      }
+    });
+    
+    // ========= CLIPBOARD COPY =========
+    this.copyTableBtn.addEventListener('click', () => this.copyToClipboard('table'));
+    this.copyJsonBtn.addEventListener('click', () => this.copyToClipboard('json'));
+    
+    // ========= TABLE IMPORT =========
+    this.detectTablesBtn.addEventListener('click', () => this.detectTables());
+    this.tablesList.addEventListener('click', (e) => {
+      const button = e.target.closest('.import-table-btn');
+      if (button) this.importTable(parseInt(button.getAttribute('data-index'), 10));
+    });
+    this.tablesList.addEventListener('mouseover', (e) => {
+      const item = e.target.closest('.table-item');
+      if (item) this.highlightTable(parseInt(item.getAttribute('data-index'), 10));
+    });
+    this.tablesList.addEventListener('mouseleave', () => this.highlightTable(null));
+    
+    // ========= PREVIEW ROWS ON THE PAGE =========
+    this.previewData.addEventListener('mouseover', (e) => {
+      const row = e.target.closest('.preview-table tr[data-index]');
+      this.highlightPageRow(row ? parseInt(row.getAttribute('data-index'), 10) : null);
+    });
+    this.previewData.addEventListener('mouseleave', () => this.highlightPageRow(null));
+    
     // ========= ELEMENT MANAGEMENT =========
     this.clearSelectionsBtn.addEventListener('click', () => this.clearAllSelections());
     
+    // ========= ROW CONTAINER =========
+    this.setContainerBtn.addEventListener('click', () => this.setRowContainer());
+    this.clearContainerBtn.addEventListener('click', () => this.clearRowContainer());
+    this.containerSelectorInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.setRowContainer();
+    });
+    
     // ========= SCRAPING ACTIONS - FIXED for detached window =========
     this.scrapeDataBtn.addEventListener('click', (e) => {
       e.preventDefault();
@@ -631,10 +898,127 @@ class WebScraperPopup {
       this.scrapeData();
     });
     
+    // ========= AUTO-LOAD =========
+    this.enableAutoLoadCheckbox.addEventListener('change', () => {
+      this.autoLoadOptions.classList.toggle('hidden', !this.enableAutoLoadCheckbox.checked);
+      this.saveStoredData();
+    });
+    this.autoLoadModeSelect.addEventListener('change', () => {
+      this.loadMoreGroup.classList.toggle('hidden', this.autoLoadModeSelect.value !== 'button');
+      this.saveStoredData();
+    });
+    [this.loadMoreTypeSelect, this.loadMoreSelectorInput, this.autoLoadAttemptsInput,
+      this.autoLoadWaitInput, this.autoLoadMaxRowsInput, this.autoLoadTimeLimitInput].forEach(input => {
+      input.addEventListener('change', () => this.saveStoredData());
+    });
+    this.pickLoadMoreBtn.addEventListener('click', () => this.pickLoadMoreButton());
+    this.cancelAutoLoadBtn.addEventListener('click', () => this.cancelAutoLoad());
+    
+    // ========= DRILL-DOWN =========
+    [this.drillDownDepthInput, this.drillDownPagesInput, this.drillDownConcurrencyInput,
+      this.drillDownTimeoutInput, this.drillDownDelayInput].forEach(input => {
+      input.addEventListener('change', () => this.saveStoredData());
+    });
+    this.stopDrillDownBtn.addEventListener('click', () => this.stopDrillDown());
+    
+    // ========= PAGINATION =========
+    this.enablePaginationCheckbox.addEventListener('change', () => {
+      this.paginationOptions.classList.toggle('hidden', !this.enablePaginationCheckbox.checked);
+      this.saveStoredData();
+    });
+    [this.maxPagesInput, this.pageDelayInput, this.nextSelectorTypeSelect, this.nextSelectorInput].forEach(input => {
+      input.addEventListener('change', () => this.saveStoredData());
+    });
+    this.pickNextBtn.addEventListener('click', () => this.pickNextButton());
+    this.testNextBtn.addEventListener('click', () => this.testNextButton());
+    this.startPaginationBtn.addEventListener('click', () => this.startPagination());
+    this.stopPaginationBtn.addEventListener('click', () => this.stopPagination());
+    
+    // ========= BATCH SCRAPING =========
+    this.batchUrlsInput.addEventListener('input', () => this.updateBatchUrlCount());
+    this.batchUrlsInput.addEventListener('change', () => this.saveStoredData());
+    [this.batchConcurrencyInput, this.batchTimeoutInput, this.batchRetriesInput, this.batchDelayInput].forEach(input => {
+      input.addEventListener('change', () => this.saveStoredData());
+    });
+    this.importBatchUrlsBtn.addEventListener('click', () => this.importBatchFileInput.click());
+    this.importBatchFileInput.addEventListener('change', () => {
+      const [file] = this.importBatchFileInput.files;
+      if (file) this.importBatchUrls(file);
+      this.importBatchFileInput.value = '';      // Allow re-importing the same file
+    });
+    this.startBatchBtn.addEventListener('click', () => this.startBatch());
+    this.stopBatchBtn.addEventListener('click', () => this.stopBatch());
+    
+    // ========= CHANGE MONITORING =========
+    this.enableMonitorCheckbox.addEventListener('change', () => {
+      this.monitorSettings.enabled = this.enableMonitorCheckbox.checked;
+      this.monitorOptions.classList.toggle('hidden', !this.monitorSettings.enabled);
+      if (!this.monitorSettings.enabled) this.clearComparison();
+      this.saveStoredData();
+    });
+    this.monitorNotifyCheckbox.addEventListener('change', () => {
+      this.monitorSettings.notify = this.monitorNotifyCheckbox.checked;
+      this.saveStoredData();
+    });
+    this.monitorKeyColumns.addEventListener('change', (e) => {
+      const column = e.target.getAttribute('data-column');
+      const keys = this.monitorSettings.keyColumns.filter(key => key !== column);
+      this.monitorSettings.keyColumns = e.target.checked ? [...keys, column] : keys;
+      this.updatePreview(this.scrapedData);
+      this.saveStoredData();
+    });
+    this.monitorConditionChangeSelect.addEventListener('change', () => {
+      this.monitorConditionColumnSelect.disabled = !DIFF_CONDITIONS[this.monitorConditionChangeSelect.value].needsColumn;
+    });
+    this.addMonitorConditionBtn.addEventListener('click', () => this.addMonitorCondition());
+    this.monitorConditions.addEventListener('click', (e) => {
+      const button = e.target.closest('.remove-condition-btn');
+      if (button) this.removeMonitorCondition(parseInt(button.getAttribute('data-index'), 10));
+    });
+    
+    // ========= SCHEDULES =========
+    this.scheduleFrequencySelect.addEventListener('change', () => this.updateScheduleFrequency());
+    this.addScheduleBtn.addEventListener('click', () => this.addSchedule());
+    this.schedulesList.addEventListener('click', (e) => {
+      const button = e.target.closest('.schedule-action');
+      if (!button) return;
+      
+      const scheduleId = button.getAttribute('data-id');
+      switch (button.getAttribute('data-action')) {
+        case 'run': this.runScheduleNow(scheduleId); break;
+        case 'toggle': this.toggleSchedule(scheduleId); break;
+        case 'delete': this.deleteSchedule(scheduleId); break;
+      }
+    });
+    this.scheduleRunsList.addEventListener('click', (e) => {
+      const button = e.target.closest('.view-snapshot-btn');
+      if (button) this.viewSnapshot(button.getAttribute('data-id'));
+    });
+    
     // ========= EXPORT BUTTONS =========
     this.exportCsvBtn.addEventListener('click', () => this.exportData('csv'));
     this.exportJsonBtn.addEventListener('click', () => this.exportData('json'));
     this.exportXlsxBtn.addEventListener('click', () => this.exportData('xlsx'));
+    this.exportWebhookBtn.addEventListener('click', () => this.sendToWebhook());
+    this.exportOtherBtn.addEventListener('click', () => this.exportData(this.exportFormatSelect.value));
+    this.exportFormatSelect.addEventListener('change', () => this.updateExportFormat());
+    this.exportTableNameInput.addEventListener('change', () => this.saveStoredData());
+    [this.filenameInput, this.saveAsCheckbox, this.filenameConflictSelect].forEach(input => {
+      input.addEventListener('change', () => this.saveStoredData());
+    });
+    this.showInFolderBtn.addEventListener('click', () => this.showInFolder());
+    chrome.downloads.onChanged.addListener(delta => this.handleDownloadChanged(delta));
+    
+    // ========= WEBHOOK DELIVERY =========
+    [this.enableWebhookCheckbox, this.webhookUrlInput, this.webhookFormatSelect, this.webhookHeadersInput,
+      this.webhookBatchSizeInput, this.webhookRetriesInput, this.webhookBackoffInput,
+      this.webhookOnScheduleCheckbox].forEach(input => {
+      input.addEventListener('change', () => this.readWebhookForm());
+    });
+    
+    // ========= SETTINGS =========
+    this.openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    WebScraperSettings.onChange((settings) => this.applySettings(settings));
     
     // ========= CHROME EXTENSION MESSAGING =========
     // Listen for messages from content script
@@ -648,516 +1032,3006 @@ class WebScraperPopup {
   }
 
   // ========================================
-  // MODE MANAGEMENT
+  // RECIPES
   // ========================================
 
   /**
-   * Switch between selection modes: 'select' (point-and-click) or 'css' (manual input)
-   * @param {string} mode - The mode to switch to ('select' or 'css')
+   * Current configuration in the shape stored in a recipe
+   * @returns {Object} { elements, rowContainer, autoLoad, pagination, drillDown, monitor, webhook }
    */
-  switchMode(mode) {
-    this.currentMode = mode;
-    
-    if (mode === 'select') {
-      // ========= SELECT MODE (Point-and-click) =========
-      this.selectModeBtn.classList.add('btn-primary');
-      this.selectModeBtn.classList.remove('btn-secondary');
-      this.cssModeBtn.classList.add('btn-secondary');
-      this.cssModeBtn.classList.remove('btn-primary');
-      this.cssInputSection.classList.add('hidden');
-      this.enableElementSelection();
-    } else {
-      // ========= CSS MODE (Manual selector input) =========
-      this.cssModeBtn.classList.add('btn-primary');
-      this.cssModeBtn.classList.remove('btn-secondary');
-      this.selectModeBtn.classList.add('btn-secondary');
-      this.selectModeBtn.classList.remove('btn-primary');
-      this.cssInputSection.classList.remove('hidden');
-      this.disableElementSelection();
-    }
+  getRecipeConfig() {
+    return {
+      elements: this.selectedElements,
+      rowContainer: this.rowContainer,
+      autoLoad: this.getAutoLoadSettings(),
+      pagination: this.getPaginationSettings(),
+      drillDown: this.getDrillDownSettings(),
+      monitor: this.monitorSettings,
+      webhook: this.webhookSettings
+    };
   }
 
-  // ========================================
-  // COMMUNICATION WITH CONTENT SCRIPT - FIXED
-  // ========================================
-
   /**
-   * Send message to content script with timeout and error handling - FIXED for detached window
-   * @param {Object} message - Message to send to content script
-   * @param {number} timeout - Timeout in milliseconds (default: 10000)
-   * @returns {Promise} Response from content script
+   * Replace the current configuration with a recipe's
+   * @param {Object} config - Recipe configuration
    */
-  async sendMessageToTab(message, timeout = 10000) {
+  async applyRecipeConfig(config) {
+    this.selectedElements = JSON.parse(JSON.stringify(config.elements || []));
+    this.rowContainer = config.rowContainer || null;
+    this.editingElementId = null;
+    
+    if (config.autoLoad) this.applyAutoLoadSettings(config.autoLoad);
+    if (config.pagination) this.applyPaginationSettings(config.pagination);
+    if (config.drillDown) this.applyDrillDownSettings(config.drillDown);
+    this.applyMonitorSettings(config.monitor || { enabled: false, keyColumns: [], conditions: [], notify: true });
+    this.applyWebhookSettings(config.webhook || WebScraperWebhook.defaults());
+    
+    this.updateElementsList();
+    this.updateContainerDisplay();
+    this.updatePreview(this.scrapedData);   // Column names and transforms may have changed
+    this.updateExportButtons();
+    this.saveStoredData();
+    
     try {
-      let targetTabId = null;
-
-      if (this.isDetachedWindow) {
-        // For detached windows, use stored target tab ID
-        if (this.targetTabId) {
-          targetTabId = this.targetTabId;
-        } else {
-          // Try to find an active tab if we don't have a stored one
-          await this.findActiveTab();
-          targetTabId = this.targetTabId;
-        }
-
-        if (!targetTabId) {
-          throw new Error('No target tab found. Please click on a webpage tab first.');
-        }
-      } else {
-        // For regular popup, get active tab in current window
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (!tab) {
-          throw new Error('No active tab found');
-        }
-        targetTabId = tab.id;
-      }
-
-      // Verify the tab still exists and is accessible
-      try {
-        const tab = await chrome.tabs.get(targetTabId);
-        if (!tab || !tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
-          throw new Error('Cannot access this type of page. Please navigate to a regular webpage.');
-        }
-      } catch (tabError) {
-        if (this.isDetachedWindow) {
-          // Tab might have been closed, try to find a new one
-          await this.findActiveTab();
-          targetTabId = this.targetTabId;
-          if (!targetTabId) {
-            throw new Error('Target tab no longer exists. Please click on a webpage tab first.');
-          }
-        } else {
-          throw new Error('Cannot access the current tab');
-        }
-      }
-      
-      return new Promise((resolve, reject) => {
-        const timeoutId = setTimeout(() => {
-          reject(new Error('Message timeout - the webpage may not be responding'));
-        }, timeout);
-        
-        chrome.tabs.sendMessage(targetTabId, message, (response) => {
-          clearTimeout(timeoutId);
-          
-          if (chrome.runtime.lastError) {
-            const errorMsg = chrome.runtime.lastError.message;
-            if (errorMsg.includes('Could not establish connection')) {
-              reject(new Error('Cannot connect to webpage. The page may need to be refreshed or the content script may not be loaded.'));
-            } else {
-              reject(new Error(errorMsg));
-            }
-            return;
-          }
-          
-          if (!response) {
-            reject(new Error('No response from webpage'));
-            return;
-          }
-          
-          resolve(response);
-        });
-      });
+      await this.broadcastToTab({ action: 'setRowContainer', container: this.rowContainer });
     } catch (error) {
-      throw new Error(`Failed to communicate with webpage: ${error.message}`);
+      console.error('Row container sync error:', error);
     }
   }
 
-  // ========================================
-  // ELEMENT SELECTION FUNCTIONALITY
-  // ========================================
-
   /**
-   * Enable point-and-click element selection on the webpage
+   * Load saved recipes and offer the ones matching the target page
    */
-  async enableElementSelection() {
+  async loadRecipes() {
     try {
-      await this.sendMessageToTab({ action: 'enableSelection' });
-      this.isSelecting = true;
-      this.updateStatus('Click elements on the page to select them', 'info');
+      this.recipes = await WebScraperRecipes.load();
+      
+      // Forget the active recipe if it was deleted meanwhile
+      if (!this.recipes.some(recipe => recipe.id === this.activeRecipeId)) {
+        this.activeRecipeId = null;
+      }
+      
+      const tab = await chrome.tabs.get(await this.resolveTargetTabId());
+      this.targetUrl = tab.url;
+      this.matchingRecipes = WebScraperRecipes.findMatching(this.recipes, tab.url);
+      
+      if (!this.recipePatternInput.value) {
+        this.recipePatternInput.value = WebScraperRecipes.patternFromUrl(tab.url);
+      }
     } catch (error) {
-      this.updateStatus(`Error enabling selection: ${error.message}`, 'error');
-      console.error('Selection enable error:', error);
+      console.error('Error loading recipes:', error);
+      this.matchingRecipes = [];
     }
+    
+    this.updateRecipeSelect();
+    this.updateRecipeMatch();
   }
 
   /**
-   * Disable point-and-click element selection
+   * Rebuild the recipe dropdown; recipes matching this page are starred
    */
-  async disableElementSelection() {
-    try {
-      await this.sendMessageToTab({ action: 'disableSelection' });
-      this.isSelecting = false;
-      this.updateStatus('Selection mode disabled', 'info');
-    } catch (error) {
-      console.error('Selection disable error:', error);
+  updateRecipeSelect() {
+    const matchingIds = new Set(this.matchingRecipes.map(recipe => recipe.id));
+    
+    this.recipeSelect.innerHTML = '<option value="">— Unsaved configuration —</option>';
+    this.recipes.forEach(recipe => {
+      const option = document.createElement('option');
+      option.value = recipe.id;
+      option.textContent = `${matchingIds.has(recipe.id) ? '★ ' : ''}${recipe.name}`;
+      option.title = recipe.urlPattern;
+      this.recipeSelect.appendChild(option);
+    });
+    this.recipeSelect.value = this.activeRecipeId || '';
+    
+    const activeRecipe = this.getActiveRecipe();
+    if (activeRecipe) {
+      this.recipeNameInput.value = activeRecipe.name;
+      this.recipePatternInput.value = activeRecipe.urlPattern;
     }
+    
+    this.duplicateRecipeBtn.disabled = !activeRecipe;
+    this.deleteRecipeBtn.disabled = !activeRecipe;
+    
+    this.updateScheduleRecipeSelect();
+    this.renderSchedules();
   }
 
   /**
-   * Test CSS selector and show results count
+   * Show the "recipe matches this page" banner unless one is already loaded
    */
-  async testCssSelector() {
-    const selector = this.cssSelectorInput.value.trim();
-    const type = this.selectorTypeSelect.value;
+  updateRecipeMatch() {
+    const activeMatches = this.matchingRecipes.some(recipe => recipe.id === this.activeRecipeId);
     
-    if (!selector) {
-      this.updateStatus('Please enter a selector', 'error');
+    if (this.matchingRecipes.length === 0 || activeMatches) {
+      this.recipeMatch.classList.add('hidden');
       return;
     }
+    
+    const [best] = this.matchingRecipes;
+    const others = this.matchingRecipes.length - 1;
+    this.recipeMatchText.textContent = `Saved recipe "${best.name}" matches this page` +
+      (others > 0 ? ` (+${others} more in the list)` : '');
+    this.recipeMatch.classList.remove('hidden');
+  }
 
-    try {
-      const response = await this.sendMessageToTab({
-        action: 'testSelector',
-        selector: selector,
-        type: type
-      });
-
-      if (response.success && response.count > 0) {
-        this.updateStatus(`Found ${response.count} elements with this ${type} selector`, 'success');
-      } else {
-        this.updateStatus(`No elements found with this ${type} selector`, 'error');
-      }
-    } catch (error) {
-      this.updateStatus(`Error testing selector: ${error.message}`, 'error');
-      console.error('Selector test error:', error);
-    }
+  /**
+   * The recipe the current configuration belongs to, if any
+   * @returns {Object|null} Active recipe
+   */
+  getActiveRecipe() {
+    return this.recipes.find(recipe => recipe.id === this.activeRecipeId) || null;
   }
 
   /**
-   * Add selector manually from input fields
+   * Load a recipe chosen in the dropdown
+   * @param {string} recipeId - Recipe ID, or '' for the unsaved configuration
    */
-  async addManualSelector() {
-    const columnName = this.columnNameInput.value.trim();
-    const selector = this.cssSelectorInput.value.trim();
-    const type = this.selectorTypeSelect.value;
+  async selectRecipe(recipeId) {
+    const recipe = this.recipes.find(r => r.id === recipeId);
     
-    // Validate inputs
-    if (!columnName) {
-      this.updateStatus('Please enter a column name', 'error');
-      return;
+    this.activeRecipeId = recipe ? recipe.id : null;
+    if (recipe) {
+      await this.applyRecipeConfig(recipe.config);
+      this.updateStatus(`Loaded recipe "${recipe.name}"`, 'success');
+    } else {
+      this.recipeNameInput.value = '';
+      this.saveStoredData();
     }
     
-    if (!selector) {
-      this.updateStatus('Please enter a selector', 'error');
-      return;
-    }
-
-    try {
-      // Test selector first
-      const response = await this.sendMessageToTab({
-        action: 'testSelector',
-        selector: selector,
-        type: type
-      });
+    this.updateRecipeSelect();
+    this.updateRecipeMatch();
+  }
 
-      if (response.success && response.count > 0) {
-        // Add element to selection
-        this.addElement(selector, type, columnName, response.count);
-        this.updateStatus(`Added ${response.count} elements with ${type} selector`, 'success');
-        
-        // Clear input fields
-        this.columnNameInput.value = '';
-        this.cssSelectorInput.value = '';
-      } else {
-        this.updateStatus(`No elements found with this ${type} selector`, 'error');
-      }
-    } catch (error) {
-      this.updateStatus(`Error adding selector: ${error.message}`, 'error');
-      console.error('Selector add error:', error);
+  /**
+   * Load the best recipe offered in the match banner
+   */
+  loadMatchingRecipe() {
+    if (this.matchingRecipes.length > 0) {
+      this.selectRecipe(this.matchingRecipes[0].id);
     }
   }
 
-  // ========================================
-  // ELEMENT MANAGEMENT
-  // ========================================
-
   /**
-   * Add element to selection list
-   * @param {string} selector - CSS selector or XPath
-   * @param {string} type - Selector type ('css' or 'xpath')
-   * @param {string} columnName - Column name for data export
-   * @param {number} count - Number of matching elements
+   * Read and validate the name and URL pattern inputs
+   * @returns {Object|null} { name, urlPattern }, or null if invalid
    */
-  addElement(selector, type = 'css', columnName = '', count = 1) {
-    // Check if selector already exists
-    const existing = this.selectedElements.find(el => el.selector === selector && el.type === type);
-    if (existing) {
-      this.updateStatus('Element already selected', 'error');
-      return;
+  getRecipeFormValues() {
+    const name = this.recipeNameInput.value.trim();
+    const urlPattern = this.recipePatternInput.value.trim();
+    
+    if (!name) {
+      this.updateStatus('Please enter a recipe name', 'error');
+      return null;
     }
+    if (!urlPattern) {
+      this.updateStatus('Please enter a URL pattern', 'error');
+      return null;
+    }
+    
+    return { name, urlPattern };
+  }
 
-    // Create element object
-    const element = {
-      selector: selector,
-      type: type,
-      columnName: columnName || `Column_${this.selectedElements.length + 1}`,
-      count: count,
-      id: Date.now().toString()
-    };
-
-    // Add to selection and update UI
-    this.selectedElements.push(element);
+  /**
+   * Save the current configuration into the active recipe (also renames it),
+   * or as a new recipe if none is active
+   */
+  async saveRecipe() {
+    const activeRecipe = this.getActiveRecipe();
+    if (!activeRecipe) {
+      await this.saveRecipeAsNew();
+      return;
+    }
+    
+    const values = this.getRecipeFormValues();
+    if (!values) return;
+    
+    Object.assign(activeRecipe, values, {
+      config: JSON.parse(JSON.stringify(this.getRecipeConfig())),
+      updatedAt: new Date().toISOString()
+    });
+    
+    await this.persistRecipes(`Saved recipe "${activeRecipe.name}"`);
+  }
+
+  /**
+   * Save the current configuration as a new recipe
+   */
+  async saveRecipeAsNew() {
+    const values = this.getRecipeFormValues();
+    if (!values) return;
+    
+    const recipe = WebScraperRecipes.create(values.name, values.urlPattern, this.getRecipeConfig());
+    this.recipes.push(recipe);
+    this.activeRecipeId = recipe.id;
+    
+    await this.persistRecipes(`Created recipe "${recipe.name}"`);
+  }
+
+  /**
+   * Copy the active recipe and switch to the copy
+   */
+  async duplicateRecipe() {
+    const activeRecipe = this.getActiveRecipe();
+    if (!activeRecipe) return;
+    
+    const copy = WebScraperRecipes.duplicate(activeRecipe, this.recipes);
+    this.recipes.push(copy);
+    this.activeRecipeId = copy.id;
+    
+    await this.persistRecipes(`Created "${copy.name}"`);
+  }
+
+  /**
+   * Delete the active recipe; the current configuration stays loaded
+   */
+  async deleteRecipe() {
+    const activeRecipe = this.getActiveRecipe();
+    if (!activeRecipe) return;
+    
+    if (!confirm(`Delete recipe "${activeRecipe.name}"?`)) return;
+    
+    this.recipes = this.recipes.filter(recipe => recipe.id !== activeRecipe.id);
+    this.activeRecipeId = null;
+    this.recipeNameInput.value = '';
+    
+    await this.persistRecipes(`Deleted recipe "${activeRecipe.name}"`);
+  }
+
+  /**
+   * Save the recipe list and refresh the recipe UI
+   * @param {string} message - Status message on success
+   */
+  async persistRecipes(message) {
+    try {
+      await WebScraperRecipes.save(this.recipes);
+      this.saveStoredData();
+      await this.loadRecipes();
+      this.updateStatus(message, 'success');
+    } catch (error) {
+      this.updateStatus(`Error saving recipes: ${error.message}`, 'error');
+      console.error('Recipe save error:', error);
+    }
+  }
+
+  /**
+   * Download the current configuration as a versioned recipe document
+   */
+  async exportRecipe() {
+    if (this.selectedElements.length === 0) {
+      this.updateStatus('No elements selected to export', 'error');
+      return;
+    }
+    
+    const name = this.recipeNameInput.value.trim() || 'Untitled recipe';
+    const urlPattern = this.recipePatternInput.value.trim() || '*';
+    const doc = WebScraperRecipes.toDocument(name, urlPattern, this.getRecipeConfig());
+    
+    try {
+      const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+      const filename = name.replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'recipe';
+      await this.downloadBlob(blob, `${filename}.recipe.json`);
+      this.updateStatus(`Exported recipe "${name}"`, 'success');
+    } catch (error) {
+      this.updateStatus(`Recipe export failed: ${error.message}`, 'error');
+      console.error('Recipe export error:', error);
+    }
+  }
+
+  /**
+   * Import a recipe document: validate it, save it as a new recipe, load it,
+   * and test every selector against the current page
+   * @param {File} file - Chosen recipe file
+   */
+  async importRecipe(file) {
+    let imported;
+    try {
+      let doc;
+      try {
+        doc = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error(`${file.name} is not valid JSON (${error.message})`);
+      }
+      imported = WebScraperRecipes.fromDocument(doc);
+    } catch (error) {
+      this.updateStatus(error.message, 'error');
+      console.error('Recipe import error:', error);
+      return;
+    }
+    
+    const recipe = WebScraperRecipes.create(imported.name, imported.urlPattern, imported.config);
+    this.recipes.push(recipe);
+    this.activeRecipeId = recipe.id;
+    await this.applyRecipeConfig(recipe.config);
+    await this.persistRecipes(`Imported recipe "${recipe.name}"`);
+    
+    await this.testAllSelectors(`Imported recipe "${recipe.name}"`);
+  }
+
+  /**
+   * Run every column selector (and the row container) through testSelector
+   * so match counts reflect the current page
+   * @param {string} label - Prefix for the status message
+   */
+  async testAllSelectors(label) {
+    let matching = 0;
+    
+    try {
+      for (const element of this.selectedElements) {
+        const response = await this.sendMessageToFrame({
+          action: 'testSelector',
+          selector: element.selector,
+          type: element.type,
+          structured: element.structured,
+          exclude: element.exclude
+        }, element.frame);
+        element.count = response.success ? response.count : 0;
+        if (element.count > 0) matching++;
+      }
+      
+      if (this.rowContainer) {
+        const response = await this.sendMessageToTab({
+          action: 'testSelector',
+          selector: this.rowContainer.selector,
+          type: this.rowContainer.type
+        });
+        this.rowContainer.count = response.success ? response.count : 0;
+      }
+    } catch (error) {
+      this.updateStatus(`${label}, but testing selectors failed: ${error.message}`, 'warning');
+      console.error('Selector test error:', error);
+      return;
+    }
+    
     this.updateElementsList();
-    this.updateExportButtons();
+    this.updateContainerDisplay();
     this.saveStoredData();
+    
+    const total = this.selectedElements.length;
+    this.updateStatus(`${label}: ${matching} of ${total} selectors match this page`,
+      matching === total ? 'success' : 'warning');
   }
 
+  // ========================================
+  // MODE MANAGEMENT
+  // ========================================
+
   /**
-   * Edit an existing element - enters edit mode
-   * @param {string} elementId - ID of element to edit
+   * Switch between selection modes: 'select' (point-and-click) or 'css' (manual input)
+   * @param {string} mode - The mode to switch to ('select' or 'css')
    */
-  editElement(elementId) {
-    const element = this.selectedElements.find(el => el.id === elementId);
-    if (!element) return;
+  switchMode(mode) {
+    this.currentMode = mode;
+    
+    if (mode === 'select') {
+      // ========= SELECT MODE (Point-and-click) =========
+      this.selectModeBtn.classList.add('btn-primary');
+      this.selectModeBtn.classList.remove('btn-secondary');
+      this.cssModeBtn.classList.add('btn-secondary');
+      this.cssModeBtn.classList.remove('btn-primary');
+      this.cssInputSection.classList.add('hidden');
+      this.enableElementSelection();
+    } else {
+      // ========= CSS MODE (Manual selector input) =========
+      this.cssModeBtn.classList.add('btn-primary');
+      this.cssModeBtn.classList.remove('btn-secondary');
+      this.selectModeBtn.classList.add('btn-secondary');
+      this.selectModeBtn.classList.remove('btn-primary');
+      this.cssInputSection.classList.remove('hidden');
+      this.similarResult = null;
+      this.updateSimilarDisplay();
+      this.disableElementSelection();
+    }
+  }
 
-    this.editingElementId = elementId;
-    this.updateElementsList();
+  // ========================================
+  // COMMUNICATION WITH CONTENT SCRIPT - FIXED
+  // ========================================
+
+  /**
+   * Resolve the tab the popup works on - the stored target tab in detached
+   * windows, the active tab otherwise - and check it can be scripted
+   * @returns {Promise<number>} ID of the target tab
+   */
+  async resolveTargetTabId() {
+    let targetTabId = null;
+
+    if (this.isDetachedWindow) {
+      // For detached windows, use stored target tab ID
+      if (this.targetTabId) {
+        targetTabId = this.targetTabId;
+      } else {
+        // Try to find an active tab if we don't have a stored one
+        await this.findActiveTab();
+        targetTabId = this.targetTabId;
+      }
+
+      if (!targetTabId) {
+        throw new Error('No target tab found. Please click on a webpage tab first.');
+      }
+    } else {
+      // For regular popup, get active tab in current window
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) {
+        throw new Error('No active tab found');
+      }
+      targetTabId = tab.id;
+    }
+
+    // Verify the tab still exists and is accessible
+    try {
+      const tab = await chrome.tabs.get(targetTabId);
+      if (!tab || !tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
+        throw new Error('Cannot access this type of page. Please navigate to a regular webpage.');
+      }
+    } catch (tabError) {
+      if (this.isDetachedWindow) {
+        // Tab might have been closed, try to find a new one
+        await this.findActiveTab();
+        targetTabId = this.targetTabId;
+        if (!targetTabId) {
+          throw new Error('Target tab no longer exists. Please click on a webpage tab first.');
+        }
+      } else {
+        throw new Error('Cannot access the current tab');
+      }
+    }
+    
+    return targetTabId;
   }
 
   /**
-   * Save edited element after validation
-   * @param {string} elementId - ID of element being edited
-   * @param {string} newColumnName - New column name
-   * @param {string} newSelector - New selector
-   * @param {string} newType - New selector type
+   * Send message to content script with timeout and error handling - FIXED for detached window
+   * @param {Object} message - Message to send to content script
+   * @param {number} timeout - Timeout in milliseconds (default: 10000)
+   * @returns {Promise} Response from content script
    */
-  async saveEditedElement(elementId, newColumnName, newSelector, newType) {
-    const elementIndex = this.selectedElements.findIndex(el => el.id === elementId);
-    if (elementIndex === -1) return;
+  async sendMessageToTab(message, timeout = 10000, frameId = 0) {
+    try {
+      const targetTabId = await this.resolveTargetTabId();
+      
+      return new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+          reject(new Error('Message timeout - the webpage may not be responding'));
+        }, timeout);
+        
+        // The content script runs in every frame; null reaches them all
+        const options = frameId === null ? {} : { frameId: frameId };
+        chrome.tabs.sendMessage(targetTabId, message, options, (response) => {
+          clearTimeout(timeoutId);
+          
+          if (chrome.runtime.lastError) {
+            const errorMsg = chrome.runtime.lastError.message;
+            if (errorMsg.includes('Could not establish connection')) {
+              reject(new Error('Cannot connect to webpage. The page may need to be refreshed or the content script may not be loaded.'));
+            } else {
+              reject(new Error(errorMsg));
+            }
+            return;
+          }
+          
+          if (!response) {
+            reject(new Error('No response from webpage'));
+            return;
+          }
+          
+          resolve(response);
+        });
+      });
+    } catch (error) {
+      throw new Error(`Failed to communicate with webpage: ${error.message}`);
+    }
+  }
 
-    // Validate inputs
-    if (!newColumnName.trim()) {
-      this.updateStatus('Column name cannot be empty', 'error');
-      return;
+  /**
+   * Send a message to the content script of every frame, e.g. to turn
+   * selection on in cross-origin iframes too. Resolves with the first reply
+   * @param {Object} message - Message to send
+   * @returns {Promise<Object>} Response from one of the frames
+   */
+  async broadcastToTab(message) {
+    return this.sendMessageToTab(message, 10000, null);
+  }
+
+  /**
+   * Send a message to the frame a column lives in: the top page, or the
+   * cross-origin frame showing the column's frame address
+   * @param {Object} message - Message to send
+   * @param {string|null} frame - Frame address (see frames.js)
+   * @returns {Promise<Object>} Response from the content script
+   */
+  async sendMessageToFrame(message, frame) {
+    if (!frame) return this.sendMessageToTab(message);
+    
+    const frameId = await WebScraperFrames.findFrameId(await this.resolveTargetTabId(), frame);
+    if (frameId === null) {
+      throw new Error(`The frame ${frame} is not on this page`);
     }
+    return this.sendMessageToTab(message, 10000, frameId);
+  }
 
-    if (!newSelector.trim()) {
-      this.updateStatus('Selector cannot be empty', 'error');
+  // ========================================
+  // ELEMENT SELECTION FUNCTIONALITY
+  // ========================================
+
+  /**
+   * Enable point-and-click element selection on the webpage
+   */
+  async enableElementSelection() {
+    try {
+      const similar = this.similarModeCheckbox.checked;
+      await this.broadcastToTab({ action: 'enableSelection', container: this.rowContainer, similar: similar });
+      this.isSelecting = true;
+      this.updateStatus(similar
+        ? 'Click two or more similar elements on the page (arrow keys move, Enter picks, Esc stops)'
+        : 'Click elements on the page to select them (arrow keys move, Enter picks, Esc stops)', 'info');
+    } catch (error) {
+      this.updateStatus(`Error enabling selection: ${error.message}`, 'error');
+      console.error('Selection enable error:', error);
+    }
+  }
+
+  /**
+   * Disable point-and-click element selection
+   */
+  async disableElementSelection() {
+    try {
+      await this.broadcastToTab({ action: 'disableSelection' });
+      this.isSelecting = false;
+      this.updateStatus('Selection mode disabled', 'info');
+    } catch (error) {
+      console.error('Selection disable error:', error);
+    }
+  }
+
+  /**
+   * Test CSS selector and show results count
+   */
+  async testCssSelector() {
+    const selector = this.cssSelectorInput.value.trim();
+    const type = this.selectorTypeSelect.value;
+    
+    if (!selector) {
+      this.updateStatus('Please enter a selector', 'error');
       return;
     }
 
     try {
-      // Test the new selector
       const response = await this.sendMessageToTab({
         action: 'testSelector',
-        selector: newSelector,
-        type: newType
+        selector: selector,
+        type: type
       });
 
       if (response.success && response.count > 0) {
-        // Update element
-        this.selectedElements[elementIndex] = {
-          ...this.selectedElements[elementIndex],
-          columnName: newColumnName.trim(),
-          selector: newSelector.trim(),
-          type: newType,
-          count: response.count
-        };
-        
-        // Exit edit mode and update UI
-        this.editingElementId = null;
-        this.updateElementsList();
-        this.updateStatus(`Element updated successfully (${response.count} matches)`, 'success');
+        this.updateStatus(`Found ${response.count} elements with this ${type} selector`, 'success');
+      } else {
+        this.updateStatus(`No elements found with this ${type} selector`, 'error');
+      }
+    } catch (error) {
+      this.updateStatus(`Error testing selector: ${error.message}`, 'error');
+      console.error('Selector test error:', error);
+    }
+  }
+
+  /**
+   * Add selector manually from input fields
+   */
+  async addManualSelector() {
+    const columnName = this.columnNameInput.value.trim();
+    const selector = this.cssSelectorInput.value.trim();
+    const type = this.selectorTypeSelect.value;
+    
+    // Validate inputs
+    if (!columnName) {
+      this.updateStatus('Please enter a column name', 'error');
+      return;
+    }
+    
+    if (!selector) {
+      this.updateStatus('Please enter a selector', 'error');
+      return;
+    }
+
+    try {
+      // Test selector first
+      const response = await this.sendMessageToTab({
+        action: 'testSelector',
+        selector: selector,
+        type: type
+      });
+
+      if (response.success && response.count > 0) {
+        // Add element to selection
+        this.addElement(selector, type, columnName, response.count);
+        this.updateStatus(`Added ${response.count} elements with ${type} selector`, 'success');
+        
+        // Clear input fields
+        this.columnNameInput.value = '';
+        this.cssSelectorInput.value = '';
+      } else {
+        this.updateStatus(`No elements found with this ${type} selector`, 'error');
+      }
+    } catch (error) {
+      this.updateStatus(`Error adding selector: ${error.message}`, 'error');
+      console.error('Selector add error:', error);
+    }
+  }
+
+  // ========================================
+  // SELECT SIMILAR
+  // ========================================
+
+  /**
+   * Turn "select similar" on or off; re-enables selection on the page so the
+   * content script switches click behaviour
+   */
+  async toggleSimilarMode() {
+    this.similarResult = null;
+    this.updateSimilarDisplay();
+    this.similarSection.classList.toggle('hidden', !this.similarModeCheckbox.checked);
+    
+    if (this.currentMode === 'select') {
+      await this.enableElementSelection();
+    }
+  }
+
+  /**
+   * Show the live selector and match count reported by the content script
+   * @param {Object} message - 'similarSelectorUpdated' message
+   */
+  handleSimilarUpdate(message) {
+    this.similarResult = message.selector
+      ? { selector: message.selector, count: message.count, frame: message.frame || null }
+      : null;
+    this.updateSimilarDisplay();
+    
+    if (message.error) {
+      this.updateStatus(message.error, 'error');
+    } else if (message.sampleCount === 1) {
+      this.updateStatus('Now click another element of the same kind', 'info');
+    } else if (message.sampleCount > 1) {
+      this.updateStatus(`${message.count} similar elements highlighted on the page`, 'success');
+    }
+  }
+
+  /**
+   * Render the pending similar selector and count
+   */
+  updateSimilarDisplay() {
+    if (this.similarResult) {
+      this.similarSelectorDisplay.textContent = this.similarResult.selector;
+      this.similarSelectorDisplay.title = this.similarResult.selector;
+      this.similarCount.textContent = this.similarResult.count;
+    } else {
+      this.similarSelectorDisplay.textContent = 'Click an element on the page';
+      this.similarSelectorDisplay.title = '';
+      this.similarCount.textContent = 0;
+    }
+    this.addSimilarBtn.disabled = !this.similarResult;
+  }
+
+  /**
+   * Add the generalized selector as a new column and start over
+   */
+  addSimilarColumn() {
+    if (!this.similarResult) return;
+    
+    const columnName = this.similarColumnNameInput.value.trim();
+    const count = this.selectedElements.length;
+    this.addElement(this.similarResult.selector, 'css', columnName, this.similarResult.count, this.similarResult.frame);
+    
+    if (this.selectedElements.length > count) {
+      this.updateStatus(`Added column with ${this.similarResult.count} matches`, 'success');
+      this.similarColumnNameInput.value = '';
+      this.resetSimilarSelection();
+    }
+  }
+
+  /**
+   * Clear the collected samples on the page and the pending result
+   */
+  async resetSimilarSelection() {
+    this.similarResult = null;
+    this.updateSimilarDisplay();
+    
+    try {
+      await this.broadcastToTab({ action: 'resetSimilar' });
+    } catch (error) {
+      console.error('Similar reset error:', error);
+    }
+  }
+
+  // ========================================
+  // STRUCTURED DATA
+  // ========================================
+
+  /**
+   * Read JSON-LD, Microdata, RDFa, OpenGraph and Twitter data from the page
+   * and show it in the preview
+   */
+  async extractStructuredData() {
+    try {
+      const response = await this.sendMessageToTab({ action: 'extractStructuredData' });
+      if (!response.success) {
+        throw new Error(response.error || 'Structured data extraction failed');
+      }
+
+      this.structuredItems = response.items;
+      this.showStructuredPreview();
+      this.updateStatus(
+        response.items.length > 0
+          ? `Found ${response.items.length} structured data item${response.items.length === 1 ? '' : 's'}. Click ＋ to add a field as a column.`
+          : 'No structured data found on this page',
+        response.items.length > 0 ? 'success' : 'info'
+      );
+    } catch (error) {
+      this.updateStatus(`Error reading structured data: ${error.message}`, 'error');
+      console.error('Structured data error:', error);
+    }
+  }
+
+  /**
+   * Show the structured data items in the preview, one row per field
+   */
+  showStructuredPreview() {
+    const rows = [];
+    this.structuredItems.forEach((item, itemIndex) => {
+      Object.entries(item.fields).forEach(([field, value]) => {
+        rows.push({ item, itemIndex, field, value });
+      });
+    });
+
+    this.dataCount.textContent = rows.length;
+
+    if (rows.length === 0) {
+      this.previewData.innerHTML = '<p class="placeholder">No structured data on this page</p>';
+      return;
+    }
+
+    const isMapped = (item, field) => this.selectedElements.some(element =>
+      element.type === 'structured' &&
+      element.structured.source === item.source &&
+      element.structured.itemType === item.type &&
+      element.structured.field === field
+    );
+
+    this.previewData.innerHTML = `
+      <div class="structured-preview-bar">
+        <span>Structured data: ${this.structuredItems.length} items, ${rows.length} fields</span>
+        <button class="btn btn-sm btn-secondary show-scraped-btn">Show scraped data</button>
+      </div>
+      <table class="preview-table structured-table">
+        <thead>
+          <tr><th>Source</th><th>Type</th><th>Field</th><th>Value</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(({ item, itemIndex, field, value }) => `
+            <tr>
+              <td>${this.escapeHtml(item.source)}</td>
+              <td>${this.escapeHtml(item.type || '-')}</td>
+              <td title="${this.escapeHtml(field)}">${this.escapeHtml(field)}</td>
+              <td title="${this.escapeHtml(value)}">${this.escapeHtml(value)}</td>
+              <td>
+                <button class="action-btn map-structured-btn" data-item="${itemIndex}" data-field="${this.escapeHtml(field)}"
+                  title="Add as column" ${isMapped(item, field) ? 'disabled' : ''}>＋</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Add a structured data field as a column next to the CSS/XPath columns
+   * @param {number} itemIndex - Index into structuredItems
+   * @param {string} field - Flattened field path, e.g. "offers.price"
+   */
+  addStructuredColumn(itemIndex, field) {
+    const item = this.structuredItems[itemIndex];
+    if (!item) return;
+
+    const spec = { source: item.source, itemType: item.type, field: field };
+    const count = this.structuredItems.filter(other =>
+      other.source === spec.source && other.type === spec.itemType && field in other.fields
+    ).length;
+
+    // Name the column after the last path segment, e.g. "offers[0].price" -> "price"
+    const baseName = field.replace(/\[\d+\]/g, '').split('.').pop() || field;
+    const usedNames = new Set(this.selectedElements.map(element => element.columnName));
+    let columnName = baseName;
+    for (let i = 2; usedNames.has(columnName); i++) {
+      columnName = `${baseName}_${i}`;
+    }
+
+    this.selectedElements.push({
+      selector: `${spec.source} › ${spec.itemType || '(untyped)'} › ${field}`,
+      type: 'structured',
+      structured: spec,
+      columnName: columnName,
+      count: count,
+      extract: { mode: 'auto', name: '' },
+      transforms: [],
+      id: Date.now().toString()
+    });
+
+    this.updateElementsList();
+    this.updateExportButtons();
+    this.saveStoredData();
+    this.showStructuredPreview();
+    this.updateStatus(`Added column "${columnName}" (${count} value${count === 1 ? '' : 's'})`, 'success');
+  }
+
+  // ========================================
+  // TABLE IMPORT
+  // ========================================
+
+  /**
+   * Find the data tables on the page and list them
+   */
+  async detectTables() {
+    try {
+      const response = await this.sendMessageToTab({ action: 'detectTables' });
+      if (!response.success) {
+        throw new Error(response.error || 'Table detection failed');
+      }
+
+      this.renderTablesList(response.tables);
+      this.updateStatus(
+        response.tables.length > 0
+          ? `Found ${response.tables.length} table${response.tables.length === 1 ? '' : 's'}. Hover to locate, click Import to use one.`
+          : 'No data tables found on this page',
+        response.tables.length > 0 ? 'success' : 'info'
+      );
+    } catch (error) {
+      this.updateStatus(`Error detecting tables: ${error.message}`, 'error');
+      console.error('Table detection error:', error);
+    }
+  }
+
+  /**
+   * Show detected tables with their size and headers
+   * @param {Array} tables - Table summaries from the content script
+   */
+  renderTablesList(tables) {
+    this.tablesList.classList.toggle('hidden', tables.length === 0);
+    this.tablesList.innerHTML = tables.map(table => `
+      <div class="table-item" data-index="${table.index}">
+        <div class="table-item-header">
+          <span class="table-item-title">${this.escapeHtml(table.caption || `Table ${table.index + 1}`)}</span>
+          <span class="table-item-size">${table.rows} × ${table.columns}</span>
+          <button class="btn btn-sm btn-primary import-table-btn" data-index="${table.index}">Import</button>
+        </div>
+        <div class="table-item-headers" title="${this.escapeHtml(table.headers.join(', '))}">
+          ${table.hasHeader ? this.escapeHtml(table.headers.join(' · ')) : 'No header row'}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Outline a detected table on the page
+   * @param {number|null} index - Table index, or null to clear
+   */
+  async highlightTable(index) {
+    try {
+      await this.sendMessageToTab({ action: 'highlightTable', index: index });
+    } catch (error) {
+      console.error('Table highlight error:', error);
+    }
+  }
+
+  /**
+   * Replace the columns and row container with those generated from a table
+   * @param {number} index - Table index from detectTables
+   */
+  async importTable(index) {
+    if (this.selectedElements.length > 0 &&
+        !confirm('Replace the current columns with the columns of this table?')) {
+      return;
+    }
+
+    try {
+      const response = await this.sendMessageToTab({ action: 'importTable', index: index });
+      if (!response.success) {
+        throw new Error(response.error || 'Table import failed');
+      }
+
+      const baseId = Date.now();
+      this.selectedElements = response.columns.map((column, i) => ({
+        selector: column.selector,
+        type: column.type,
+        columnName: column.columnName,
+        count: column.count,
+        extract: { mode: 'auto', name: '' },
+        transforms: [],
+        tableColumn: column.tableColumn,   // Logical column, robust to rowspan/colspan
+        id: (baseId + i).toString()
+      }));
+      this.rowContainer = response.container;
+      this.editingElementId = null;
+      this.scrapedData = [];
+
+      await this.broadcastToTab({ action: 'setRowContainer', container: this.rowContainer });
+
+      this.updateElementsList();
+      this.updateContainerDisplay();
+      this.updatePreview([]);
+      this.updateExportButtons();
+      this.saveStoredData();
+      this.updateStatus(
+        `Imported ${response.columns.length} columns and ${response.container.count} rows. Click "Scrape Data" to extract.`,
+        'success'
+      );
+    } catch (error) {
+      this.updateStatus(`Error importing table: ${error.message}`, 'error');
+      console.error('Table import error:', error);
+    }
+  }
+
+  // ========================================
+  // ROW CONTAINER MANAGEMENT
+  // ========================================
+
+  /**
+   * Set the row container from the input fields
+   * Each container match becomes one row and column selectors are evaluated inside it
+   */
+  async setRowContainer() {
+    const selector = this.containerSelectorInput.value.trim();
+    const type = this.containerTypeSelect.value;
+    
+    if (!selector) {
+      this.updateStatus('Please enter a row container selector', 'error');
+      return;
+    }
+
+    try {
+      const response = await this.sendMessageToTab({
+        action: 'testSelector',
+        selector: selector,
+        type: type
+      });
+
+      if (response.success && response.count > 0) {
+        this.rowContainer = { selector: selector, type: type, count: response.count };
+        await this.broadcastToTab({ action: 'setRowContainer', container: this.rowContainer });
+        this.updateContainerDisplay();
         this.saveStoredData();
+        this.updateStatus(`Row container set (${response.count} rows)`, 'success');
       } else {
-        this.updateStatus(`No elements found with this ${newType} selector`, 'error');
+        this.updateStatus(`No elements found with this ${type} selector`, 'error');
+      }
+    } catch (error) {
+      this.updateStatus(`Error setting row container: ${error.message}`, 'error');
+      console.error('Row container error:', error);
+    }
+  }
+
+  /**
+   * Remove the row container and go back to index-based row building
+   */
+  async clearRowContainer() {
+    this.rowContainer = null;
+    this.updateContainerDisplay();
+    this.saveStoredData();
+    this.updateStatus('Row container cleared', 'info');
+
+    try {
+      await this.broadcastToTab({ action: 'setRowContainer', container: null });
+    } catch (error) {
+      console.error('Row container clear error:', error);
+    }
+  }
+
+  /**
+   * Sync the row container inputs and info line with the current state
+   */
+  updateContainerDisplay() {
+    if (this.rowContainer) {
+      this.containerSelectorInput.value = this.rowContainer.selector;
+      this.containerTypeSelect.value = this.rowContainer.type;
+      this.containerInfo.textContent = `Rows are built from ${this.rowContainer.count} container matches`;
+      this.containerInfo.classList.remove('hidden');
+    } else {
+      this.containerSelectorInput.value = '';
+      this.containerInfo.textContent = '';
+      this.containerInfo.classList.add('hidden');
+    }
+  }
+
+  // ========================================
+  // ELEMENT MANAGEMENT
+  // ========================================
+
+  /**
+   * Add element to selection list
+   * @param {string} selector - CSS selector or XPath
+   * @param {string} type - Selector type ('css' or 'xpath')
+   * @param {string} columnName - Column name for data export
+   * @param {number} count - Number of matching elements
+   * @param {string|null} frame - Address of the cross-origin frame the column lives in
+   * @param {Array} alternatives - Ranked selectors for the picked element [{ selector, type, score, count }]
+   */
+  addElement(selector, type = 'css', columnName = '', count = 1, frame = null, alternatives = []) {
+    // Check if selector already exists
+    const existing = this.selectedElements.find(el =>
+      el.selector === selector && el.type === type && (el.frame || null) === frame);
+    if (existing) {
+      this.updateStatus('Element already selected', 'error');
+      return;
+    }
+
+    // Create element object
+    const element = {
+      selector: selector,
+      type: type,
+      columnName: columnName || `Column_${this.selectedElements.length + 1}`,
+      count: count,
+      extract: { mode: 'auto', name: '' },  // What to pull out of each match
+      transforms: [],                       // Cleaning steps applied to each value
+      ...(frame ? { frame: frame } : {}),   // Scraped by messaging that frame (see frames.js)
+      ...(alternatives.length > 0 ? { alternatives: alternatives } : {}), // Offered when editing
+      id: Date.now().toString()
+    };
+
+    // Add to selection and update UI
+    this.selectedElements.push(element);
+    this.updateElementsList();
+    this.updateExportButtons();
+    this.saveStoredData();
+  }
+
+  /**
+   * Show the columns on the page: every match in its column's color, with
+   * a badge of the column name and row number
+   */
+  async showColumnsOnPage() {
+    try {
+      await this.broadcastToTab({ action: 'showColumns', elements: this.selectedElements });
+    } catch (error) {
+      // Pages the content script can't run on have nothing to show
+      console.warn('Could not show columns on the page:', error.message);
+    }
+  }
+
+  /**
+   * Leave a match out of a column after a Shift+click on the page, and
+   * count the matches again
+   * @param {Object} message - 'elementExcluded' message { index, selector, exclude } or { error }
+   */
+  async excludeFromColumn(message) {
+    if (message.error) {
+      this.updateStatus(message.error, 'error');
+      return;
+    }
+    
+    // The column may have changed since the page last got the columns
+    const element = this.selectedElements[message.index];
+    if (!element || element.selector !== message.selector) {
+      this.updateStatus('The columns changed; Shift+click the element again', 'error');
+      return;
+    }
+    
+    if (!(element.exclude || []).includes(message.exclude)) {
+      element.exclude = [...(element.exclude || []), message.exclude];
+    }
+    // An open edit form would otherwise save its older list over it
+    if (this.editingElementId === element.id && !this.editingExclude.includes(message.exclude)) {
+      this.editingExclude.push(message.exclude);
+    }
+    
+    try {
+      const response = await this.sendMessageToFrame({
+        action: 'testSelector',
+        selector: element.selector,
+        type: element.type,
+        exclude: element.exclude
+      }, element.frame);
+      if (response.success) element.count = response.count;
+      
+      this.updateStatus(`Excluded ${message.exclude} from "${element.columnName}" (${element.count} matches left)`, 'success');
+    } catch (error) {
+      this.updateStatus(`Excluded ${message.exclude}, but counting matches failed: ${error.message}`, 'warning');
+    }
+    
+    this.updateElementsList();
+    this.saveStoredData();
+  }
+
+  /**
+   * Outline the page elements of a preview row and scroll to them
+   * @param {number|null} index - Row index in the scraped data, null to clear
+   */
+  async highlightPageRow(index) {
+    if (index === this.highlightedRow) return;
+    this.highlightedRow = index;
+    
+    try {
+      await this.broadcastToTab({ action: 'highlightRow', index: index });
+    } catch (error) {
+      console.error('Row highlight error:', error);
+    }
+  }
+
+  /**
+   * Edit an existing element - enters edit mode
+   * @param {string} elementId - ID of element to edit
+   */
+  editElement(elementId) {
+    const element = this.selectedElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    this.editingElementId = elementId;
+    this.editingTransforms = JSON.parse(JSON.stringify(element.transforms || []));
+    this.editingFollow = JSON.parse(JSON.stringify(
+      element.follow || { enabled: false, mode: 'merge', container: null, children: [] }
+    ));
+    this.editingExclude = [...(element.exclude || [])];
+    this.updateElementsList();
+  }
+
+  /**
+   * Save edited element after validation
+   * @param {string} elementId - ID of element being edited
+   * @param {string} newColumnName - New column name
+   * @param {string} newSelector - New selector
+   * @param {string} newType - New selector type
+   * @param {Object} newExtract - Extraction spec { mode, name }
+   * @param {Object} newFollow - Follow-link settings { enabled, mode, container, children }
+   */
+  async saveEditedElement(elementId, newColumnName, newSelector, newType, newExtract = { mode: 'auto', name: '' }, newFollow = null) {
+    const elementIndex = this.selectedElements.findIndex(el => el.id === elementId);
+    if (elementIndex === -1) return;
+
+    // Validate inputs
+    if (!newColumnName.trim()) {
+      this.updateStatus('Column name cannot be empty', 'error');
+      return;
+    }
+
+    if (!newSelector.trim()) {
+      this.updateStatus('Selector cannot be empty', 'error');
+      return;
+    }
+
+    if ((newExtract.mode === 'attribute' || newExtract.mode === 'property') && !newExtract.name.trim()) {
+      this.updateStatus(`Please enter the ${newExtract.mode} name to extract`, 'error');
+      return;
+    }
+
+    const newTransforms = this.editingTransforms || [];
+    const transformErrors = WebScraperTransforms.validate(newTransforms, 'steps');
+    if (transformErrors.length > 0) {
+      this.updateStatus(`Invalid transform: ${transformErrors[0]}`, 'error');
+      return;
+    }
+
+    const followError = newFollow && this.validateFollow(newFollow, elementId);
+    if (followError) {
+      this.updateStatus(followError, 'error');
+      return;
+    }
+
+    try {
+      // Test the new selector
+      const response = await this.sendMessageToFrame({
+        action: 'testSelector',
+        selector: newSelector,
+        type: newType,
+        structured: this.selectedElements[elementIndex].structured,
+        exclude: this.editingExclude
+      }, this.selectedElements[elementIndex].frame);
+
+      if (response.success && response.count > 0) {
+        // Update element
+        this.selectedElements[elementIndex] = {
+          ...this.selectedElements[elementIndex],
+          columnName: newColumnName.trim(),
+          selector: newSelector.trim(),
+          type: newType,
+          // A hand-edited selector replaces the imported table column binding
+          tableColumn: newSelector.trim() === this.selectedElements[elementIndex].selector &&
+            newType === this.selectedElements[elementIndex].type
+            ? this.selectedElements[elementIndex].tableColumn
+            : undefined,
+          extract: { mode: newExtract.mode, name: newExtract.name.trim() },
+          transforms: newTransforms,
+          // Child columns are kept while following is switched off
+          follow: newFollow && (newFollow.enabled || newFollow.children.length > 0) ? newFollow : undefined,
+          exclude: this.editingExclude.length > 0 ? this.editingExclude : undefined,
+          count: response.count
+        };
+        
+        // Exit edit mode and update UI
+        this.editingElementId = null;
+        this.editingTransforms = null;
+        this.editingFollow = null;
+        this.editingExclude = null;
+        this.updateElementsList();
+        this.updatePreview(this.scrapedData);
+        this.updateStatus(`Element updated successfully (${response.count} matches)`, 'success');
+        this.saveStoredData();
+      } else {
+        this.updateStatus(`No elements found with this ${newType} selector`, 'error');
+      }
+    } catch (error) {
+      this.updateStatus(`Error testing updated selector: ${error.message}`, 'error');
+      console.error('Selector test error:', error);
+    }
+  }
+
+  /**
+   * Cancel editing element
+   */
+  cancelEditElement() {
+    this.editingElementId = null;
+    this.editingTransforms = null;
+    this.editingFollow = null;
+    this.editingExclude = null;
+    this.updateElementsList();
+    this.updatePreview(this.scrapedData);   // Drop unsaved transform changes from the preview
+  }
+
+  /**
+   * Remove element from selection
+   * @param {string} elementId - ID of element to remove
+   */
+  removeElement(elementId) {
+    this.selectedElements = this.selectedElements.filter(el => el.id !== elementId);
+    this.editingElementId = null;
+    this.updateElementsList();
+    this.updateExportButtons();
+    this.saveStoredData();
+  }
+
+  /**
+   * Clear all selected elements and reset data
+   */
+  clearAllSelections() {
+    this.selectedElements = [];
+    this.scrapedData = [];
+    this.diffBaseline = null;
+    this.editingElementId = null;
+    this.updateElementsList();
+    this.updatePreview([]);
+    this.updateExportButtons();
+    this.saveStoredData();
+    this.updateStatus('All selections cleared', 'info');
+  }
+
+  /**
+   * Update the elements list display with edit functionality - FIXED for detached window
+   * Creates the UI for managing selected elements
+   */
+  updateElementsList() {
+    this.elementCount.textContent = this.selectedElements.length;
+    this.showColumnsOnPage();
+    this.updateDrillDownVisibility();
+    this.renderMonitorColumns();
+    
+    // Show placeholder if no elements selected
+    if (this.selectedElements.length === 0) {
+      this.elementsList.innerHTML = '<p class="placeholder">No elements selected</p>';
+      return;
+    }
+
+
+    // Generate HTML for each element
+    this.elementsList.innerHTML = this.selectedElements.map((element, index) => {
+      const isEditing = this.editingElementId === element.id;
+      const extract = element.extract || { mode: 'auto', name: '' };
+      
+      if (isEditing) {
+        // ========= EDIT MODE UI =========
+        return `
+          <div class="element-item edit-mode">
+            <div class="edit-form">
+              <div class="form-group">
+                <label>Column Name:</label>
+                <input type="text" class="edit-column-name" value="${this.escapeHtml(element.columnName)}">
+              </div>
+              <div class="form-group">
+                <label>Selector Type:</label>
+                <select class="edit-selector-type">
+                  ${element.type === 'structured' ? `
+                    <option value="structured" selected>Structured Data</option>
+                  ` : `
+                    <option value="css" ${element.type === 'css' ? 'selected' : ''}>CSS Selector</option>
+                    <option value="xpath" ${element.type === 'xpath' ? 'selected' : ''}>XPath</option>
+                  `}
+                </select>
+              </div>
+              <div class="form-group">
+                <label>Selector:</label>
+                <input type="text" class="edit-selector" value="${this.escapeHtml(element.selector)}"
+                  ${element.type === 'structured' ? 'readonly' : ''}>
+              </div>
+              ${element.alternatives && element.alternatives.length > 0 ? `
+                <div class="form-group">
+                  <label>Alternatives (most stable first):</label>
+                  <div class="selector-alternatives">
+                    ${element.alternatives.map(alternative => `
+                      <button type="button" class="selector-alternative ${alternative.selector === element.selector && alternative.type === element.type ? 'active' : ''}"
+                        data-selector="${this.escapeHtml(alternative.selector)}" data-type="${alternative.type}"
+                        title="${this.escapeHtml(alternative.selector)}">
+                        <span class="alternative-score" title="Stability score">${alternative.score ?? '–'}</span>
+                        <span class="element-type ${alternative.type}">${alternative.type}</span>
+                        <span class="alternative-selector">${this.escapeHtml(alternative.selector)}</span>
+                        <span class="alternative-count">${alternative.count} ${alternative.count === 1 ? 'match' : 'matches'}</span>
+                      </button>
+                    `).join('')}
+                  </div>
+                </div>
+              ` : ''}
+              ${this.editingExclude.length > 0 ? `
+                <div class="form-group">
+                  <label>Excluded (Shift+click on the page to add):</label>
+                  <div class="exclude-list">
+                    ${this.editingExclude.map((selector, excludeIndex) => `
+                      <div class="exclude-item">
+                        <span class="exclude-selector" title="${this.escapeHtml(selector)}">${this.escapeHtml(selector)}</span>
+                        <button class="action-btn exclude-remove-btn" data-index="${excludeIndex}" title="Include again">✕</button>
+                      </div>
+                    `).join('')}
+                  </div>
+                </div>
+              ` : ''}
+              <div class="form-group ${element.type === 'structured' ? 'hidden' : ''}">
+                <label>Extract:</label>
+                <div class="form-row">
+                  <select class="edit-extract-mode">
+                    ${PopupExtractModes.map(mode => `
+                      <option value="${mode.value}" ${extract.mode === mode.value ? 'selected' : ''}>${mode.label}</option>
+                    `).join('')}
+                  </select>
+                  <input type="text" class="edit-extract-name" value="${this.escapeHtml(extract.name)}"
+                    placeholder="e.g., alt, data-sku, title"
+                    ${extract.mode === 'attribute' || extract.mode === 'property' ? '' : 'disabled'}>
+                </div>
+              </div>
+              <div class="form-group">
+                <label>Transforms:</label>
+                <div class="transform-steps">${this.renderTransformSteps()}</div>
+                <select class="transform-add">
+                  <option value="">+ Add step...</option>
+                  ${Object.entries(TRANSFORM_TYPES).map(([type, spec]) => `
+                    <option value="${type}">${spec.label}</option>
+                  `).join('')}
+                </select>
+              </div>
+              ${this.renderFollowForm()}
+              <div class="button-group">
+                <button class="btn btn-sm btn-success save-edit-btn" data-id="${element.id}">Save</button>
+                <button class="btn btn-sm btn-secondary cancel-edit-btn">Cancel</button>
+              </div>
+            </div>
+          </div>
+        `;
+      } else {
+        // ========= DISPLAY MODE UI =========
+        return `
+          <div class="element-item">
+            <div class="element-header">
+              <span class="column-color" style="background: ${WebScraperSettings.columnColor(this.settings, index)}"
+                title="Color of this column on the page"></span>
+              <span class="element-column-name">${this.escapeHtml(element.columnName)}</span>
+              <span class="element-type ${element.type}">${element.type}</span>
+              ${extract.mode !== 'auto' ? `<span class="element-extract">${this.escapeHtml(this.describeExtract(extract))}</span>` : ''}
+              ${element.transforms && element.transforms.length > 0 ? `
+                <span class="element-transforms" title="${this.describeTransforms(element.transforms)}">ƒ ${element.transforms.length}</span>
+              ` : ''}
+              ${element.frame ? `
+                <span class="element-frame" title="Scraped in the frame ${this.escapeHtml(element.frame)}">▣ ${this.escapeHtml(this.describeFrame(element.frame))}</span>
+              ` : ''}
+              ${element.exclude && element.exclude.length > 0 ? `
+                <span class="element-exclude" title="Leaves out matches in: ${this.escapeHtml(element.exclude.join(', '))}">⊘ ${element.exclude.length}</span>
+              ` : ''}
+              ${element.follow && element.follow.enabled ? `
+                <span class="element-follow" title="Follows links: ${this.escapeHtml(element.follow.children.map(child => child.columnName).join(', '))}">↪ ${element.follow.children.length}</span>
+              ` : ''}
+              <div class="element-actions">
+                <button class="action-btn edit-btn" data-id="${element.id}" title="Edit">✏️</button>
+                <button class="action-btn remove-btn" data-id="${element.id}" title="Remove">🗑️</button>
+              </div>
+            </div>
+            <div class="element-selector" title="${this.escapeHtml(element.selector)}">
+              ${this.escapeHtml(element.selector)} (${element.count} matches)
+            </div>
+          </div>
+        `;
+      }
+    }).join('');
+
+    // ========= ATTACH EVENT LISTENERS - FIXED using event delegation =========
+    // Remove any existing event listener to prevent duplicates
+    this.elementsList.removeEventListener('click', this.elementsListClickHandler);
+    
+    // Create and store the click handler
+    this.elementsListClickHandler = (e) => {
+      // Checkboxes must keep their default toggle
+      if (e.target.type !== 'checkbox') e.preventDefault();
+      e.stopPropagation();
+      
+      // Handle edit button clicks
+      if (e.target.classList.contains('edit-btn')) {
+        const elementId = e.target.getAttribute('data-id');
+        this.editElement(elementId);
+        return;
+      }
+      
+      // Handle remove button clicks
+      if (e.target.classList.contains('remove-btn')) {
+        const elementId = e.target.getAttribute('data-id');
+        this.removeElement(elementId);
+        return;
+      }
+      
+      // Handle save edit button clicks
+      if (e.target.classList.contains('save-edit-btn')) {
+        const elementId = e.target.getAttribute('data-id');
+        const editForm = e.target.closest('.edit-form');
+        if (editForm) {
+          const newColumnName = editForm.querySelector('.edit-column-name').value;
+          const newSelector = editForm.querySelector('.edit-selector').value;
+          const newType = editForm.querySelector('.edit-selector-type').value;
+          const newExtract = {
+            mode: editForm.querySelector('.edit-extract-mode').value,
+            name: editForm.querySelector('.edit-extract-name').value
+          };
+          const newFollow = this.readFollowForm(editForm);
+          
+          this.saveEditedElement(elementId, newColumnName, newSelector, newType, newExtract, newFollow);
+        }
+        return;
+      }
+      
+      // Handle selector alternative clicks: fill the selector fields
+      const alternative = e.target.closest('.selector-alternative');
+      if (alternative) {
+        const editForm = alternative.closest('.edit-form');
+        editForm.querySelector('.edit-selector').value = alternative.getAttribute('data-selector');
+        editForm.querySelector('.edit-selector-type').value = alternative.getAttribute('data-type');
+        editForm.querySelectorAll('.selector-alternative').forEach(button => {
+          button.classList.toggle('active', button === alternative);
+        });
+        return;
+      }
+      
+      // Handle exclusion remove clicks; the count is updated on save
+      if (e.target.classList.contains('exclude-remove-btn')) {
+        this.editingExclude.splice(parseInt(e.target.getAttribute('data-index'), 10), 1);
+        e.target.closest('.exclude-item').remove();
+        return;
+      }
+      
+      // Handle cancel edit button clicks
+      if (e.target.classList.contains('cancel-edit-btn')) {
+        this.cancelEditElement();
+        return;
+      }
+      
+      // Handle transform step move/remove clicks
+      if (e.target.classList.contains('transform-step-btn')) {
+        const index = parseInt(e.target.getAttribute('data-index'), 10);
+        this.changeTransformStep(index, e.target.getAttribute('data-action'));
+        return;
+      }
+      
+      // Handle follow-link child column add/remove clicks
+      if (e.target.classList.contains('add-follow-child-btn')) {
+        this.editingFollow.children.push(this.createFollowChild());
+        this.refreshFollowChildren();
+        return;
+      }
+      if (e.target.classList.contains('follow-child-remove-btn')) {
+        this.editingFollow.children.splice(parseInt(e.target.getAttribute('data-index'), 10), 1);
+        this.refreshFollowChildren();
+        return;
+      }
+    };
+
+    // Use event delegation to handle dynamically created buttons
+    this.elementsList.addEventListener('click', this.elementsListClickHandler);
+    
+    // Transform step edits refresh the preview as the user types
+    this.elementsList.removeEventListener('input', this.elementsListInputHandler);
+    this.elementsListInputHandler = (e) => {
+      if (e.target.classList.contains('transform-param')) {
+        const index = parseInt(e.target.closest('.transform-step').getAttribute('data-index'), 10);
+        this.editingTransforms[index][e.target.getAttribute('data-param')] = e.target.value;
+        this.updatePreview(this.scrapedData);
+      } else if (e.target.classList.contains('transform-add') && e.target.value) {
+        this.editingTransforms.push({ type: e.target.value });
+        e.target.value = '';
+        this.refreshTransformSteps();
+      } else if (e.target.classList.contains('follow-child-param')) {
+        const index = parseInt(e.target.closest('.follow-child').getAttribute('data-index'), 10);
+        this.editingFollow.children[index][e.target.getAttribute('data-param')] = e.target.value;
+      } else if (e.target.classList.contains('edit-follow-enabled')) {
+        e.target.closest('.follow-group').querySelector('.follow-options').classList.toggle('hidden', !e.target.checked);
+      }
+    };
+    this.elementsList.addEventListener('input', this.elementsListInputHandler);
+    
+    // Only attribute and property extraction need a name
+    const extractModeSelect = this.elementsList.querySelector('.edit-extract-mode');
+    if (extractModeSelect) {
+      extractModeSelect.addEventListener('change', () => {
+        const nameInput = extractModeSelect.closest('.form-row').querySelector('.edit-extract-name');
+        nameInput.disabled = extractModeSelect.value !== 'attribute' && extractModeSelect.value !== 'property';
+      });
+    }
+  }
+
+  /**
+   * HTML for the transform steps of the column being edited
+   * @returns {string} Step rows, or a placeholder when there are none
+   */
+  renderTransformSteps() {
+    const steps = this.editingTransforms || [];
+    if (steps.length === 0) {
+      return '<p class="placeholder">No transforms - values are used as scraped</p>';
+    }
+
+
+    return steps.map((step, index) => {
+      const spec = TRANSFORM_TYPES[step.type] || { label: step.type, params: [] };
+      return `
+        <div class="transform-step" data-index="${index}">
+          <div class="transform-step-header">
+            <span class="transform-label">${index + 1}. ${spec.label}</span>
+            <div class="transform-step-actions">
+              <button class="action-btn transform-step-btn" data-action="up" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+              <button class="action-btn transform-step-btn" data-action="down" data-index="${index}" title="Move down" ${index === steps.length - 1 ? 'disabled' : ''}>↓</button>
+              <button class="action-btn transform-step-btn" data-action="remove" data-index="${index}" title="Remove">✕</button>
+            </div>
+          </div>
+          ${spec.params.map(param => `
+            <input type="text" class="transform-param" data-param="${param.name}"
+              value="${this.escapeHtml(step[param.name])}" placeholder="${this.escapeHtml(param.placeholder)}">
+          `).join('')}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Re-render the transform steps in place (keeps the rest of the edit form as typed)
+   * and refresh the preview with the new pipeline
+   */
+  refreshTransformSteps() {
+    const container = this.elementsList.querySelector('.transform-steps');
+    if (container) {
+      container.innerHTML = this.renderTransformSteps();
+    }
+    this.updatePreview(this.scrapedData);
+  }
+
+  /**
+   * Move or remove a transform step of the column being edited
+   * @param {number} index - Step index
+   * @param {string} action - 'up', 'down' or 'remove'
+   */
+  changeTransformStep(index, action) {
+    const steps = this.editingTransforms;
+    if (!steps || !steps[index]) return;
+
+    if (action === 'remove') {
+      steps.splice(index, 1);
+    } else {
+      const target = action === 'up' ? index - 1 : index + 1;
+      if (target < 0 || target >= steps.length) return;
+      [steps[index], steps[target]] = [steps[target], steps[index]];
+    }
+
+    this.refreshTransformSteps();
+  }
+
+  /**
+   * Summary of a transform pipeline, shown as a tooltip on the column
+   * @param {Array<Object>} transforms - Transform steps
+   * @returns {string} Labels such as "Strip currency → Parse number"
+   */
+  describeTransforms(transforms) {
+    return transforms.map(step => TRANSFORM_TYPES[step.type]?.label || step.type).join(' → ');
+  }
+
+  /**
+   * HTML for the follow-link settings of the column being edited
+   * @returns {string} Follow group with its child columns
+   */
+  renderFollowForm() {
+    const follow = this.editingFollow || { enabled: false, mode: 'merge', container: null, children: [] };
+    const container = follow.container || { type: 'css', selector: '' };
+
+    return `
+      <div class="form-group follow-group">
+        <label class="checkbox-label">
+          <input type="checkbox" class="edit-follow-enabled" ${follow.enabled ? 'checked' : ''}>
+          Follow link and scrape the linked page
+        </label>
+        <div class="follow-options ${follow.enabled ? '' : 'hidden'}">
+          <label>Child fields:</label>
+          <select class="edit-follow-mode">
+            <option value="merge" ${follow.mode !== 'rows' ? 'selected' : ''}>Merge into this row (first match)</option>
+            <option value="rows" ${follow.mode === 'rows' ? 'selected' : ''}>Add child rows with a Parent URL</option>
+          </select>
+          <label>Child Row Container (optional):</label>
+          <div class="form-row">
+            <select class="edit-follow-container-type container-type">
+              <option value="css" ${container.type !== 'xpath' ? 'selected' : ''}>CSS</option>
+              <option value="xpath" ${container.type === 'xpath' ? 'selected' : ''}>XPath</option>
+            </select>
+            <input type="text" class="edit-follow-container" value="${this.escapeHtml(container.selector)}" placeholder="e.g., .review">
+          </div>
+          <label>Child Columns:</label>
+          <div class="follow-children">${this.renderFollowChildren()}</div>
+          <button class="btn btn-sm btn-secondary add-follow-child-btn">+ Child Column</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * HTML for the child columns of the column being edited
+   * @returns {string} Child column rows, or a placeholder when there are none
+   */
+  renderFollowChildren() {
+    const children = this.editingFollow ? this.editingFollow.children : [];
+    if (children.length === 0) {
+      return '<p class="placeholder">No child columns yet</p>';
+    }
+
+
+    return children.map((child, index) => `
+      <div class="follow-child" data-index="${index}">
+        <input type="text" class="follow-child-param follow-child-name" data-param="columnName"
+          value="${this.escapeHtml(child.columnName)}" placeholder="Column name">
+        <select class="follow-child-param container-type" data-param="type">
+          <option value="css" ${child.type !== 'xpath' ? 'selected' : ''}>CSS</option>
+          <option value="xpath" ${child.type === 'xpath' ? 'selected' : ''}>XPath</option>
+        </select>
+        <input type="text" class="follow-child-param" data-param="selector"
+          value="${this.escapeHtml(child.selector)}" placeholder="e.g., .description">
+        <button class="action-btn follow-child-remove-btn" data-index="${index}" title="Remove">✕</button>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Re-render the child columns in place (keeps the rest of the edit form as typed)
+   */
+  refreshFollowChildren() {
+    const container = this.elementsList.querySelector('.follow-children');
+    if (container) {
+      container.innerHTML = this.renderFollowChildren();
+    }
+  }
+
+  /**
+   * New, empty child column for a follow-link column
+   * @returns {Object} Child column in the same shape as a top-level column
+   */
+  createFollowChild() {
+    return {
+      selector: '',
+      type: 'css',
+      columnName: '',
+      count: 0,
+      extract: { mode: 'auto', name: '' },
+      transforms: [],
+      id: Date.now().toString()
+    };
+  }
+
+  /**
+   * Read the follow-link settings from the edit form
+   * @param {HTMLElement} editForm - Edit form of the column
+   * @returns {Object} { enabled, mode, container, children }
+   */
+  readFollowForm(editForm) {
+    const containerSelector = editForm.querySelector('.edit-follow-container').value.trim();
+    const children = (this.editingFollow ? this.editingFollow.children : []).map(child => ({
+      ...child,
+      columnName: child.columnName.trim(),
+      selector: child.selector.trim()
+    }));
+
+    return {
+      enabled: editForm.querySelector('.edit-follow-enabled').checked,
+      mode: editForm.querySelector('.edit-follow-mode').value,
+      container: containerSelector
+        ? { selector: containerSelector, type: editForm.querySelector('.edit-follow-container-type').value }
+        : null,
+      children: children
+    };
+  }
+
+  /**
+   * Check follow-link settings before saving them
+   * @param {Object} follow - Follow-link settings
+   * @param {string} elementId - ID of the column they belong to
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateFollow(follow, elementId) {
+    if (!follow.enabled) return null;
+
+    if (follow.children.length === 0) {
+      return 'Add at least one child column to follow links';
+    }
+
+    const parentNames = new Set(this.selectedElements.filter(el => el.id !== elementId).map(el => el.columnName));
+    const childNames = new Set();
+    for (const child of follow.children) {
+      if (!child.columnName || !child.selector) {
+        return 'Every child column needs a name and a selector';
+      }
+      if (childNames.has(child.columnName)) {
+        return `Child column "${child.columnName}" is listed twice`;
+      }
+      if (follow.mode === 'merge' && parentNames.has(child.columnName)) {
+        return `Child column "${child.columnName}" would overwrite a column of the same name`;
+      }
+      childNames.add(child.columnName);
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether any column follows links to a detail page
+   * @param {Array} elements - Columns to check (defaults to the selected ones)
+   * @returns {boolean}
+   */
+  hasFollowColumns(elements = this.selectedElements) {
+    return elements.some(element => element.follow && element.follow.enabled && element.follow.children.length > 0);
+  }
+
+  /**
+   * Short label for the frame a column lives in
+   * @param {string} frame - Frame address, e.g. https://widgets.example.com/prices
+   * @returns {string} Host name of the frame
+   */
+  describeFrame(frame) {
+    try {
+      return new URL(frame).host;
+    } catch (error) {
+      return frame;
+    }
+  }
+
+  /**
+   * Columns in display order: each column followed by the child columns it
+   * brings in through followed links (recursively)
+   * @param {Array} elements - Top-level or child columns
+   * @returns {Array<Object>} Flattened columns
+   */
+  flattenColumns(elements) {
+    return elements.flatMap(element => [
+      element,
+      ...(element.follow && element.follow.enabled ? this.flattenColumns(element.follow.children) : [])
+    ]);
+  }
+
+  /**
+   * Apply each column's transforms to scraped rows. The column being edited
+   * uses its unsaved steps so the preview follows the form.
+   * @param {Array} data - Raw scraped rows
+   * @returns {Array} Transformed rows
+   */
+  applyTransforms(data) {
+    if (!data || data.length === 0) return data;
+
+    const columns = this.flattenColumns(this.selectedElements).map(element => ({
+      columnName: element.columnName,
+      transforms: element.id === this.editingElementId && this.editingTransforms
+        ? this.editingTransforms
+        : element.transforms
+    }));
+
+    return WebScraperTransforms.applyToRows(data, columns);
+  }
+
+  /**
+   * Short label for an extraction spec, shown next to the column name
+   * @param {Object} extract - Extraction spec { mode, name }
+   * @returns {string} Label such as "@alt" or ".checked"
+   */
+  describeExtract(extract) {
+    switch (extract.mode) {
+      case 'attribute':
+        return `@${extract.name}`;
+      case 'property':
+        return `.${extract.name}`;
+      default:
+        return PopupExtractModes.find(mode => mode.value === extract.mode)?.label || extract.mode;
+    }
+  }
+
+  // ========================================
+  // DATA SCRAPING FUNCTIONALITY
+  // ========================================
+
+  /**
+   * Scrape data from the page using selected elements - FIXED for detached window
+   * Communicates with content script to extract data
+   */
+  async scrapeData() {
+    if (this.selectedElements.length === 0) {
+      this.updateStatus('No elements selected for scraping', 'error');
+      return;
+    }
+
+    try {
+      // Optionally load lazy content first so the scrape sees all of it
+      let autoLoadNote = '';
+      if (this.enableAutoLoadCheckbox.checked) {
+        const autoLoadResult = await this.runAutoLoad();
+        autoLoadNote = ` (loading stopped: ${autoLoadResult.reason})`;
+      }
+      
+      this.showProgress(true, 0, 'Scraping data...');
+      
+      // Send scraping request to content script
+      // The page sends fresh rows if its content changes afterwards; columns
+      // of cross-origin frames are scraped in their frame and joined by index
+      const tabId = await this.resolveTargetTabId();
+      const response = await WebScraperFrames.scrape(tabId, {
+        action: 'scrapeData',
+        elements: this.selectedElements,
+        container: this.rowContainer,
+        watch: this.settings.autoDetectDynamicContent && !this.hasFollowColumns() &&
+          !WebScraperFrames.hasFrameColumns(this.selectedElements)
+      }, (message, frameId) => this.sendMessageToTab(message, 10000, frameId));
+
+      if (response && response.success) {
+        this.rememberBaseline();
+        this.scrapedData = response.data;
+        this.watchedScrape = { rows: response.data, tabId: tabId };
+        this.updatePreview(response.data);
+        this.updateExportButtons();
+        this.updateStatus(`Successfully scraped ${response.data.length} rows of data${autoLoadNote}${this.describeComparison()}`,
+          this.comparisonAlerts().length > 0 ? 'warning' : 'success');
+        this.saveStoredData();
+        
+        // Detail pages are visited by the background script
+        if (this.hasFollowColumns() && response.data.length > 0) {
+          await this.startDrillDown(response.data);
+        }
+      } else {
+        throw new Error(response?.error || 'Failed to scrape data');
+      }
+    } catch (error) {
+      this.updateStatus(`Scraping failed: ${error.message}`, 'error');
+      console.error('Scraping error:', error);
+    } finally {
+      if (!this.isDrillingDown) this.showProgress(false);
+    }
+  }
+
+  // ========================================
+  // AUTO-LOAD (INFINITE SCROLL / LOAD MORE)
+  // ========================================
+
+  /**
+   * Parse an integer form value and clamp it to a range
+   * @param {string} value - Raw input value
+   * @param {number} min - Lowest allowed value
+   * @param {number} max - Highest allowed value
+   * @param {number} fallback - Value used when the input isn't a number
+   * @returns {number} Clamped integer
+   */
+  clampNumber(value, min, max, fallback) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+  }
+
+  /**
+   * Read auto-load settings from the form, clamped to the allowed ranges
+   * @returns {Object} Auto-load settings
+   */
+  getAutoLoadSettings() {
+    return {
+      enabled: this.enableAutoLoadCheckbox.checked,
+      mode: this.autoLoadModeSelect.value,
+      buttonSelector: this.loadMoreSelectorInput.value.trim(),
+      buttonType: this.loadMoreTypeSelect.value,
+      maxAttempts: this.clampNumber(this.autoLoadAttemptsInput.value, 1, 20, 3),
+      wait: this.clampNumber(this.autoLoadWaitInput.value, 200, 10000, 1500),
+      maxRows: this.clampNumber(this.autoLoadMaxRowsInput.value, 0, Number.MAX_SAFE_INTEGER, 0),
+      timeLimit: this.clampNumber(this.autoLoadTimeLimitInput.value, 5, 600, 60)
+    };
+  }
+
+  /**
+   * Fill the auto-load form from saved settings
+   * @param {Object} settings - Auto-load settings
+   */
+  applyAutoLoadSettings(settings) {
+    this.enableAutoLoadCheckbox.checked = Boolean(settings.enabled);
+    this.autoLoadOptions.classList.toggle('hidden', !settings.enabled);
+    this.autoLoadModeSelect.value = settings.mode || 'scroll';
+    this.loadMoreGroup.classList.toggle('hidden', this.autoLoadModeSelect.value !== 'button');
+    this.loadMoreSelectorInput.value = settings.buttonSelector || '';
+    this.loadMoreTypeSelect.value = settings.buttonType || 'css';
+    this.autoLoadAttemptsInput.value = settings.maxAttempts || 3;
+    this.autoLoadWaitInput.value = settings.wait || 1500;
+    this.autoLoadMaxRowsInput.value = settings.maxRows || 0;
+    this.autoLoadTimeLimitInput.value = settings.timeLimit || 60;
+  }
+
+  /**
+   * Let the next click on the page pick the "load more" control
+   */
+  async pickLoadMoreButton() {
+    try {
+      await this.sendMessageToTab({ action: 'pickElement', target: 'loadMore' });
+      this.updateStatus('Click the "load more" button on the page', 'info');
+    } catch (error) {
+      this.updateStatus(`Error picking load more button: ${error.message}`, 'error');
+      console.error('Load more pick error:', error);
+    }
+  }
+
+  /**
+   * Run the pre-scrape loading phase in the content script
+   * @returns {Promise<Object>} Result with final item count and stop reason
+   */
+  async runAutoLoad() {
+    const settings = this.getAutoLoadSettings();
+    
+    if (settings.mode === 'button' && !settings.buttonSelector) {
+      throw new Error('Please enter a "load more" selector');
+    }
+    
+    this.activeAutoLoad = settings;
+    this.cancelAutoLoadBtn.classList.remove('hidden');
+    this.showProgress(true, 0, 'Loading more content...');
+    
+    try {
+      // Allow the whole time limit plus one round before timing out
+      const timeout = settings.timeLimit * 1000 + settings.wait + 10000;
+      const response = await this.sendMessageToTab({
+        action: 'autoLoad',
+        options: settings,
+        elements: this.selectedElements,
+        container: this.rowContainer
+      }, timeout);
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to load more content');
+      }
+      return response;
+    } finally {
+      this.activeAutoLoad = null;
+      this.cancelAutoLoadBtn.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show live counts reported during the loading phase
+   * @param {Object} message - 'autoLoadProgress' message
+   */
+  handleAutoLoadProgress(message) {
+    const settings = this.activeAutoLoad;
+    if (!settings) return;
+    
+    // Progress towards whichever limit applies
+    const fraction = settings.maxRows > 0
+      ? message.count / settings.maxRows
+      : message.elapsed / (settings.timeLimit * 1000);
+    const progress = Math.min(100, Math.round(fraction * 100));
+    
+    const idleText = message.idleAttempts > 0
+      ? `, no new items for ${message.idleAttempts}/${settings.maxAttempts} tries`
+      : '';
+    this.showProgress(true, progress, `Loading more content... ${message.count} items (round ${message.rounds}${idleText})`);
+  }
+
+  /**
+   * Stop the loading phase; scraping continues with what has loaded
+   */
+  async cancelAutoLoad() {
+    try {
+      await this.sendMessageToTab({ action: 'cancelAutoLoad' });
+    } catch (error) {
+      console.error('Auto-load cancel error:', error);
+    }
+  }
+
+  // ========================================
+  // PAGINATION
+  // ========================================
+
+  /**
+   * Read pagination settings from the form, clamped to the allowed ranges
+   * @returns {Object} Pagination settings
+   */
+  getPaginationSettings() {
+    return {
+      enabled: this.enablePaginationCheckbox.checked,
+      maxPages: this.clampNumber(this.maxPagesInput.value, 1, 100, 10),
+      delay: this.clampNumber(this.pageDelayInput.value, 500, 10000, 1500),
+      nextSelector: this.nextSelectorInput.value.trim(),
+      nextType: this.nextSelectorTypeSelect.value
+    };
+  }
+
+  /**
+   * Fill the pagination form from saved settings
+   * @param {Object} settings - Pagination settings
+   */
+  applyPaginationSettings(settings) {
+    this.enablePaginationCheckbox.checked = Boolean(settings.enabled);
+    this.paginationOptions.classList.toggle('hidden', !settings.enabled);
+    this.maxPagesInput.value = settings.maxPages || 10;
+    this.pageDelayInput.value = settings.delay || 1500;
+    this.nextSelectorInput.value = settings.nextSelector || '';
+    this.nextSelectorTypeSelect.value = settings.nextType || 'css';
+  }
+
+  /**
+   * Let the next click on the page pick the "next page" control
+   */
+  async pickNextButton() {
+    try {
+      await this.sendMessageToTab({ action: 'pickElement', target: 'nextPage' });
+      this.updateStatus('Click the "next page" button or link on the page', 'info');
+    } catch (error) {
+      this.updateStatus(`Error picking next button: ${error.message}`, 'error');
+      console.error('Next button pick error:', error);
+    }
+  }
+
+  /**
+   * Test the "next page" selector against the current page
+   */
+  async testNextButton() {
+    const { nextSelector, nextType } = this.getPaginationSettings();
+    
+    if (!nextSelector) {
+      this.updateStatus('Please enter a next button selector', 'error');
+      return;
+    }
+
+    try {
+      const response = await this.sendMessageToTab({
+        action: 'testSelector',
+        selector: nextSelector,
+        type: nextType
+      });
+
+      if (response.success && response.count > 0) {
+        this.updateStatus(`Next button found (${response.count} matches, the first is used)`, 'success');
+      } else {
+        this.updateStatus('Next button not found on this page', 'error');
+      }
+    } catch (error) {
+      this.updateStatus(`Error testing next button: ${error.message}`, 'error');
+      console.error('Next button test error:', error);
+    }
+  }
+
+  /**
+   * Start a pagination crawl; the background script drives it so it keeps
+   * running when the popup closes
+   */
+  async startPagination() {
+    if (this.selectedElements.length === 0) {
+      this.updateStatus('No elements selected for scraping', 'error');
+      return;
+    }
+    
+    const settings = this.getPaginationSettings();
+    if (!settings.nextSelector) {
+      this.updateStatus('Please enter a next button selector', 'error');
+      return;
+    }
+
+    try {
+      const tabId = await this.resolveTargetTabId();
+      
+      // Stop picking elements so clicks on "next" aren't captured
+      await this.disableElementSelection();
+      
+      const response = await chrome.runtime.sendMessage({
+        action: 'startPagination',
+        config: {
+          tabId: tabId,
+          elements: this.selectedElements,
+          container: this.rowContainer,
+          nextSelector: settings.nextSelector,
+          nextType: settings.nextType,
+          maxPages: settings.maxPages,
+          delay: settings.delay,
+          drillDown: this.getDrillDownSettings()
+        }
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to start pagination');
+      }
+      
+      this.setPaginationRunning(true);
+      this.showProgress(true, 0, `Scraping page 1 of ${settings.maxPages}...`);
+      this.updateStatus('Pagination started', 'info');
+    } catch (error) {
+      this.updateStatus(`Pagination failed: ${error.message}`, 'error');
+      console.error('Pagination start error:', error);
+    }
+  }
+
+  /**
+   * Ask the background script to stop the running crawl
+   */
+  async stopPagination() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'stopPagination' });
+    } catch (error) {
+      console.error('Pagination stop error:', error);
+    }
+  }
+
+  /**
+   * Toggle the buttons that must not be used while a crawl runs
+   * @param {boolean} running - Whether pagination is running
+   */
+  setPaginationRunning(running) {
+    this.isPaginating = running;
+    this.startPaginationBtn.disabled = running;
+    this.stopPaginationBtn.disabled = !running;
+    this.scrapeDataBtn.disabled = running;
+    this.refreshPreviewBtn.disabled = running;
+  }
+
+  /**
+   * Show crawl progress reported by the background script
+   * @param {Object} state - { page, maxPages, rows }
+   */
+  handlePaginationProgress(state) {
+    this.setPaginationRunning(true);
+    const progress = Math.round((state.page / state.maxPages) * 100);
+    this.showProgress(true, progress, `Page ${state.page} of ${state.maxPages} - ${state.rows} rows so far`);
+  }
+
+  /**
+   * Show the combined rows once the crawl has ended
+   * @param {Object} state - { status, page, rows, reason }
+   * @param {Array} data - Rows from all pages
+   */
+  handlePaginationComplete(state, data) {
+    this.setPaginationRunning(false);
+    this.showProgress(false);
+    
+    this.rememberBaseline();
+    this.scrapedData = data || [];
+    this.updatePreview(this.scrapedData);
+    this.updateExportButtons();
+    
+    const summary = `${state.rows} rows from ${state.page} page${state.page === 1 ? '' : 's'}. ${state.reason}`;
+    this.updateStatus(summary, state.status === 'error' ? 'error' : 'success');
+  }
+
+  /**
+   * Restore the pagination UI for a crawl that was running when the popup opened
+   * @param {Object} state - Last stored pagination state
+   */
+  async restorePaginationState(state) {
+    if (!state || state.status !== 'running') return;
+    
+    try {
+      // The stored state can be stale if the background worker was restarted
+      const response = await chrome.runtime.sendMessage({ action: 'getPaginationState' });
+      if (response && response.running) {
+        this.handlePaginationProgress(state);
+      }
+    } catch (error) {
+      console.error('Error restoring pagination state:', error);
+    }
+  }
+
+  // ========================================
+  // BATCH SCRAPING
+  // ========================================
+
+  /**
+   * Read the batch form
+   * @returns {Object} { urls, concurrency, timeout (s), retries, delay (ms) }
+   */
+  getBatchSettings() {
+    return {
+      urls: this.parseUrlList(this.batchUrlsInput.value),
+      concurrency: this.clampNumber(this.batchConcurrencyInput.value, 1, 5, 2),
+      timeout: this.clampNumber(this.batchTimeoutInput.value, 5, 300, 45),
+      retries: this.clampNumber(this.batchRetriesInput.value, 0, 5, 1),
+      delay: this.clampNumber(this.batchDelayInput.value, 0, 10000, 1000)
+    };
+  }
+
+  /**
+   * Fill the batch form from saved settings
+   * @param {Object} settings - Batch settings
+   */
+  applyBatchSettings(settings) {
+    this.batchUrlsInput.value = (settings.urls || []).join('\n');
+    this.batchConcurrencyInput.value = settings.concurrency || 2;
+    this.batchTimeoutInput.value = settings.timeout || 45;
+    this.batchRetriesInput.value = settings.retries ?? 1;
+    this.batchDelayInput.value = settings.delay ?? 1000;
+    this.updateBatchUrlCount();
+  }
+
+  /**
+   * Pull the http(s) URLs out of pasted or imported text, dropping duplicates
+   * @param {string} text - One URL per line, or CSV with URLs in any column
+   * @returns {Array<string>} URLs in their original order
+   */
+  parseUrlList(text) {
+    const urls = (text.match(/https?:\/\/[^\s,;"'<>]+/g) || []).map(url => url.trim());
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Show how many URLs the batch will visit
+   */
+  updateBatchUrlCount() {
+    const count = this.parseUrlList(this.batchUrlsInput.value).length;
+    this.batchUrlCount.textContent = `${count} URL${count === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Load a URL list from a text or CSV file
+   * @param {File} file - Selected file
+   */
+  async importBatchUrls(file) {
+    try {
+      const urls = this.parseUrlList(await file.text());
+      if (urls.length === 0) {
+        throw new Error('no http(s) URLs found in the file');
+      }
+
+      this.batchUrlsInput.value = urls.join('\n');
+      this.updateBatchUrlCount();
+      this.saveStoredData();
+      this.updateStatus(`Imported ${urls.length} URLs from ${file.name}`, 'success');
+    } catch (error) {
+      this.updateStatus(`URL import failed: ${error.message}`, 'error');
+      console.error('URL import error:', error);
+    }
+  }
+
+  /**
+   * Start a batch scrape; the background script opens each URL in a
+   * background tab and keeps going when the popup closes
+   */
+  async startBatch() {
+    if (this.selectedElements.length === 0) {
+      this.updateStatus('No elements selected for scraping', 'error');
+      return;
+    }
+
+    const settings = this.getBatchSettings();
+    if (settings.urls.length === 0) {
+      this.updateStatus('Please enter at least one http(s) URL', 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'startBatch',
+        config: {
+          urls: settings.urls,
+          elements: this.selectedElements,
+          container: this.rowContainer,
+          concurrency: settings.concurrency,
+          timeout: settings.timeout * 1000,
+          retries: settings.retries,
+          delay: settings.delay,
+          drillDown: this.getDrillDownSettings()
+        }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to start batch');
+      }
+
+      this.renderBatchLog([]);
+      this.setBatchRunning(true);
+      this.showProgress(true, 0, `Scraping 0 of ${settings.urls.length} URLs...`);
+      this.updateStatus('Batch started', 'info');
+    } catch (error) {
+      this.updateStatus(`Batch failed: ${error.message}`, 'error');
+      console.error('Batch start error:', error);
+    }
+  }
+
+  /**
+   * Ask the background script to stop the running batch
+   */
+  async stopBatch() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'stopBatch' });
+    } catch (error) {
+      console.error('Batch stop error:', error);
+    }
+  }
+
+  /**
+   * Toggle the buttons that must not be used while a batch runs
+   * @param {boolean} running - Whether a batch is running
+   */
+  setBatchRunning(running) {
+    this.isBatchRunning = running;
+    this.startBatchBtn.disabled = running;
+    this.stopBatchBtn.disabled = !running;
+    this.scrapeDataBtn.disabled = running;
+    this.refreshPreviewBtn.disabled = running;
+  }
+
+  /**
+   * Show batch progress reported by the background script
+   * @param {Object} state - { done, total, failed, rows, failures }
+   */
+  handleBatchProgress(state) {
+    this.setBatchRunning(true);
+    const progress = Math.round((state.done / state.total) * 100);
+    this.showProgress(true, progress,
+      `${state.done} of ${state.total} URLs - ${state.rows} rows, ${state.failed} failed`);
+    this.renderBatchLog(state.failures);
+  }
+
+  /**
+   * Show the combined rows and the failure log once the batch has ended
+   * @param {Object} state - { status, done, total, failed, rows, failures, reason }
+   * @param {Array} data - Rows from all URLs
+   */
+  handleBatchComplete(state, data) {
+    this.setBatchRunning(false);
+    this.showProgress(false);
+
+    this.rememberBaseline();
+    this.scrapedData = data || [];
+    this.updatePreview(this.scrapedData);
+    this.updateExportButtons();
+    this.renderBatchLog(state.failures);
+
+    const summary = `${state.rows} rows from ${state.done - state.failed} of ${state.total} URLs. ${state.reason}`;
+    this.updateStatus(summary, state.status === 'error' ? 'error' : state.failed > 0 ? 'warning' : 'success');
+  }
+
+  /**
+   * List the URLs that failed after all retries
+   * @param {Array} failures - { url, error, attempts }
+   */
+  renderBatchLog(failures = []) {
+    this.renderFailureLog(this.batchLog, failures);
+  }
+
+  /**
+   * Fill a failure log with one entry per URL, hiding it while empty
+   * @param {HTMLElement} log - Log container
+   * @param {Array} failures - { url, error, attempts }
+   */
+  renderFailureLog(log, failures) {
+    log.classList.toggle('hidden', failures.length === 0);
+    log.innerHTML = failures.map(failure => `
+      <div class="batch-log-entry">
+        <a href="${this.escapeHtml(failure.url)}" target="_blank">${this.escapeHtml(failure.url)}</a>
+        <span class="batch-log-error">- ${this.escapeHtml(failure.error)} (${failure.attempts} attempt${failure.attempts === 1 ? '' : 's'})</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Restore the batch UI: the failure log of the last batch, and the
+   * progress of a batch that was running when the popup opened
+   * @param {Object} state - Last stored batch state
+   */
+  async restoreBatchState(state) {
+    if (!state) return;
+
+    this.renderBatchLog(state.failures);
+    if (state.status !== 'running') return;
+
+    try {
+      // The stored state can be stale if the background worker was restarted
+      const response = await chrome.runtime.sendMessage({ action: 'getBatchState' });
+      if (response && response.running) {
+        this.handleBatchProgress(state);
+      }
+    } catch (error) {
+      console.error('Error restoring batch state:', error);
+    }
+  }
+
+  // ========================================
+  // CHANGE MONITORING
+  // ========================================
+
+  /**
+   * Fill the monitoring form from saved settings
+   * @param {Object} settings - { enabled, keyColumns, conditions, notify }
+   */
+  applyMonitorSettings(settings) {
+    this.monitorSettings = {
+      enabled: Boolean(settings.enabled),
+      keyColumns: [...(settings.keyColumns || [])],
+      conditions: (settings.conditions || []).map(condition => ({ ...condition })),
+      notify: settings.notify !== false
+    };
+    
+    this.enableMonitorCheckbox.checked = this.monitorSettings.enabled;
+    this.monitorOptions.classList.toggle('hidden', !this.monitorSettings.enabled);
+    this.monitorNotifyCheckbox.checked = this.monitorSettings.notify;
+    this.renderMonitorColumns();
+  }
+
+  /**
+   * Rebuild the key column checkboxes, the alert column dropdown and the
+   * alert list from the current columns
+   */
+  renderMonitorColumns() {
+    const columns = [...new Set(this.flattenColumns(this.selectedElements).map(el => el.columnName))];
+    const keys = new Set(this.monitorSettings.keyColumns);
+    
+    this.monitorKeyColumns.innerHTML = columns.length === 0
+      ? '<p class="placeholder">Add columns first</p>'
+      : columns.map(column => `
+        <label class="checkbox-label">
+          <input type="checkbox" data-column="${this.escapeHtml(column)}" ${keys.has(column) ? 'checked' : ''}>
+          ${this.escapeHtml(column)}
+        </label>
+      `).join('');
+    
+    const selectedColumn = this.monitorConditionColumnSelect.value;
+    this.monitorConditionColumnSelect.innerHTML = columns.map(column => `<option value="${this.escapeHtml(column)}">${this.escapeHtml(column)}</option>`).join('');
+    if (columns.includes(selectedColumn)) this.monitorConditionColumnSelect.value = selectedColumn;
+    
+    this.monitorConditions.innerHTML = this.monitorSettings.conditions.length === 0
+      ? '<p class="placeholder">No alerts - changes are only shown in the preview</p>'
+      : this.monitorSettings.conditions.map((condition, index) => `
+        <div class="monitor-condition">
+          <span>🔔 ${this.escapeHtml(WebScraperDiff.describeCondition(condition))}</span>
+          <button class="action-btn remove-condition-btn" data-index="${index}" title="Remove">✕</button>
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Add the alert chosen in the form
+   */
+  addMonitorCondition() {
+    const change = this.monitorConditionChangeSelect.value;
+    const condition = DIFF_CONDITIONS[change].needsColumn
+      ? { change: change, column: this.monitorConditionColumnSelect.value }
+      : { change: change };
+    
+    if (DIFF_CONDITIONS[change].needsColumn && !condition.column) {
+      this.updateStatus('Add a column to watch first', 'error');
+      return;
+    }
+    
+    const label = WebScraperDiff.describeCondition(condition);
+    if (this.monitorSettings.conditions.some(existing => WebScraperDiff.describeCondition(existing) === label)) {
+      this.updateStatus(`Alert "${label}" is already set`, 'error');
+      return;
+    }
+    
+    this.monitorSettings.conditions.push(condition);
+    this.renderMonitorColumns();
+    this.saveStoredData();
+  }
+
+  /**
+   * Remove an alert
+   * @param {number} index - Alert index
+   */
+  removeMonitorCondition(index) {
+    this.monitorSettings.conditions.splice(index, 1);
+    this.renderMonitorColumns();
+    this.saveStoredData();
+  }
+
+  /**
+   * Keep the current rows as the comparison baseline before new rows
+   * replace them (only while monitoring is on)
+   */
+  rememberBaseline() {
+    this.diffBaseline = this.monitorSettings.enabled && this.scrapedData && this.scrapedData.length > 0
+      ? { rows: this.scrapedData, keyColumns: null, label: 'the previous scrape' }
+      : null;
+  }
+
+  /**
+   * Stop comparing the preview with earlier rows
+   */
+  clearComparison() {
+    this.diffBaseline = null;
+    this.updatePreview(this.scrapedData);
+  }
+
+  /**
+   * Compare the current rows with the baseline, after transforms
+   * @returns {Object|null} Result of WebScraperDiff.compare, or null without a baseline
+   */
+  getComparison() {
+    if (!this.diffBaseline || !this.scrapedData) return null;
+    
+    return WebScraperDiff.compare(
+      this.applyTransforms(this.diffBaseline.rows),
+      this.applyTransforms(this.scrapedData),
+      this.diffBaseline.keyColumns || this.monitorSettings.keyColumns
+    );
+  }
+
+  /**
+   * Alerts matched by the current comparison
+   * @returns {Array<Object>} Matches from WebScraperDiff.evaluate
+   */
+  comparisonAlerts() {
+    const diff = this.getComparison();
+    if (!diff) return [];
+    return WebScraperDiff.evaluate(diff, this.monitorSettings.conditions,
+      this.diffBaseline.keyColumns || this.monitorSettings.keyColumns);
+  }
+
+  /**
+   * Status suffix describing the comparison, e.g. " - vs the previous scrape: 2 added, ..."
+   * @returns {string} Suffix, or '' without a baseline
+   */
+  describeComparison() {
+    const diff = this.getComparison();
+    if (!diff) return '';
+    
+    const alerts = this.comparisonAlerts();
+    return ` - vs ${this.diffBaseline.label}: ${WebScraperDiff.summarize(diff)}` +
+      (alerts.length > 0 ? `; 🔔 ${alerts.map(alert => alert.message).join('; ')}` : '');
+  }
+
+  // ========================================
+  // SCHEDULES
+  // ========================================
+
+  /**
+   * Load schedules and their run history and show them
+   */
+  async loadSchedules() {
+    try {
+      this.schedules = await WebScraperSchedules.load();
+      this.scheduleRuns = await WebScraperSchedules.loadRuns();
+    } catch (error) {
+      console.error('Error loading schedules:', error);
+    }
+    
+    this.renderSchedules();
+    this.renderScheduleRuns();
+  }
+
+  /**
+   * Rebuild the schedule recipe dropdown, keeping the current choice
+   * (or picking the active recipe) and prefilling the URL
+   */
+  updateScheduleRecipeSelect() {
+    const selected = this.scheduleRecipeSelect.value || this.activeRecipeId || '';
+    
+    this.scheduleRecipeSelect.innerHTML = '<option value="">— Choose a saved recipe —</option>';
+    this.recipes.forEach(recipe => {
+      const option = document.createElement('option');
+      option.value = recipe.id;
+      option.textContent = recipe.name;
+      this.scheduleRecipeSelect.appendChild(option);
+    });
+    this.scheduleRecipeSelect.value = this.recipes.some(recipe => recipe.id === selected) ? selected : '';
+    
+    if (!this.scheduleUrlInput.value && /^https?:/.test(this.targetUrl)) {
+      this.scheduleUrlInput.value = this.targetUrl;
+    }
+  }
+
+  /**
+   * Show the interval or the time input to match the chosen frequency
+   */
+  updateScheduleFrequency() {
+    const frequency = this.scheduleFrequencySelect.value;
+    this.scheduleIntervalGroup.classList.toggle('hidden', frequency !== 'minutes');
+    this.scheduleTimeGroup.classList.toggle('hidden', frequency !== 'daily');
+  }
+
+  /**
+   * Add a schedule from the form; the background script sets its alarm
+   */
+  async addSchedule() {
+    const fields = {
+      recipeId: this.scheduleRecipeSelect.value,
+      url: this.scheduleUrlInput.value.trim(),
+      frequency: this.scheduleFrequencySelect.value,
+      interval: parseInt(this.scheduleIntervalInput.value, 10),
+      time: this.scheduleTimeInput.value
+    };
+    
+    const errors = WebScraperSchedules.validate(fields);
+    if (errors.length > 0) {
+      this.updateStatus(errors[0], 'error');
+      return;
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'saveSchedule', schedule: fields });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to save schedule');
       }
+      
+      await this.loadSchedules();
+      this.updateStatus(`Schedule added: ${WebScraperSchedules.describe(response.schedule)}`, 'success');
     } catch (error) {
-      this.updateStatus(`Error testing updated selector: ${error.message}`, 'error');
-      console.error('Selector test error:', error);
+      this.updateStatus(`Schedule failed: ${error.message}`, 'error');
+      console.error('Schedule save error:', error);
     }
   }
 
   /**
-   * Cancel editing element
+   * Pause or resume a schedule
+   * @param {string} scheduleId - Schedule ID
    */
-  cancelEditElement() {
-    this.editingElementId = null;
-    this.updateElementsList();
+  async toggleSchedule(scheduleId) {
+    const schedule = this.schedules.find(entry => entry.id === scheduleId);
+    if (!schedule) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveSchedule',
+        schedule: { ...schedule, enabled: !schedule.enabled }
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to update schedule');
+      }
+      
+      await this.loadSchedules();
+      this.updateStatus(`Schedule ${response.schedule.enabled ? 'resumed' : 'paused'}`, 'info');
+    } catch (error) {
+      this.updateStatus(`Schedule update failed: ${error.message}`, 'error');
+      console.error('Schedule update error:', error);
+    }
   }
 
   /**
-   * Remove element from selection
-   * @param {string} elementId - ID of element to remove
+   * Run a schedule now; the result shows up in the run history
+   * @param {string} scheduleId - Schedule ID
    */
-  removeElement(elementId) {
-    this.selectedElements = this.selectedElements.filter(el => el.id !== elementId);
-    this.editingElementId = null;
-    this.updateElementsList();
-    this.updateExportButtons();
-    this.saveStoredData();
+  async runScheduleNow(scheduleId) {
+    try {
+      await chrome.runtime.sendMessage({ action: 'runScheduleNow', scheduleId: scheduleId });
+      this.updateStatus('Scheduled run started in a background tab', 'info');
+    } catch (error) {
+      this.updateStatus(`Run failed: ${error.message}`, 'error');
+      console.error('Schedule run error:', error);
+    }
   }
 
   /**
-   * Clear all selected elements and reset data
+   * Delete a schedule with its run history and snapshots
+   * @param {string} scheduleId - Schedule ID
    */
-  clearAllSelections() {
-    this.selectedElements = [];
-    this.scrapedData = [];
-    this.editingElementId = null;
-    this.updateElementsList();
-    this.updatePreview([]);
-    this.updateExportButtons();
-    this.saveStoredData();
-    this.updateStatus('All selections cleared', 'info');
+  async deleteSchedule(scheduleId) {
+    if (!confirm('Delete this schedule and its run history?')) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'deleteSchedule', scheduleId: scheduleId });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to delete schedule');
+      }
+      
+      await this.loadSchedules();
+      this.updateStatus('Schedule deleted', 'info');
+    } catch (error) {
+      this.updateStatus(`Delete failed: ${error.message}`, 'error');
+      console.error('Schedule delete error:', error);
+    }
   }
 
   /**
-   * Update the elements list display with edit functionality - FIXED for detached window
-   * Creates the UI for managing selected elements
+   * List the schedules with their next run time
    */
-  updateElementsList() {
-    this.elementCount.textContent = this.selectedElements.length;
-    
-    // Show placeholder if no elements selected
-    if (this.selectedElements.length === 0) {
-      this.elementsList.innerHTML = '<p class="placeholder">No elements selected</p>';
+  async renderSchedules() {
+    if (this.schedules.length === 0) {
+      this.schedulesList.innerHTML = '';
       return;
     }
-
-    // Generate HTML for each element
-    this.elementsList.innerHTML = this.selectedElements.map(element => {
-      const isEditing = this.editingElementId === element.id;
+    
+    // Next run times come from the alarms the background script set
+    const alarms = await chrome.alarms.getAll().catch(() => []);
+    const nextRuns = new Map(alarms.map(alarm => [alarm.name, alarm.scheduledTime]));
+    
+    this.schedulesList.innerHTML = this.schedules.map(schedule => {
+      const recipe = this.recipes.find(entry => entry.id === schedule.recipeId);
+      const nextRun = nextRuns.get(WebScraperSchedules.alarmName(schedule.id));
       
-      if (isEditing) {
-        // ========= EDIT MODE UI =========
-        return `
-          <div class="element-item edit-mode">
-            <div class="edit-form">
-              <div class="form-group">
-                <label>Column Name:</label>
-                <input type="text" class="edit-column-name" value="${element.columnName}">
-              </div>
-              <div class="form-group">
-                <label>Selector Type:</label>
-                <select class="edit-selector-type">
-                  <option value="css" ${element.type === 'css' ? 'selected' : ''}>CSS Selector</option>
-                  <option value="xpath" ${element.type === 'xpath' ? 'selected' : ''}>XPath</option>
-                </select>
-              </div>
-              <div class="form-group">
-                <label>Selector:</label>
-                <input type="text" class="edit-selector" value="${element.selector}">
-              </div>
-              <div class="button-group">
-                <button class="btn btn-sm btn-success save-edit-btn" data-id="${element.id}">Save</button>
-                <button class="btn btn-sm btn-secondary cancel-edit-btn">Cancel</button>
-              </div>
+      return `
+        <div class="schedule-item ${schedule.enabled ? '' : 'paused'}">
+          <div class="schedule-header">
+            <strong>${recipe ? this.escapeHtml(recipe.name) : '(deleted recipe)'}</strong>
+            <div class="element-actions">
+              <button class="action-btn schedule-action" data-action="run" data-id="${schedule.id}" title="Run now">▶️</button>
+              <button class="action-btn schedule-action" data-action="toggle" data-id="${schedule.id}"
+                title="${schedule.enabled ? 'Pause' : 'Resume'}">${schedule.enabled ? '⏸️' : '⏯️'}</button>
+              <button class="action-btn schedule-action" data-action="delete" data-id="${schedule.id}" title="Delete">🗑️</button>
             </div>
           </div>
-        `;
-      } else {
-        // ========= DISPLAY MODE UI =========
-        return `
-          <div class="element-item">
-            <div class="element-header">
-              <span class="element-column-name">${element.columnName}</span>
-              <span class="element-type ${element.type}">${element.type}</span>
-              <div class="element-actions">
-                <button class="action-btn edit-btn" data-id="${element.id}" title="Edit">✏️</button>
-                <button class="action-btn remove-btn" data-id="${element.id}" title="Remove">🗑️</button>
-              </div>
-            </div>
-            <div class="element-selector" title="${element.selector}">
-              ${element.selector} (${element.count} matches)
-            </div>
+          <div class="schedule-url">${this.escapeHtml(schedule.url)}</div>
+          <div class="schedule-next">
+            ${WebScraperSchedules.describe(schedule)} -
+            ${!schedule.enabled ? 'paused' : nextRun ? `next run ${new Date(nextRun).toLocaleString()}` : 'not scheduled'}
           </div>
-        `;
-      }
+        </div>
+      `;
     }).join('');
+  }
 
-    // ========= ATTACH EVENT LISTENERS - FIXED using event delegation =========
-    // Remove any existing event listener to prevent duplicates
-    this.elementsList.removeEventListener('click', this.elementsListClickHandler);
+  /**
+   * Show the run history: time, recipe, row count, status and error
+   */
+  renderScheduleRuns() {
+    if (this.scheduleRuns.length === 0) {
+      this.scheduleRunsList.innerHTML = '<p class="placeholder">No scheduled runs yet</p>';
+      return;
+    }
     
-    // Create and store the click handler
-    this.elementsListClickHandler = (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      
-      // Handle edit button clicks
-      if (e.target.classList.contains('edit-btn')) {
-        const elementId = e.target.getAttribute('data-id');
-        this.editElement(elementId);
-        return;
+    this.scheduleRunsList.innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Time</th><th>Recipe</th><th>Rows</th><th>Changes</th><th>Status</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${this.scheduleRuns.map(run => `
+            <tr title="${this.escapeHtml(run.url)}">
+              <td>${new Date(run.startedAt).toLocaleString()}</td>
+              <td>${this.escapeHtml(run.recipeName)}</td>
+              <td>${run.rows}</td>
+              <td title="${this.escapeHtml((run.alerts || []).join('\n'))}">
+                ${run.changes ? `+${run.changes.added} −${run.changes.removed} ~${run.changes.changed}` : ''}
+                ${run.alerts && run.alerts.length > 0 ? `🔔 ${run.alerts.length}` : ''}
+              </td>
+              <td class="run-status ${run.status}" title="${this.escapeHtml(run.error)}">
+                ${run.status === 'success' ? '✓ OK' : `✗ ${this.escapeHtml(run.error)}`}
+                ${run.delivery ? `<span title="Webhook delivery: ${run.delivery}">${run.delivery === 'success' ? '🌐' : '🌐✗'}</span>` : ''}
+              </td>
+              <td>
+                ${run.snapshotKey ? `<button class="action-btn view-snapshot-btn" data-id="${run.id}" title="Show in preview">👁️</button>` : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Load a run's snapshot into the preview so it can be inspected or exported
+   * @param {string} runId - Run ID
+   */
+  async viewSnapshot(runId) {
+    const run = this.scheduleRuns.find(entry => entry.id === runId);
+    if (!run) return;
+    
+    try {
+      const snapshot = await WebScraperSchedules.loadSnapshot(run);
+      if (!snapshot) {
+        throw new Error('the snapshot is no longer stored');
       }
       
-      // Handle remove button clicks
-      if (e.target.classList.contains('remove-btn')) {
-        const elementId = e.target.getAttribute('data-id');
-        this.removeElement(elementId);
-        return;
-      }
+      // Compare with the schedule's previous successful run, if it is still stored
+      const olderRuns = this.scheduleRuns.slice(this.scheduleRuns.indexOf(run) + 1);
+      const previousRun = olderRuns.find(entry => entry.scheduleId === run.scheduleId && entry.status === 'success');
+      const previous = previousRun && await WebScraperSchedules.loadSnapshot(previousRun);
+      const schedule = this.schedules.find(entry => entry.id === run.scheduleId);
+      const recipe = schedule && this.recipes.find(entry => entry.id === schedule.recipeId);
       
-      // Handle save edit button clicks
-      if (e.target.classList.contains('save-edit-btn')) {
-        const elementId = e.target.getAttribute('data-id');
-        const editForm = e.target.closest('.edit-form');
-        if (editForm) {
-          const newColumnName = editForm.querySelector('.edit-column-name').value;
-          const newSelector = editForm.querySelector('.edit-selector').value;
-          const newType = editForm.querySelector('.edit-selector-type').value;
-          
-          this.saveEditedElement(elementId, newColumnName, newSelector, newType);
+      this.diffBaseline = previous
+        ? {
+          rows: previous.data,
+          keyColumns: recipe?.config.monitor?.keyColumns || [],
+          label: `the run of ${new Date(previous.takenAt).toLocaleString()}`
         }
-        return;
-      }
+        : null;
       
-      // Handle cancel edit button clicks
-      if (e.target.classList.contains('cancel-edit-btn')) {
-        this.cancelEditElement();
-        return;
-      }
-    };
+      this.scrapedData = snapshot.data;
+      this.updatePreview(this.scrapedData);
+      this.updateExportButtons();
+      this.updateStatus(`Showing ${run.recipeName} from ${new Date(snapshot.takenAt).toLocaleString()} (${snapshot.data.length} rows)${this.describeComparison()}`, 'info');
+    } catch (error) {
+      this.updateStatus(`Cannot show snapshot: ${error.message}`, 'error');
+      console.error('Snapshot load error:', error);
+    }
+  }
 
-    // Use event delegation to handle dynamically created buttons
-    this.elementsList.addEventListener('click', this.elementsListClickHandler);
+  /**
+   * Refresh the history when a scheduled run finishes while the popup is open
+   * @param {Object} run - Finished run
+   */
+  async handleScheduleRunComplete(run) {
+    await this.loadSchedules();
+    
+    if (run.status === 'error') {
+      this.updateStatus(`Scheduled run of ${run.recipeName} failed: ${run.error}`, 'error');
+    } else {
+      this.updateStatus(`Scheduled run of ${run.recipeName} finished: ${run.rows} rows`, 'success');
+    }
   }
 
   // ========================================
-  // DATA SCRAPING FUNCTIONALITY
+  // DRILL-DOWN (FOLLOW LINKS)
   // ========================================
 
   /**
-   * Scrape data from the page using selected elements - FIXED for detached window
-   * Communicates with content script to extract data
+   * Read the drill-down limits from the form, clamped to the allowed ranges
+   * @returns {Object} { maxDepth, maxPages, concurrency, timeout (s), delay (ms) }
    */
-  async scrapeData() {
-    if (this.selectedElements.length === 0) {
-      this.updateStatus('No elements selected for scraping', 'error');
-      return;
-    }
+  getDrillDownSettings() {
+    return {
+      maxDepth: this.clampNumber(this.drillDownDepthInput.value, 1, 3, 1),
+      maxPages: this.clampNumber(this.drillDownPagesInput.value, 1, 1000, 50),
+      concurrency: this.clampNumber(this.drillDownConcurrencyInput.value, 1, 5, 2),
+      timeout: this.clampNumber(this.drillDownTimeoutInput.value, 5, 300, 45),
+      delay: this.clampNumber(this.drillDownDelayInput.value, 0, 10000, 1000)
+    };
+  }
 
-    this.showProgress(true, 0, 'Scraping data...');
-    
+  /**
+   * Fill the drill-down form from saved settings
+   * @param {Object} settings - Drill-down settings
+   */
+  applyDrillDownSettings(settings) {
+    this.drillDownDepthInput.value = settings.maxDepth || 1;
+    this.drillDownPagesInput.value = settings.maxPages || 50;
+    this.drillDownConcurrencyInput.value = settings.concurrency || 2;
+    this.drillDownTimeoutInput.value = settings.timeout || 45;
+    this.drillDownDelayInput.value = settings.delay ?? 1000;
+  }
+
+  /**
+   * Show the drill-down limits only when a column follows links
+   */
+  updateDrillDownVisibility() {
+    this.drillDownOptions.classList.toggle('hidden', !this.hasFollowColumns());
+  }
+
+  /**
+   * Ask the background script to visit the links in the follow columns of
+   * the given rows; it keeps going when the popup closes
+   * @param {Array} rows - Scraped rows holding the links
+   */
+  async startDrillDown(rows) {
     try {
-      // Send scraping request to content script
-      const response = await this.sendMessageToTab({
-        action: 'scrapeData',
-        elements: this.selectedElements
+      const response = await chrome.runtime.sendMessage({
+        action: 'startDrillDown',
+        config: {
+          rows: rows,
+          elements: this.selectedElements,
+          options: this.getDrillDownSettings()
+        }
       });
 
-      if (response && response.success) {
-        this.scrapedData = response.data;
-        this.updatePreview(response.data);
-        this.updateExportButtons();
-        this.updateStatus(`Successfully scraped ${response.data.length} rows of data`, 'success');
-        this.saveStoredData();
-      } else {
-        throw new Error(response?.error || 'Failed to scrape data');
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to follow links');
       }
+
+      this.setDrillDownRunning(true);
+      this.showProgress(true, 0, 'Following links...');
     } catch (error) {
-      this.updateStatus(`Scraping failed: ${error.message}`, 'error');
-      console.error('Scraping error:', error);
-    } finally {
-      this.showProgress(false);
+      this.updateStatus(`Following links failed: ${error.message}`, 'error');
+      console.error('Drill-down start error:', error);
+    }
+  }
+
+  /**
+   * Ask the background script to stop following links
+   */
+  async stopDrillDown() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'stopDrillDown' });
+    } catch (error) {
+      console.error('Drill-down stop error:', error);
+    }
+  }
+
+  /**
+   * Toggle the buttons that must not be used while links are followed
+   * @param {boolean} running - Whether a drill-down is running
+   */
+  setDrillDownRunning(running) {
+    this.isDrillingDown = running;
+    this.stopDrillDownBtn.classList.toggle('hidden', !running);
+    this.scrapeDataBtn.disabled = running;
+    this.refreshPreviewBtn.disabled = running;
+  }
+
+  /**
+   * Show drill-down progress reported by the background script
+   * @param {Object} state - { depth, maxDepth, done, total, pages, failed }
+   */
+  handleDrillDownProgress(state) {
+    this.setDrillDownRunning(true);
+    const progress = state.total > 0 ? Math.round((state.done / state.total) * 100) : 0;
+    this.showProgress(true, progress,
+      `Following links (level ${state.depth} of ${state.maxDepth}): ${state.done} of ${state.total} - ${state.failed} failed`);
+    this.renderDrillDownLog(state.failures);
+  }
+
+  /**
+   * Show the rows with their child data once the drill-down has ended
+   * @param {Object} state - { status, pages, failed, failures, rows, reason }
+   * @param {Array} data - Parent rows with merged fields or child rows
+   */
+  handleDrillDownComplete(state, data) {
+    this.setDrillDownRunning(false);
+    this.showProgress(false);
+
+    this.scrapedData = data || [];
+    this.updatePreview(this.scrapedData);
+    this.updateExportButtons();
+
+    this.renderDrillDownLog(state.failures);
+    this.updateStatus(`${state.rows} rows. ${state.reason}`,
+      state.status === 'error' ? 'error' : state.failed > 0 ? 'warning' : 'success');
+  }
+
+  /**
+   * List the links that failed after all retries, under the drill-down options
+   * @param {Array} failures - { url, error, attempts }
+   */
+  renderDrillDownLog(failures = []) {
+    this.renderFailureLog(this.drillDownLog, failures);
+  }
+
+  /**
+   * Restore the drill-down UI: the failure log of the last run, and the
+   * progress of a run that was in progress when the popup opened
+   * @param {Object} state - Last stored drill-down state
+   */
+  async restoreDrillDownState(state) {
+    if (!state) return;
+
+    this.renderDrillDownLog(state.failures);
+    if (state.status !== 'running') return;
+
+    try {
+      // The stored state can be stale if the background worker was restarted
+      const response = await chrome.runtime.sendMessage({ action: 'getDrillDownState' });
+      if (response && response.running) {
+        this.handleDrillDownProgress(state);
+      }
+    } catch (error) {
+      console.error('Error restoring drill-down state:', error);
     }
   }
 
+  /**
+   * Column order for the preview and exports: the configured columns (with
+   * the child columns of followed links after their parent), then any extra
+   * columns present in the rows (e.g. "Source URL" from a batch)
+   * @param {Array} data - Rows to show or export
+   * @returns {Array<string>} Column names
+   */
+  getColumnNames(data) {
+    const columns = [...new Set(this.flattenColumns(this.selectedElements).map(el => el.columnName))];
+    const known = new Set(columns);
+
+    (data || []).forEach(row => {
+      Object.keys(row).forEach(key => {
+        if (!known.has(key)) {
+          known.add(key);
+          columns.push(key);
+        }
+      });
+    });
+
+    return columns;
+  }
+
   /**
    * Update preview display with table format - Shows all data
-   * @param {Array} data - Array of scraped data objects
+   * @param {Array} data - Array of raw scraped data objects (column transforms are applied here)
    */
   updatePreview(data) {
     this.dataCount.textContent = data ? data.length : 0;
@@ -1167,30 +4041,64 @@ class WebScraperPopup {
       return;
     }
 
-    // Get all column names from selected elements
-    const columns = this.selectedElements.map(el => el.columnName);
+    const isScrapedData = data === this.scrapedData;
+    data = this.applyTransforms(data);
+
+    // With a comparison baseline, rows are colour-coded and removed rows are shown too
+    const diff = isScrapedData ? this.getComparison() : null;
+    const entries = diff
+      ? diff.entries
+      : data.map(row => ({ status: 'unchanged', row: row, previous: null, changedFields: [] }));
+
+    // Get all column names from selected elements, plus extra row columns
+    const columns = this.getColumnNames(entries.map(entry => entry.row));
+    
+    // Values may be page markup (Inner/Outer HTML extraction): show it as text
+    const cell = (entry, col) => {
+      const value = this.escapeHtml(entry.row[col]);
+      if (!entry.changedFields.includes(col)) {
+        return `<td title="${value}">${value}</td>`;
+      }
+      return `<td class="cell-changed" title="was: ${this.escapeHtml(entry.previous[col])}">${value}</td>`;
+    };
     
     // Create table HTML with ALL data (no limit)
     const tableHtml = `
       <table class="preview-table">
         <thead>
           <tr>
-            ${columns.map(col => `<th>${col}</th>`).join('')}
+            ${columns.map(col => `<th data-column="${this.escapeHtml(col)}">${this.escapeHtml(col)}</th>`).join('')}
           </tr>
         </thead>
         <tbody>
-          ${data.map(row => `
-            <tr>
-              ${columns.map(col => `<td title="${row[col] || ''}">${row[col] || ''}</td>`).join('')}
+          ${entries.map((entry, index) => `
+            <tr class="row-${entry.status}" ${isScrapedData && entry.status !== 'removed' ? `data-index="${index}"` : ''}>
+              ${columns.map(col => cell(entry, col)).join('')}
             </tr>
           `).join('')}
         </tbody>
       </table>
     `;
 
+    const diffBar = diff ? `
+      <div class="diff-summary">
+        <span>Compared with ${this.diffBaseline.label}: ${WebScraperDiff.summarize(diff)}</span>
+        <button class="btn btn-sm btn-secondary clear-diff-btn">Hide changes</button>
+      </div>
+    ` : '';
+
     // Show total count
     const totalText = `<p class="placeholder">Total: ${data.length} rows</p>`;
-    this.previewData.innerHTML = tableHtml + totalText;
+    this.previewData.innerHTML = diffBar + tableHtml + totalText;
+    
+    // Keep the copy selection while it still fits the rows and columns
+    const selection = this.previewSelection;
+    if (!isScrapedData || (selection && (selection.type === 'rows'
+      ? selection.end >= data.length
+      : !columns.includes(selection.column)))) {
+      this.previewSelection = null;
+    }
+    this.renderPreviewSelection();
   }
 
   /**
@@ -1202,6 +4110,38 @@ class WebScraperPopup {
     this.exportCsvBtn.disabled = !hasData;
     this.exportJsonBtn.disabled = !hasData;
     this.exportXlsxBtn.disabled = !hasData;
+    this.exportWebhookBtn.disabled = !hasData;
+    this.exportOtherBtn.disabled = !hasData;
+    this.copyTableBtn.disabled = !hasData;
+    this.copyJsonBtn.disabled = !hasData;
+  }
+
+  /**
+   * Show the table name field only for SQL exports
+   */
+  updateExportFormat() {
+    this.exportTableNameGroup.classList.toggle('hidden', this.exportFormatSelect.value !== 'sql');
+  }
+
+  /**
+   * Use new options page settings. A changed default export format is
+   * selected right away; CSV options are read when exporting
+   * @param {Object} settings - Complete settings
+   */
+  applySettings(settings) {
+    const formatChanged = settings.defaultExportFormat !== this.settings.defaultExportFormat;
+    const colorChanged = settings.selectedColor !== this.settings.selectedColor;
+    this.settings = settings;
+    
+    // The first column's swatch shows the "Selected elements" color
+    if (colorChanged) {
+      this.updateElementsList();
+    }
+    
+    if (formatChanged && WebScraperExporters.get(settings.defaultExportFormat)) {
+      this.exportFormatSelect.value = settings.defaultExportFormat;
+      this.updateExportFormat();
+    }
   }
 
   // ========================================
@@ -1210,7 +4150,7 @@ class WebScraperPopup {
 
   /**
    * Export data in specified format - UPDATED with working Excel export
-   * @param {string} format - Export format ('csv', 'json', 'xlsx')
+   * @param {string} format - Format ID registered in exporters.js
    */
   async exportData(format) {
     if (!this.scrapedData || this.scrapedData.length === 0) {
@@ -1221,9 +4161,8 @@ class WebScraperPopup {
     this.showProgress(true, 0, 'Preparing export...');
     
     try {
-      const filename = this.filenameInput.value.trim() || 'scraped-data';
-      await this.downloadData(this.scrapedData, format, filename);
-      this.updateStatus(`Successfully exported ${this.scrapedData.length} rows as ${format.toUpperCase()}`, 'success');
+      await this.downloadData(this.scrapedData, format, this.filenameInput.value.trim());
+      this.updateStatus(`Successfully exported ${this.scrapedData.length} rows as ${WebScraperExporters.get(format).label}`, 'success');
     } catch (error) {
       this.updateStatus(`Export failed: ${error.message}`, 'error');
       console.error('Export error:', error);
@@ -1234,168 +4173,465 @@ class WebScraperPopup {
 
   /**
    * Download data in specified format using native JavaScript - FIXED
-   * @param {Array} data - Data to export
-   * @param {string} format - File format ('csv', 'json', 'xlsx')
-   * @param {string} filename - Base filename (without extension)
+   * @param {Array} data - Raw data to export (column transforms are applied here)
+   * @param {string} format - Format ID registered in exporters.js ('csv', 'json', 'xlsx', 'sql', ...)
+   * @param {string} template - Filename template (see buildFilename)
    */
-  async downloadData(data, format, filename) {
+  async downloadData(data, format, template) {
     if (!data || data.length === 0) {
       throw new Error('No data to export');
     }
 
-    let blob, extension;
+    const exporter = WebScraperExporters.get(format);
+    if (!exporter) {
+      throw new Error(`Unsupported format: ${format}`);
+    }
+
+    data = this.applyTransforms(data);
+    const filename = this.buildFilename(template, format, data.length);
 
     try {
-      switch (format) {
-        case 'csv':
-          const csvContent = this.createCSV(data);
-          blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-          extension = 'csv';
-          break;
-          
-        case 'json':
-          const json = JSON.stringify(data, null, 2);
-          blob = new Blob([json], { type: 'application/json' });
-          extension = 'json';
-          break;
-          
-        case 'xlsx':
-          const xlsxBlob = await this.createExcel(data);
-          blob = xlsxBlob;
-          extension = 'xls'; // Changed from xlsx to xls for native XML format
-          break;
-          
-        default:
-          throw new Error(`Unsupported format: ${format}`);
-      }
+      // Columns keep the order of the selected elements
+      const blob = await WebScraperExporters.createBlob(format, this.getColumnNames(data), data, {
+        tableName: this.exportTableNameInput.value.trim() || 'scraped_data',
+        title: filename.split('/').pop().replace(/\.[^.]*$/, ''),
+        delimiter: this.settings.csvDelimiter,
+        encoding: this.settings.csvEncoding,
+        bom: this.settings.csvBom
+      });
+      await this.downloadBlob(blob, filename);
+    } catch (error) {
+      throw new Error(`Failed to create ${format.toUpperCase()} file: ${error.message}`);
+    }
+  }
 
-      // Create download link
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `${filename}.${extension}`;
-      
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
-      // Clean up
-      setTimeout(() => URL.revokeObjectURL(url), 1000);
+  // ========================================
+  // DOWNLOADS
+  // ========================================
+
+  /**
+   * Fill the download options from saved settings
+   * @param {Object} settings - { template, saveAs, conflictAction }
+   */
+  applyDownloadSettings(settings) {
+    this.filenameInput.value = settings.template ?? 'scraped-data';
+    this.saveAsCheckbox.checked = Boolean(settings.saveAs);
+    this.filenameConflictSelect.value = settings.conflictAction === 'overwrite' ? 'overwrite' : 'uniquify';
+  }
+
+  /**
+   * Read the download options from the form
+   * @returns {Object} { template, saveAs, conflictAction }
+   */
+  getDownloadSettings() {
+    return {
+      template: this.filenameInput.value.trim(),
+      saveAs: this.saveAsCheckbox.checked,
+      conflictAction: this.filenameConflictSelect.value
+    };
+  }
+
+  /**
+   * Expand a filename template into a path relative to the Downloads folder.
+   * Tokens: {recipe} {domain} {date} {time} {format} {rows} {ext}; a "/"
+   * in the template makes subfolders. ".{ext}" is added when the template
+   * doesn't use {ext}.
+   * @param {string} template - e.g. "{recipe}/{domain}-{date}-{time}.{ext}"
+   * @param {string} format - Format ID registered in exporters.js
+   * @param {number} rows - Number of exported rows
+   * @returns {string} Relative path, e.g. "Shop/example.com-2026-01-31-14-05-09.csv"
+   */
+  buildFilename(template, format, rows) {
+    const now = new Date();
+    const pad = number => String(number).padStart(2, '0');
+    const recipe = this.getActiveRecipe();
+    let domain = '';
+    try {
+      domain = new URL(this.targetUrl).hostname;
+    } catch (error) {
+      // No target page (e.g. a detached window that lost its tab)
+    }
+    
+    const values = {
+      recipe: recipe ? recipe.name : 'untitled',
+      domain: domain || 'page',
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+      format: format,
+      rows: String(rows),
+      ext: WebScraperExporters.get(format).extension
+    };
+    
+    let path = template || 'scraped-data';
+    if (!path.includes('{ext}')) path += '.{ext}';
+    
+    // Token values never create folders; only the template's own slashes do
+    path = path.replace(/\{(\w+)\}/g, (token, name) =>
+      name in values ? values[name].replace(/[\/\\]/g, '-') : token);
+    
+    const segments = path.split(/[\/\\]/).map(segment => this.sanitizePathSegment(segment)).filter(Boolean);
+    return segments.length > 0 ? segments.join('/') : `scraped-data.${values.ext}`;
+  }
+
+  /**
+   * Make one folder or file name acceptable to chrome.downloads: no reserved
+   * characters, no leading or trailing dots and spaces, no "." or ".."
+   * @param {string} segment - Folder or file name
+   * @returns {string} Safe name, or '' to drop the segment
+   */
+  sanitizePathSegment(segment) {
+    const name = segment
+      .replace(/[<>:"|?*\x00-\x1F]/g, '_')
+      .replace(/^[\s.]+|[\s.]+$/g, '');
+    
+    // Names Windows reserves for devices
+    return /^(con|prn|aux|nul|com\d|lpt\d)(\.|$)/i.test(name) ? `_${name}` : name;
+  }
+
+  /**
+   * Save a blob with chrome.downloads, honouring the Save As (detached
+   * window only) and file-exists options. Every export and recipe download goes through here.
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Path relative to the Downloads folder, including extension
+   * @returns {Promise<number>} Download ID
+   */
+  async downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const settings = this.getDownloadSettings();
+    
+    try {
+      const downloadId = await chrome.downloads.download({
+        url: url,
+        filename: filename,
+        saveAs: settings.saveAs && this.isDetachedWindow,   // See disableSaveAs
+        conflictAction: settings.conflictAction
+      });
       
+      // The object URL must live until Chrome has read it (Save As waits on the user)
+      this.pendingDownloads.set(downloadId, url);
+      return downloadId;
     } catch (error) {
-      throw new Error(`Failed to create ${format.toUpperCase()} file: ${error.message}`);
+      URL.revokeObjectURL(url);
+      throw error;
     }
   }
 
   /**
-   * Create CSV content from data - FIXED
+   * Follow our downloads: free the object URL when one ends and offer
+   * "Show in folder" once it has completed
+   * @param {Object} delta - chrome.downloads.onChanged change
    */
-  createCSV(data) {
-    if (!data || data.length === 0) {
-      return '';
+  async handleDownloadChanged(delta) {
+    const url = this.pendingDownloads.get(delta.id);
+    if (!url || !delta.state || delta.state.current === 'in_progress') return;
+    
+    this.pendingDownloads.delete(delta.id);
+    URL.revokeObjectURL(url);
+    
+    const [item] = await chrome.downloads.search({ id: delta.id });
+    
+    if (delta.state.current === 'interrupted') {
+      if (item && item.error === 'USER_CANCELED') {
+        this.updateStatus('Download cancelled', 'info');
+      } else {
+        this.updateStatus(`Download failed: ${item ? item.error : 'interrupted'}`, 'error');
+      }
+      return;
+    }
+    
+    this.lastDownloadId = delta.id;
+    this.downloadResultName.textContent = `✓ Saved ${item ? item.filename.split(/[\\/]/).pop() : ''}`;
+    this.downloadResultName.title = item ? item.filename : '';
+    this.downloadResult.classList.remove('hidden');
+  }
+
+  /**
+   * Reveal the last completed download in the file manager
+   */
+  showInFolder() {
+    if (this.lastDownloadId !== null) {
+      chrome.downloads.show(this.lastDownloadId);
     }
+  }
 
-    // Get column names from selected elements to maintain order
-    const headers = this.selectedElements.map(el => el.columnName);
+  // ========================================
+  // CLIPBOARD COPY
+  // ========================================
+
+  /**
+   * Select what to copy from a click in the preview table: a row (Shift+click
+   * extends the range from the last selected row), or a column header.
+   * Clicking the selection again clears it.
+   * @param {MouseEvent} e - Click event
+   */
+  handlePreviewClick(e) {
+    const header = e.target.closest('th[data-column]');
+    const row = e.target.closest('tr[data-index]');
+    const selection = this.previewSelection;
     
-    // Escape CSV values
-    const escapeCSV = (value) => {
-      if (value == null) return '';
-      const str = String(value);
-      if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
-        return `"${str.replace(/"/g, '""')}"`;
+    if (header) {
+      const column = header.getAttribute('data-column');
+      this.previewSelection = selection && selection.type === 'column' && selection.column === column
+        ? null
+        : { type: 'column', column: column };
+    } else if (row) {
+      const index = parseInt(row.getAttribute('data-index'), 10);
+      if (e.shiftKey && selection && selection.type === 'rows') {
+        this.previewSelection = { type: 'rows', start: Math.min(selection.anchor, index), end: Math.max(selection.anchor, index), anchor: selection.anchor };
+      } else if (selection && selection.type === 'rows' && selection.start === index && selection.end === index) {
+        this.previewSelection = null;
+      } else {
+        this.previewSelection = { type: 'rows', start: index, end: index, anchor: index };
       }
-      return str;
-    };
+    } else {
+      return;
+    }
+    
+    this.renderPreviewSelection();
+  }
 
-    // Create header row
-    const csvHeader = headers.map(escapeCSV).join(',') + '\n';
+  /**
+   * Highlight the selected rows or column and describe the selection
+   */
+  renderPreviewSelection() {
+    const selection = this.previewSelection;
+    const table = this.previewData.querySelector('.preview-table');
+    
+    if (table) {
+      const headers = [...table.querySelectorAll('th[data-column]')];
+      const columnIndex = selection && selection.type === 'column'
+        ? headers.findIndex(th => th.getAttribute('data-column') === selection.column)
+        : -1;
+      
+      headers.forEach((th, index) => th.classList.toggle('selected', index === columnIndex));
+      table.querySelectorAll('tbody tr').forEach(tr => {
+        const index = tr.hasAttribute('data-index') ? parseInt(tr.getAttribute('data-index'), 10) : -1;
+        const rowSelected = Boolean(selection) && selection.type === 'rows' && index >= selection.start && index <= selection.end;
+        tr.classList.toggle('selected', rowSelected);
+        [...tr.children].forEach((td, tdIndex) => td.classList.toggle('selected', tdIndex === columnIndex));
+      });
+    }
     
-    // Create data rows
-    const csvRows = data.map(row => 
-      headers.map(header => escapeCSV(row[header] || '')).join(',')
-    ).join('\n');
+    this.copySelectionText.textContent = selection
+      ? `Copying ${this.describeCopySelection()}`
+      : 'Click a row (Shift+click for a range) or a column header to copy just that; click it again to clear';
+  }
 
-    return csvHeader + csvRows;
+  /**
+   * What the copy buttons copy, e.g. "rows 3-7" or "column Price"
+   * @returns {string} Description
+   */
+  describeCopySelection() {
+    const selection = this.previewSelection;
+    if (!selection) return 'the whole table';
+    if (selection.type === 'column') return `column ${selection.column}`;
+    return selection.start === selection.end
+      ? `row ${selection.start + 1}`
+      : `rows ${selection.start + 1}-${selection.end + 1}`;
   }
 
   /**
-   * Create Excel file from data using native implementation - FIXED
+   * Copy the selection (or the whole table) after column transforms
+   * @param {string} kind - 'table' for tab-separated text plus an HTML table
+   *   (spreadsheets keep the cells), 'json' for JSON text
    */
-  async createExcel(data) {
-    return new Promise((resolve, reject) => {
-      try {
-        // Create a simple Excel file using XML format
-        const excelXML = this.createExcelXML(data);
-        const blob = new Blob([excelXML], { 
-          type: 'application/vnd.ms-excel'
-        });
-        resolve(blob);
-      } catch (error) {
-        reject(new Error(`Excel creation failed: ${error.message}`));
+  async copyToClipboard(kind) {
+    if (!this.scrapedData || this.scrapedData.length === 0) {
+      this.updateStatus('No data to copy. Please scrape data first.', 'error');
+      return;
+    }
+    
+    const selection = this.previewSelection;
+    let rows = this.applyTransforms(this.scrapedData);
+    let columns = this.getColumnNames(rows);
+    if (selection && selection.type === 'rows') {
+      rows = rows.slice(selection.start, selection.end + 1);
+    } else if (selection && selection.type === 'column') {
+      columns = [selection.column];
+    }
+    
+    try {
+      if (kind === 'json') {
+        // A single column copies as a plain array of its values
+        const value = selection && selection.type === 'column'
+          ? rows.map(row => row[selection.column] ?? null)
+          : WebScraperExporters.orderedRows(columns, rows);
+        await navigator.clipboard.writeText(JSON.stringify(value, null, 2));
+      } else {
+        const options = { header: this.copyHeadersCheckbox.checked };
+        const tsv = WebScraperExporters.buildTsv(columns, rows, options);
+        const html = WebScraperExporters.buildHtmlTable(columns, rows, options);
+        await navigator.clipboard.write([new ClipboardItem({
+          'text/plain': new Blob([tsv], { type: 'text/plain' }),
+          'text/html': new Blob([html], { type: 'text/html' })
+        })]);
       }
-    });
+      
+      this.updateStatus(`Copied ${this.describeCopySelection()} (${rows.length} row${rows.length === 1 ? '' : 's'})${kind === 'json' ? ' as JSON' : ''}`, 'success');
+    } catch (error) {
+      this.updateStatus(`Copy failed: ${error.message}`, 'error');
+      console.error('Clipboard error:', error);
+    }
   }
 
+  // ========================================
+  // WEBHOOK DELIVERY
+  // ========================================
+
   /**
-   * Create Excel XML content - FIXED
+   * Fill the webhook form from saved settings
+   * @param {Object} settings - Webhook settings (see WebScraperWebhook.defaults)
    */
-  createExcelXML(data) {
-    if (!data || data.length === 0) {
-      return '';
-    }
+  applyWebhookSettings(settings) {
+    this.webhookSettings = { ...WebScraperWebhook.defaults(), ...settings, headers: { ...settings.headers } };
+    
+    const { enabled, url, format, headers, batchSize, retries, backoff, onSchedule } = this.webhookSettings;
+    this.enableWebhookCheckbox.checked = enabled;
+    this.webhookOptions.classList.toggle('hidden', !enabled);
+    this.webhookUrlInput.value = url;
+    this.webhookFormatSelect.value = format;
+    this.webhookHeadersInput.value = WebScraperWebhook.formatHeaders(headers);
+    this.webhookBatchSizeInput.value = batchSize;
+    this.webhookRetriesInput.value = retries;
+    this.webhookBackoffInput.value = backoff;
+    this.webhookOnScheduleCheckbox.checked = onSchedule;
+  }
 
-    // Get column names from selected elements to maintain order
-    const headers = this.selectedElements.map(el => el.columnName);
+  /**
+   * Take the webhook settings from the form after a change. Malformed
+   * headers are reported and the previous headers kept.
+   */
+  readWebhookForm() {
+    let headers = this.webhookSettings.headers;
+    try {
+      headers = WebScraperWebhook.parseHeaders(this.webhookHeadersInput.value);
+    } catch (error) {
+      this.updateStatus(error.message, 'error');
+    }
     
-    // Escape XML characters
-    const escapeXML = (value) => {
-      if (value == null) return '';
-      return String(value)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
+    this.webhookSettings = {
+      enabled: this.enableWebhookCheckbox.checked,
+      url: this.webhookUrlInput.value.trim(),
+      format: this.webhookFormatSelect.value,
+      headers: headers,
+      batchSize: this.clampNumber(this.webhookBatchSizeInput.value, 0, 100000, 0),
+      retries: this.clampNumber(this.webhookRetriesInput.value, 0, 10, 3),
+      backoff: this.clampNumber(this.webhookBackoffInput.value, 0, 60000, 1000),
+      onSchedule: this.webhookOnScheduleCheckbox.checked
     };
+    
+    this.webhookOptions.classList.toggle('hidden', !this.webhookSettings.enabled);
+    this.saveStoredData();
+  }
 
-    // Build Excel XML
-    let xml = `<?xml version="1.0"?>
-<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
- xmlns:o="urn:schemas-microsoft-com:office:office"
- xmlns:x="urn:schemas-microsoft-com:office:excel"
- xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet"
- xmlns:html="http://www.w3.org/TR/REC-html40">
- <Worksheet ss:Name="Scraped Data">
-  <Table>`;
-
-    // Add header row
-    xml += '\n   <Row>';
-    headers.forEach(header => {
-      xml += `\n    <Cell><Data ss:Type="String">${escapeXML(header)}</Data></Cell>`;
-    });
-    xml += '\n   </Row>';
-
-    // Add data rows
-    data.forEach(row => {
-      xml += '\n   <Row>';
-      headers.forEach(header => {
-        const value = row[header] || '';
-        // Detect if value is a number
-        const isNumber = !isNaN(value) && !isNaN(parseFloat(value)) && value !== '';
-        const dataType = isNumber ? 'Number' : 'String';
-        xml += `\n    <Cell><Data ss:Type="${dataType}">${escapeXML(value)}</Data></Cell>`;
+  /**
+   * POST the current rows (after transforms) to the webhook. The background
+   * service worker sends them, so retries continue if the popup closes.
+   */
+  async sendToWebhook() {
+    if (!this.scrapedData || this.scrapedData.length === 0) {
+      this.updateStatus('No data to send. Please scrape data first.', 'error');
+      return;
+    }
+    
+    if (!this.webhookSettings.enabled) {
+      this.updateStatus('Turn on webhook delivery and enter the endpoint under Webhook Delivery first', 'error');
+      return;
+    }
+    
+    const errors = WebScraperWebhook.validate(this.webhookSettings);
+    if (errors.length > 0) {
+      this.updateStatus(errors[0], 'error');
+      return;
+    }
+    
+    this.exportWebhookBtn.disabled = true;
+    this.showProgress(true, 0, `Sending ${this.scrapedData.length} rows to the webhook...`);
+    
+    try {
+      const recipe = this.getActiveRecipe();
+      const response = await chrome.runtime.sendMessage({
+        action: 'deliverWebhook',
+        rows: this.applyTransforms(this.scrapedData),
+        settings: this.webhookSettings,
+        context: { source: 'manual', recipeName: recipe ? recipe.name : '' }
       });
-      xml += '\n   </Row>';
-    });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the background script');
+      }
+      
+      const { entry } = response;
+      if (entry.status === 'success') {
+        this.updateStatus(`Sent ${entry.rows} row${entry.rows === 1 ? '' : 's'} in ${entry.batches} request${entry.batches === 1 ? '' : 's'}`, 'success');
+      } else {
+        this.updateStatus(`Webhook delivery failed after ${entry.delivered} of ${entry.batches} requests: ${entry.error}`, 'error');
+      }
+    } catch (error) {
+      this.updateStatus(`Webhook delivery failed: ${error.message}`, 'error');
+      console.error('Webhook delivery error:', error);
+    } finally {
+      this.showProgress(false);
+      this.updateExportButtons();
+    }
+  }
+
+  /**
+   * Load the delivery log and show it
+   */
+  async loadWebhookLog() {
+    try {
+      this.webhookLog = await WebScraperWebhook.loadLog();
+      this.renderWebhookLog();
+    } catch (error) {
+      console.error('Webhook log load error:', error);
+    }
+  }
 
-    xml += `
-  </Table>
- </Worksheet>
-</Workbook>`;
+  /**
+   * Show the delivery log: time, source, rows, requests and status
+   */
+  renderWebhookLog() {
+    if (this.webhookLog.length === 0) {
+      this.webhookLogList.innerHTML = '<p class="placeholder">Nothing delivered yet</p>';
+      return;
+    }
+    
+    const statusText = {
+      success: '✓ OK',
+      partial: '⚠ Partial',
+      error: '✗ Failed'
+    };
+    
+    this.webhookLogList.innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Time</th><th>Source</th><th>Rows</th><th>Requests</th><th>Status</th></tr>
+        </thead>
+        <tbody>
+          ${this.webhookLog.map(entry => `
+            <tr title="${this.escapeHtml(entry.url)}">
+              <td>${new Date(entry.time).toLocaleString()}</td>
+              <td>${entry.source === 'schedule' ? `⏰ ${this.escapeHtml(entry.recipeName)}` : this.escapeHtml(entry.recipeName || 'Manual')}</td>
+              <td>${entry.rows}</td>
+              <td title="${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}">${entry.delivered}/${entry.batches}</td>
+              <td class="run-status ${entry.status === 'success' ? 'success' : 'error'}" title="${this.escapeHtml(entry.error)}">
+                ${statusText[entry.status]}${entry.httpStatus ? ` (${entry.httpStatus})` : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
 
-    return xml;
+  /**
+   * Refresh the log when a delivery (manual or scheduled) finishes
+   * @param {Object} entry - Log entry of the delivery
+   */
+  handleWebhookDelivered(entry) {
+    this.webhookLog = [entry, ...this.webhookLog.filter(existing => existing.id !== entry.id)].slice(0, WEBHOOK_LOG_LIMIT);
+    this.renderWebhookLog();
   }
 
   // ========================================
@@ -1418,6 +4654,16 @@ class WebScraperPopup {
     }
   }
 
+  /**
+   * Escape text for an HTML template, in element content or an attribute value.
+   * Column names, selectors and scraped values all come from the page or the user.
+   * @param {*} value - Value to escape (null and undefined become '')
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    return WebScraperExporters.escapeHtml(value);
+  }
+
   /**
    * Update status bar with message and styling
    * @param {string} message - Status message
@@ -1443,10 +4689,119 @@ class WebScraperPopup {
       case 'elementSelected':
         // Generate a default column name for selected element
         const columnName = `Column_${this.selectedElements.length + 1}`;
-        this.addElement(message.cssSelector, 'css', columnName, 1);
+        this.addElement(message.cssSelector, 'css', columnName, message.count || 1, message.frame || null, message.alternatives || []);
         this.updateStatus('Element selected. Click "Scrape Data" to extract information.', 'success');
         break;
+        
+      case 'similarSelectorUpdated':
+        this.handleSimilarUpdate(message);
+        break;
+        
+      case 'elementExcluded':
+        this.excludeFromColumn(message);
+        break;
+        
+      case 'selectionCancelled':
+        // Escape pressed on the page: a pending pick, or selection in every frame
+        if (message.target) {
+          this.updateStatus('Picking cancelled', 'info');
+        } else {
+          this.disableElementSelection()
+            .then(() => this.updateStatus('Selection stopped. Click "Select Elements" to pick again', 'info'));
+        }
+        break;
+        
+      case 'targetPicked':
+        if (message.target === 'nextPage') {
+          this.nextSelectorInput.value = message.cssSelector;
+          this.nextSelectorTypeSelect.value = 'css';
+          this.saveStoredData();
+          this.updateStatus(`Next button set: ${message.cssSelector}`, 'success');
+        } else if (message.target === 'loadMore') {
+          this.loadMoreSelectorInput.value = message.cssSelector;
+          this.loadMoreTypeSelect.value = 'css';
+          this.saveStoredData();
+          this.updateStatus(`Load more button set: ${message.cssSelector}`, 'success');
+        }
+        break;
+        
+      case 'autoLoadProgress':
+        this.handleAutoLoadProgress(message);
+        break;
+        
+      case 'paginationProgress':
+        this.handlePaginationProgress(message.state);
+        break;
+        
+      case 'paginationComplete':
+        this.handlePaginationComplete(message.state, message.data);
+        break;
+        
+      case 'batchProgress':
+        this.handleBatchProgress(message.state);
+        break;
+        
+      case 'batchComplete':
+        this.handleBatchComplete(message.state, message.data);
+        break;
+        
+      case 'drillDownProgress':
+        this.handleDrillDownProgress(message.state);
+        break;
+        
+      case 'drillDownComplete':
+        this.handleDrillDownComplete(message.state, message.data);
+        break;
+        
+      case 'scheduleRunComplete':
+        this.handleScheduleRunComplete(message.run);
+        break;
+        
+      case 'webhookDelivered':
+        this.handleWebhookDelivered(message.entry);
+        break;
+        
+      case 'pageDataChanged':
+        sendResponse({ watching: this.handlePageDataChanged(message.data, sender) });
+        break;
+        
+      case 'columnsShown':
+        // Asked by a page re-applying its column highlights after a DOM change
+        sendResponse({
+          showing: this.selectedElements.length > 0 &&
+            (!this.isDetachedWindow || (sender.tab && sender.tab.id === this.targetTabId))
+        });
+        break;
+    }
+  }
+
+  /**
+   * Take rows the page re-scraped after its content changed. They replace
+   * the preview only while it still shows that page's last scrape, and not
+   * while another scrape is running
+   * @param {Array} data - Re-scraped rows
+   * @param {Object} sender - Message sender info
+   * @returns {boolean} Whether the page should keep sending changes
+   */
+  handlePageDataChanged(data, sender) {
+    const watched = this.watchedScrape;
+    if (!watched || this.scrapedData !== watched.rows || !sender.tab || sender.tab.id !== watched.tabId ||
+        sender.frameId !== 0 || !this.settings.autoDetectDynamicContent) {
+      return false;
+    }
+    if (this.isPaginating || this.isBatchRunning || this.isDrillingDown || this.activeAutoLoad) {
+      return true;
     }
+    
+    this.rememberBaseline();
+    this.scrapedData = data;
+    watched.rows = data;
+    this.updatePreview(data);
+    this.updateExportButtons();
+    this.updateStatus(`Page content changed: re-scraped ${data.length} row${data.length === 1 ? '' : 's'}${this.describeComparison()}`,
+      this.comparisonAlerts().length > 0 ? 'warning' : 'success');
+    this.saveStoredData();
+    return true;
   }
 
   // ========================================
@@ -1459,7 +4814,11 @@ class WebScraperPopup {
    */
   async loadStoredData() {
     try {
-      const result = await chrome.storage.local.get(['selectedElements', 'scrapedData']);
+      const result = await chrome.storage.local.get([
+        'selectedElements', 'rowContainer', 'autoLoadSettings', 'paginationSettings', 'paginationState',
+        'batchSettings', 'batchState', 'drillDownSettings', 'drillDownState', 'monitorSettings',
+        'webhookSettings', 'exportSettings', 'downloadSettings', 'activeRecipeId', 'scrapedData'
+      ]);
       
       // Restore selected elements
       if (result.selectedElements && Array.isArray(result.selectedElements)) {
@@ -1468,12 +4827,72 @@ class WebScraperPopup {
         this.updateExportButtons();
       }
       
+      // Restore row container
+      if (result.rowContainer && result.rowContainer.selector) {
+        this.rowContainer = result.rowContainer;
+        this.updateContainerDisplay();
+      }
+      
+      // Restore auto-load settings
+      if (result.autoLoadSettings) {
+        this.applyAutoLoadSettings(result.autoLoadSettings);
+      }
+      
+      // Restore pagination settings and any running crawl
+      if (result.paginationSettings) {
+        this.applyPaginationSettings(result.paginationSettings);
+      }
+      this.restorePaginationState(result.paginationState);
+      
+      // Restore batch settings, the last failure log and any running batch
+      if (result.batchSettings) {
+        this.applyBatchSettings(result.batchSettings);
+      }
+      this.restoreBatchState(result.batchState);
+      
+      // Restore drill-down limits and any running drill-down
+      if (result.drillDownSettings) {
+        this.applyDrillDownSettings(result.drillDownSettings);
+      }
+      this.restoreDrillDownState(result.drillDownState);
+      
+      // Restore change monitoring settings
+      if (result.monitorSettings) {
+        this.applyMonitorSettings(result.monitorSettings);
+      }
+      
+      // Restore the webhook endpoint and its delivery log
+      if (result.webhookSettings) {
+        this.applyWebhookSettings(result.webhookSettings);
+      }
+      await this.loadWebhookLog();
+      
+      // Options page settings, including the default export format
+      this.applySettings(await WebScraperSettings.load());
+      
+      // Restore the SQL table name
+      if (result.exportSettings) {
+        this.exportTableNameInput.value = result.exportSettings.tableName || 'scraped_data';
+      }
+      
+      // Restore the filename template and download options
+      if (result.downloadSettings) {
+        this.applyDownloadSettings(result.downloadSettings);
+      }
+      
       // Restore scraped data
       if (result.scrapedData && Array.isArray(result.scrapedData)) {
         this.scrapedData = result.scrapedData;
         this.updatePreview(result.scrapedData);
         this.updateExportButtons();
       }
+      
+      // Restore the active recipe and offer recipes matching this page
+      this.activeRecipeId = result.activeRecipeId || null;
+      await this.loadRecipes();
+      
+      // Restore schedules and their run history
+      await this.loadSchedules();
     } catch (error) {
       console.error('Error loading stored data:', error);
     }
@@ -1487,6 +4906,18 @@ class WebScraperPopup {
     try {
       await chrome.storage.local.set({
         selectedElements: this.selectedElements,
+        rowContainer: this.rowContainer,
+        autoLoadSettings: this.getAutoLoadSettings(),
+        paginationSettings: this.getPaginationSettings(),
+        batchSettings: this.getBatchSettings(),
+        drillDownSettings: this.getDrillDownSettings(),
+        monitorSettings: this.monitorSettings,
+        webhookSettings: this.webhookSettings,
+        exportSettings: {
+          tableName: this.exportTableNameInput.value.trim()
+        },
+        downloadSettings: this.getDownloadSettings(),
+        activeRecipeId: this.activeRecipeId,
         scrapedData: this.scrapedData
       });
     } catch (error) {
@@ -0,0 +1,567 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - RECIPES
+ * ============================================================================
+ * Saved scraping recipes (sitemaps). A recipe bundles everything needed to
+ * scrape one kind of page - column selectors with names and extraction
+ * options, the row container, and scrape options - and is tied to a URL
+ * pattern so it can be offered when a matching page is open.
+ *
+ * URL patterns are globs where `*` matches any run of characters, e.g.
+ * `https://shop.example.com/products/*` or `*://*.example.com/*`.
+ *
+ * Selectors may reach into open shadow roots and same-origin iframes with
+ * " >>> " (see content.js); a column picked inside a cross-origin iframe
+ * has a "frame" address and is scraped in that frame (see frames.js).
+ *
+ * A column may follow the link it holds: its "follow" object lists child
+ * columns (which may follow links themselves) scraped on the linked page.
+ *
+ * Recipes are shared as versioned JSON documents, described by
+ * recipe-schema.json:
+ *
+ *   {
+ *     "format": "web-scraper-recipe",
+ *     "version": 1,
+ *     "exportedAt": "2026-01-01T00:00:00.000Z",
+ *     "recipe": {
+ *       "name": "Shop product list",
+ *       "urlPattern": "https://shop.example.com/products/*",
+ *       "columns": [
+ *         { "columnName": "Title", "selector": "h2.title", "type": "css",
+ *           "extract": { "mode": "text" },
+ *           "transforms": [{ "type": "collapseWhitespace" }] }
+ *       ],
+ *       "rowContainer": { "selector": ".product-card", "type": "css" },
+ *       "options": { "autoLoad": { ... }, "pagination": { ... }, "drillDown": { ... },
+ *                    "monitor": { ... }, "webhook": { ... } }
+ *     }
+ *   }
+ *
+ * Webhook headers usually hold credentials, so they are left out of exported
+ * documents, and an imported webhook starts switched off.
+ *
+ * Loaded as a plain script by the popup (and importable by the background
+ * service worker) after transforms.js, diff.js and webhook.js; exposes the global
+ * WebScraperRecipes.
+ * ============================================================================
+ */
+
+// Identifies recipe documents and the schema version this code writes
+const RECIPE_FORMAT = 'web-scraper-recipe';
+const RECIPE_VERSION = 1;
+
+// Structured data sources a column may read (see structured-data.js)
+const RECIPE_STRUCTURED_SOURCES = ['json-ld', 'microdata', 'rdfa', 'opengraph', 'twitter'];
+
+// Extraction modes a column may use (see extractElementValue in content.js)
+const RECIPE_EXTRACT_MODES = ['auto', 'text', 'innerHTML', 'outerHTML', 'attribute', 'property'];
+
+// How the fields of a followed link are added to the scraped rows
+const RECIPE_FOLLOW_MODES = ['merge', 'rows'];
+
+class WebScraperRecipes {
+  // ========================================================================
+  // STORAGE
+  // Recipes live in chrome.storage.local under a single 'recipes' array
+  // ========================================================================
+
+  /**
+   * Load all saved recipes
+   * @returns {Promise<Array>} Saved recipes
+   */
+  static async load() {
+    const result = await chrome.storage.local.get(['recipes']);
+    return Array.isArray(result.recipes) ? result.recipes : [];
+  }
+
+  /**
+   * Replace the saved recipe list
+   * @param {Array} recipes - Recipes to save
+   */
+  static async save(recipes) {
+    await chrome.storage.local.set({ recipes: recipes });
+  }
+
+  // ========================================================================
+  // RECIPE CREATION
+  // ========================================================================
+
+  /**
+   * Create a new recipe object (not yet saved)
+   * @param {string} name - Display name
+   * @param {string} urlPattern - Glob the page URL must match
+   * @param {Object} config - { elements, rowContainer, autoLoad, pagination }
+   * @returns {Object} Recipe
+   */
+  static create(name, urlPattern, config) {
+    const now = new Date().toISOString();
+
+    return {
+      id: `${Date.now().toString()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name,
+      urlPattern: urlPattern,
+      config: JSON.parse(JSON.stringify(config)),   // Detach from the live popup state
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Copy a recipe under a new ID and name
+   * @param {Object} recipe - Recipe to copy
+   * @param {Array} existing - Saved recipes, used to pick a free name
+   * @returns {Object} New recipe
+   */
+  static duplicate(recipe, existing = []) {
+    const names = new Set(existing.map(r => r.name));
+    let name = `${recipe.name} (copy)`;
+    for (let i = 2; names.has(name); i++) {
+      name = `${recipe.name} (copy ${i})`;
+    }
+
+    return this.create(name, recipe.urlPattern, recipe.config);
+  }
+
+  // ========================================================================
+  // URL MATCHING
+  // ========================================================================
+
+  /**
+   * Default pattern for a page: everything on the same origin
+   * @param {string} url - Page URL
+   * @returns {string} URL pattern
+   */
+  static patternFromUrl(url) {
+    try {
+      return `${new URL(url).origin}/*`;
+    } catch (error) {
+      return '*';
+    }
+  }
+
+  /**
+   * Check whether a URL matches a recipe's glob pattern
+   * @param {string} pattern - Glob with `*` wildcards
+   * @param {string} url - Page URL
+   * @returns {boolean} Whether the URL matches
+   */
+  static matchesUrl(pattern, url) {
+    if (!pattern || !url) return false;
+
+    const regex = new RegExp(
+      '^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+    );
+    return regex.test(url);
+  }
+
+  /**
+   * Recipes whose pattern matches a URL, most specific (longest) pattern first
+   * @param {Array} recipes - Saved recipes
+   * @param {string} url - Page URL
+   * @returns {Array} Matching recipes
+   */
+  static findMatching(recipes, url) {
+    return recipes
+      .filter(recipe => this.matchesUrl(recipe.urlPattern, url))
+      .sort((a, b) => b.urlPattern.length - a.urlPattern.length);
+  }
+
+  // ========================================================================
+  // IMPORT / EXPORT
+  // Versioned JSON documents, see recipe-schema.json
+  // ========================================================================
+
+  /**
+   * Build a shareable document from a recipe name, pattern and configuration.
+   * Runtime-only fields (element IDs, match counts) are left out.
+   * @param {string} name - Recipe name
+   * @param {string} urlPattern - Recipe URL pattern
+   * @param {Object} config - { elements, rowContainer, autoLoad, pagination }
+   * @returns {Object} Recipe document
+   */
+  static toDocument(name, urlPattern, config) {
+    const options = {};
+    if (config.autoLoad) options.autoLoad = config.autoLoad;
+    if (config.pagination) options.pagination = config.pagination;
+    if (config.drillDown) options.drillDown = config.drillDown;
+    if (config.monitor) options.monitor = config.monitor;
+    if (config.webhook) options.webhook = { ...config.webhook, headers: {} };
+
+    return {
+      format: RECIPE_FORMAT,
+      version: RECIPE_VERSION,
+      exportedAt: new Date().toISOString(),
+      recipe: {
+        name: name,
+        urlPattern: urlPattern,
+        columns: (config.elements || []).map(element => this.columnToDocument(element)),
+        rowContainer: config.rowContainer
+          ? { selector: config.rowContainer.selector, type: config.rowContainer.type }
+          : null,
+        options: options
+      }
+    };
+  }
+
+  /**
+   * Document form of one column, including the child columns it follows
+   * @param {Object} element - Column as used by the popup
+   * @returns {Object} Column entry
+   */
+  static columnToDocument(element) {
+    return {
+      columnName: element.columnName,
+      selector: element.selector,
+      type: element.type,
+      extract: element.extract || { mode: 'auto', name: '' },
+      transforms: element.transforms || [],
+      ...(Number.isInteger(element.tableColumn) ? { tableColumn: element.tableColumn } : {}),
+      ...(element.type === 'structured' ? { structured: element.structured } : {}),
+      ...(element.frame ? { frame: element.frame } : {}),
+      ...(element.exclude && element.exclude.length > 0 ? { exclude: element.exclude } : {}),
+      ...(element.follow ? {
+        follow: {
+          enabled: element.follow.enabled,
+          mode: element.follow.mode,
+          container: element.follow.container
+            ? { selector: element.follow.container.selector, type: element.follow.container.type }
+            : null,
+          children: element.follow.children.map(child => this.columnToDocument(child))
+        }
+      } : {})
+    };
+  }
+
+  /**
+   * Column as used by the popup, from a validated document entry
+   * @param {Object} column - Column entry
+   * @param {string} id - Runtime ID for the column
+   * @returns {Object} Column
+   */
+  static columnFromDocument(column, id) {
+    return {
+      selector: column.selector,
+      type: column.type,
+      columnName: column.columnName,
+      count: 0,                              // Filled in by testing against the page
+      extract: {
+        mode: column.extract?.mode || 'auto',
+        name: column.extract?.name || ''
+      },
+      transforms: column.transforms || [],
+      tableColumn: column.tableColumn,
+      structured: column.structured,
+      frame: column.frame,
+      exclude: column.exclude,
+      follow: column.follow
+        ? {
+          enabled: column.follow.enabled !== false,
+          mode: column.follow.mode || 'merge',
+          container: column.follow.container || null,
+          children: column.follow.children.map((child, index) => this.columnFromDocument(child, `${id}-${index}`))
+        }
+        : undefined,
+      id: id
+    };
+  }
+
+  /**
+   * Validate a parsed recipe document and turn it back into recipe parts
+   * @param {Object} doc - Parsed JSON document
+   * @returns {Object} { name, urlPattern, config }
+   * @throws {Error} Listing every problem found, with its path in the document
+   */
+  static fromDocument(doc) {
+    const errors = this.validateDocument(doc);
+    if (errors.length > 0) {
+      const shown = errors.slice(0, 5).join('; ');
+      const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+      throw new Error(`Invalid recipe file: ${shown}${more}`);
+    }
+
+    const { recipe } = doc;
+    const baseId = Date.now();
+
+    return {
+      name: recipe.name.trim(),
+      urlPattern: recipe.urlPattern.trim(),
+      config: {
+        elements: recipe.columns.map((column, index) => this.columnFromDocument(column, (baseId + index).toString())),
+        rowContainer: recipe.rowContainer
+          ? { selector: recipe.rowContainer.selector, type: recipe.rowContainer.type, count: 0 }
+          : null,
+        autoLoad: recipe.options?.autoLoad || null,
+        pagination: recipe.options?.pagination || null,
+        drillDown: recipe.options?.drillDown || null,
+        monitor: recipe.options?.monitor || null,
+        webhook: recipe.options?.webhook
+          ? { ...WebScraperWebhook.defaults(), ...recipe.options.webhook, enabled: false }
+          : null
+      }
+    };
+  }
+
+  /**
+   * Check a document against the recipe schema
+   * @param {Object} doc - Parsed JSON document
+   * @returns {Array<string>} Error messages; empty when valid
+   */
+  static validateDocument(doc) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+
+    if (!isObject(doc)) {
+      return ['the file must contain a JSON object'];
+    }
+    if (doc.format !== RECIPE_FORMAT) {
+      errors.push(`format: expected "${RECIPE_FORMAT}"`);
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+      errors.push('version: must be a positive integer');
+    } else if (doc.version > RECIPE_VERSION) {
+      errors.push(`version: ${doc.version} is newer than the supported version ${RECIPE_VERSION}; please update the extension`);
+    }
+    if (!isObject(doc.recipe)) {
+      errors.push('recipe: must be an object');
+      return errors;
+    }
+
+    const { recipe } = doc;
+    if (!isText(recipe.name)) errors.push('recipe.name: must be a non-empty string');
+    if (!isText(recipe.urlPattern)) errors.push('recipe.urlPattern: must be a non-empty string');
+
+    this.validateColumns(recipe.columns, 'recipe.columns', errors);
+
+    if (recipe.rowContainer !== undefined && recipe.rowContainer !== null) {
+      if (!isObject(recipe.rowContainer)) {
+        errors.push('recipe.rowContainer: must be an object or null');
+      } else {
+        this.validateSelector(recipe.rowContainer, 'recipe.rowContainer', errors);
+      }
+    }
+
+    if (recipe.options !== undefined) {
+      if (!isObject(recipe.options)) {
+        errors.push('recipe.options: must be an object');
+      } else {
+        this.validateOptions(recipe.options.autoLoad, 'recipe.options.autoLoad', {
+          enabled: 'boolean', mode: ['scroll', 'button'], buttonSelector: 'string', buttonType: ['css', 'xpath'],
+          maxAttempts: 'number', wait: 'number', maxRows: 'number', timeLimit: 'number'
+        }, errors);
+        this.validateOptions(recipe.options.pagination, 'recipe.options.pagination', {
+          enabled: 'boolean', maxPages: 'number', delay: 'number',
+          nextSelector: 'string', nextType: ['css', 'xpath']
+        }, errors);
+        this.validateOptions(recipe.options.drillDown, 'recipe.options.drillDown', {
+          maxDepth: 'number', maxPages: 'number', concurrency: 'number', timeout: 'number', delay: 'number'
+        }, errors);
+        this.validateMonitor(recipe.options.monitor, 'recipe.options.monitor', errors);
+        this.validateOptions(recipe.options.webhook, 'recipe.options.webhook', {
+          enabled: 'boolean', url: 'string', format: Object.keys(WEBHOOK_FORMATS), batchSize: 'number',
+          retries: 'number', backoff: 'number', onSchedule: 'boolean', headers: 'object'
+        }, errors);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a list of columns; child columns of followed links are checked the same way
+   * @param {Array} columns - Column entries
+   * @param {string} path - Path of the list, for error messages
+   * @param {Array<string>} errors - Errors are appended here
+   */
+  static validateColumns(columns, path, errors) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+
+    if (!Array.isArray(columns)) {
+      errors.push(`${path}: must be an array`);
+      return;
+    }
+
+    const names = new Set();
+    columns.forEach((column, index) => {
+      const columnPath = `${path}[${index}]`;
+      if (!isObject(column)) {
+        errors.push(`${columnPath}: must be an object`);
+        return;
+      }
+      if (!isText(column.columnName)) {
+        errors.push(`${columnPath}.columnName: must be a non-empty string`);
+      } else if (names.has(column.columnName)) {
+        errors.push(`${columnPath}.columnName: "${column.columnName}" is used by another column`);
+      } else {
+        names.add(column.columnName);
+      }
+
+      if (column.type === 'structured') {
+        this.validateStructured(column.structured, `${columnPath}.structured`, errors);
+      } else {
+        this.validateSelector(column, columnPath, errors);
+      }
+
+      if (column.extract !== undefined) {
+        if (!isObject(column.extract)) {
+          errors.push(`${columnPath}.extract: must be an object`);
+        } else if (!RECIPE_EXTRACT_MODES.includes(column.extract.mode)) {
+          errors.push(`${columnPath}.extract.mode: must be one of ${RECIPE_EXTRACT_MODES.join(', ')}`);
+        } else if ((column.extract.mode === 'attribute' || column.extract.mode === 'property') &&
+                   !isText(column.extract.name)) {
+          errors.push(`${columnPath}.extract.name: required for ${column.extract.mode} extraction`);
+        }
+      }
+
+      if (column.tableColumn !== undefined && (!Number.isInteger(column.tableColumn) || column.tableColumn < 0)) {
+        errors.push(`${columnPath}.tableColumn: must be a non-negative integer`);
+      }
+
+      if (column.frame !== undefined && !/^https?:\/\/[^\s/]+/i.test(column.frame)) {
+        errors.push(`${columnPath}.frame: must be the http(s) address of a frame`);
+      }
+
+      if (column.exclude !== undefined && (!Array.isArray(column.exclude) || !column.exclude.every(isText))) {
+        errors.push(`${columnPath}.exclude: must be an array of CSS selectors`);
+      }
+
+      if (column.transforms !== undefined) {
+        errors.push(...WebScraperTransforms.validate(column.transforms, `${columnPath}.transforms`));
+      }
+
+      if (column.follow !== undefined) {
+        this.validateFollow(column.follow, `${columnPath}.follow`, errors);
+      }
+    });
+  }
+
+  /**
+   * Check the follow-link settings of a column
+   * @param {Object} follow - { enabled, mode, container, children }
+   * @param {string} path - Path of the object, for error messages
+   * @param {Array<string>} errors - Errors are appended here
+   */
+  static validateFollow(follow, path, errors) {
+    if (!follow || typeof follow !== 'object' || Array.isArray(follow)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (follow.enabled !== undefined && typeof follow.enabled !== 'boolean') {
+      errors.push(`${path}.enabled: must be a boolean`);
+    }
+    if (follow.mode !== undefined && !RECIPE_FOLLOW_MODES.includes(follow.mode)) {
+      errors.push(`${path}.mode: must be one of ${RECIPE_FOLLOW_MODES.join(', ')}`);
+    }
+    if (follow.container !== undefined && follow.container !== null) {
+      if (typeof follow.container !== 'object' || Array.isArray(follow.container)) {
+        errors.push(`${path}.container: must be an object or null`);
+      } else {
+        this.validateSelector(follow.container, `${path}.container`, errors);
+      }
+    }
+
+    this.validateColumns(follow.children, `${path}.children`, errors);
+    if (Array.isArray(follow.children) && follow.children.length === 0 && follow.enabled !== false) {
+      errors.push(`${path}.children: must list at least one column`);
+    }
+  }
+
+  /**
+   * Check the change monitoring settings: key columns and alert conditions
+   * @param {Object} monitor - { enabled, keyColumns, conditions, notify } (may be undefined)
+   * @param {string} path - Path of the object, for error messages
+   * @param {Array<string>} errors - Errors are appended here
+   */
+  static validateMonitor(monitor, path, errors) {
+    if (monitor === undefined || monitor === null) return;
+    this.validateOptions(monitor, path, { enabled: 'boolean', notify: 'boolean' }, errors);
+    if (typeof monitor !== 'object' || Array.isArray(monitor)) return;
+
+    if (monitor.keyColumns !== undefined &&
+        (!Array.isArray(monitor.keyColumns) || monitor.keyColumns.some(column => typeof column !== 'string'))) {
+      errors.push(`${path}.keyColumns: must be an array of column names`);
+    }
+
+    if (monitor.conditions === undefined) return;
+    if (!Array.isArray(monitor.conditions)) {
+      errors.push(`${path}.conditions: must be an array`);
+      return;
+    }
+    monitor.conditions.forEach((condition, index) => {
+      const conditionPath = `${path}.conditions[${index}]`;
+      const spec = condition && DIFF_CONDITIONS[condition.change];
+      if (!spec) {
+        errors.push(`${conditionPath}.change: must be one of ${Object.keys(DIFF_CONDITIONS).join(', ')}`);
+      } else if (spec.needsColumn && (typeof condition.column !== 'string' || condition.column === '')) {
+        errors.push(`${conditionPath}.column: required for "${condition.change}" alerts`);
+      }
+    });
+  }
+
+  /**
+   * Check the selector and type fields shared by columns and row containers
+   * @param {Object} entry - Object with selector and type
+   * @param {string} path - Path of the entry, for error messages
+   * @param {Array<string>} errors - Errors are appended here
+   */
+  static validateSelector(entry, path, errors) {
+    if (typeof entry.selector !== 'string' || entry.selector.trim() === '') {
+      errors.push(`${path}.selector: must be a non-empty string`);
+    }
+    if (entry.type !== 'css' && entry.type !== 'xpath') {
+      errors.push(`${path}.type: must be "css" or "xpath"`);
+    }
+  }
+
+  /**
+   * Check the field reference of a structured data column
+   * @param {Object} structured - { source, itemType, field }
+   * @param {string} path - Path of the object, for error messages
+   * @param {Array<string>} errors - Errors are appended here
+   */
+  static validateStructured(structured, path, errors) {
+    if (!structured || typeof structured !== 'object' || Array.isArray(structured)) {
+      errors.push(`${path}: required for structured columns`);
+      return;
+    }
+    if (!RECIPE_STRUCTURED_SOURCES.includes(structured.source)) {
+      errors.push(`${path}.source: must be one of ${RECIPE_STRUCTURED_SOURCES.join(', ')}`);
+    }
+    if (typeof structured.itemType !== 'string') {
+      errors.push(`${path}.itemType: must be a string (may be empty)`);
+    }
+    if (typeof structured.field !== 'string' || structured.field === '') {
+      errors.push(`${path}.field: must be a non-empty string`);
+    }
+  }
+
+  /**
+   * Check an optional options object against expected field types
+   * @param {Object} options - Options object (may be undefined)
+   * @param {string} path - Path of the object, for error messages
+   * @param {Object} fields - Field name to 'boolean' | 'number' | 'string' | allowed values
+   * @param {Array<string>} errors - Errors are appended here
+   */
+  static validateOptions(options, path, fields, errors) {
+    if (options === undefined || options === null) return;
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+
+    Object.entries(fields).forEach(([field, expected]) => {
+      const value = options[field];
+      if (value === undefined) return;
+
+      if (Array.isArray(expected)) {
+        if (!expected.includes(value)) {
+          errors.push(`${path}.${field}: must be one of ${expected.join(', ')}`);
+        }
+      } else if (expected === 'number' ? !Number.isFinite(value) : typeof value !== expected) {
+        errors.push(`${path}.${field}: must be a ${expected}`);
+      }
+    });
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - SCHEDULES
+ * ============================================================================
+ * Recurring scrapes: a saved recipe run against a URL every N minutes,
+ * hourly, or daily at a set local time. The background service worker fires
+ * them with chrome.alarms, stores each run's rows as a timestamped snapshot
+ * and keeps a run history.
+ *
+ * Storage (chrome.storage.local):
+ * - schedules:        [{ id, recipeId, url, frequency, interval, time, enabled, createdAt }]
+ * - scheduleRuns:     [{ id, scheduleId, recipeName, url, startedAt, finishedAt,
+ *                       status, rows, error, snapshotKey }], newest first
+ * - snapshot_<runId>: { runId, scheduleId, url, takenAt, data }
+ *
+ * Loaded as a plain script by the popup and imported by the background
+ * service worker; exposes the global WebScraperSchedules.
+ * ============================================================================
+ */
+
+// How often a schedule can fire
+const SCHEDULE_FREQUENCIES = ['minutes', 'hourly', 'daily'];
+
+// Alarm names are this prefix plus the schedule ID
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+
+// Runs kept per schedule; older runs and their snapshots are deleted
+const SCHEDULE_HISTORY_LIMIT = 30;
+
+class WebScraperSchedules {
+  // ========================================================================
+  // STORAGE
+  // ========================================================================
+
+  /**
+   * Load all schedules
+   * @returns {Promise<Array>} Schedules
+   */
+  static async load() {
+    const result = await chrome.storage.local.get(['schedules']);
+    return Array.isArray(result.schedules) ? result.schedules : [];
+  }
+
+  /**
+   * Replace the saved schedule list
+   * @param {Array} schedules - Schedules to save
+   */
+  static async save(schedules) {
+    await chrome.storage.local.set({ schedules: schedules });
+  }
+
+  /**
+   * Load the run history, newest first
+   * @returns {Promise<Array>} Runs
+   */
+  static async loadRuns() {
+    const result = await chrome.storage.local.get(['scheduleRuns']);
+    return Array.isArray(result.scheduleRuns) ? result.scheduleRuns : [];
+  }
+
+  /**
+   * Load the rows stored for a run
+   * @param {Object} run - Run from the history
+   * @returns {Promise<Object|null>} Snapshot { runId, scheduleId, url, takenAt, data }
+   */
+  static async loadSnapshot(run) {
+    if (!run.snapshotKey) return null;
+    const result = await chrome.storage.local.get([run.snapshotKey]);
+    return result[run.snapshotKey] || null;
+  }
+
+  // ========================================================================
+  // SCHEDULE CREATION
+  // ========================================================================
+
+  /**
+   * Create a new schedule object (not yet saved)
+   * @param {Object} fields - { recipeId, url, frequency, interval, time }
+   * @returns {Object} Schedule
+   */
+  static create(fields) {
+    return {
+      id: `${Date.now().toString()}-${Math.random().toString(36).slice(2, 8)}`,
+      recipeId: fields.recipeId,
+      url: fields.url,
+      frequency: fields.frequency,
+      interval: fields.frequency === 'minutes' ? fields.interval : null,
+      time: fields.frequency === 'daily' ? fields.time : null,
+      enabled: true,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check a schedule before saving it
+   * @param {Object} schedule - Schedule or form fields
+   * @returns {Array<string>} Error messages; empty when valid
+   */
+  static validate(schedule) {
+    const errors = [];
+
+    if (!schedule.recipeId) {
+      errors.push('Choose a saved recipe to run');
+    }
+    if (!/^https?:\/\//i.test(schedule.url || '')) {
+      errors.push('The URL must start with http:// or https://');
+    }
+    if (!SCHEDULE_FREQUENCIES.includes(schedule.frequency)) {
+      errors.push(`Frequency must be one of ${SCHEDULE_FREQUENCIES.join(', ')}`);
+    }
+    if (schedule.frequency === 'minutes' && (!Number.isInteger(schedule.interval) || schedule.interval < 1)) {
+      errors.push('The interval must be a whole number of minutes (1 or more)');
+    }
+    if (schedule.frequency === 'daily' && !/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time || '')) {
+      errors.push('The daily time must be HH:MM');
+    }
+
+    return errors;
+  }
+
+  // ========================================================================
+  // ALARMS
+  // ========================================================================
+
+  /**
+   * Alarm name for a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {string} Alarm name
+   */
+  static alarmName(scheduleId) {
+    return `${SCHEDULE_ALARM_PREFIX}${scheduleId}`;
+  }
+
+  /**
+   * Schedule ID from an alarm name
+   * @param {string} name - Alarm name
+   * @returns {string|null} Schedule ID, or null for other alarms
+   */
+  static scheduleIdFromAlarm(name) {
+    return name.startsWith(SCHEDULE_ALARM_PREFIX) ? name.slice(SCHEDULE_ALARM_PREFIX.length) : null;
+  }
+
+  /**
+   * chrome.alarms.create options for a schedule. Daily runs get a one-off
+   * alarm that is set again after each run, so they stay on the wall-clock
+   * time across daylight saving changes.
+   * @param {Object} schedule - Schedule
+   * @param {Date} now - Current time
+   * @returns {Object} { when, periodInMinutes? }
+   */
+  static alarmInfo(schedule, now = new Date()) {
+    switch (schedule.frequency) {
+      case 'minutes':
+        return { when: now.getTime() + schedule.interval * 60000, periodInMinutes: schedule.interval };
+      case 'hourly':
+        return { when: now.getTime() + 60 * 60000, periodInMinutes: 60 };
+      default:
+        return { when: this.nextDailyRun(schedule.time, now).getTime() };
+    }
+  }
+
+  /**
+   * Next occurrence of a local wall-clock time
+   * @param {string} time - HH:MM
+   * @param {Date} now - Current time
+   * @returns {Date} Today at that time, or tomorrow if it has passed
+   */
+  static nextDailyRun(time, now = new Date()) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes, 0, 0);
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next;
+  }
+
+  // ========================================================================
+  // DISPLAY
+  // ========================================================================
+
+  /**
+   * Human-readable frequency, e.g. "Every 15 min" or "Daily at 07:30"
+   * @param {Object} schedule - Schedule
+   * @returns {string} Description
+   */
+  static describe(schedule) {
+    switch (schedule.frequency) {
+      case 'minutes':
+        return `Every ${schedule.interval} min`;
+      case 'hourly':
+        return 'Hourly';
+      default:
+        return `Daily at ${schedule.time}`;
+    }
+  }
+}
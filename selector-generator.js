@@ -0,0 +1,422 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - SELECTOR GENERATOR
+ * ============================================================================
+ * Builds CSS selectors and XPaths for a picked element that keep working
+ * on the next page load, and ranks them by how stable they are likely to be:
+ * - test hooks (data-testid, data-test, data-cy, data-qa)       100
+ * - a hand-written id                                            90
+ * - name, aria-label, itemprop                                  70-80
+ * - semantic class names ("product-title", "price")              60
+ * - utility class names ("flex", "mt-4") and visible text        35-40
+ * - any of the above below a stable ancestor                 lower of both - 10
+ * - nth-of-type position paths                                   20 and less
+ *
+ * Ids and class names that look generated are never used: framework
+ * counters (#ember123, #react-aria-5, React's ":r1:"), UUIDs, CSS-module and
+ * styled-components / emotion hashes. State classes (active, is-open) are
+ * skipped too, as they change while the page is used.
+ *
+ * Selectors are built for one scope: the element's document or shadow
+ * root, or a row container element. Deep selectors (shadow roots, frames)
+ * are put together by content.js. Exclusion selectors, which leave a match
+ * out of a column, are built from the same hooks.
+ *
+ * Runs in the page before content.js; exposes the global SelectorGenerator.
+ * ============================================================================
+ */
+
+// Attributes added for tests and automation: the most stable hooks a page has
+const SELECTOR_TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+
+// Other attributes that say what an element is
+const SELECTOR_STABLE_ATTRIBUTES = [
+  { name: 'name', score: 80 },
+  { name: 'aria-label', score: 75 },
+  { name: 'itemprop', score: 70 }
+];
+
+// Tags that are usually unique or meaningful on their own
+const SELECTOR_SEMANTIC_TAGS = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'main', 'header', 'footer', 'nav', 'article', 'aside',
+  'section', 'form', 'table', 'label', 'button', 'time', 'address', 'figure', 'figcaption'
+];
+
+// Ids written by frameworks and libraries, which change between loads
+const GENERATED_ID_PATTERNS = [
+  /^(ember|ext-gen|yui_|gwt-uid-|j_id|mui-|radix-|react-aria|headlessui-|downshift-|rc[-_]|uid-)\S*\d/i,
+  /^[:«].*[:»]$/,                                  // React useId: ":r5:", "«r5»"
+  /[0-9a-f]{8}(-?[0-9a-f]{4}){3}/i,                // UUIDs
+  /\d{4,}/,                                        // Counters and record numbers
+  /^\d/,                                           // Not even valid as #id
+  /[-_](?=[a-z0-9]*\d)(?=[a-z0-9]*[a-z])[a-z0-9]{5,}$/i  // Hash suffix: "id-x7f3k2"
+];
+
+// Class names produced by CSS-in-JS libraries and CSS modules
+const GENERATED_CLASS_PATTERNS = [
+  /^sc-/,                                          // styled-components
+  /^css-[a-z0-9]/i,                                // emotion
+  /^jss\d+$/,                                      // JSS
+  /^makeStyles-\S+-\d+$/,                          // Material UI v4
+  /_{1,2}(?=[\w-]*\d)[\w-]{5,}$/,                  // CSS modules: "Button_root__a1B2c"
+  /[-_](?=[a-z0-9]*\d)(?=[a-z0-9]*[a-z])[a-z0-9]{5,}$/i, // Hash suffix: "title-3xk9f"
+  /^(?=(?:[a-z]*[A-Z]){2})(?=[A-Za-z]*[a-z])[A-Za-z]{5,8}$/  // styled-components: "iVHwBL"
+];
+
+// Classes that follow the state of an element rather than what it is
+const STATE_CLASS_PATTERN = /^(is|has)-|^(active|selected|current|open|opened|closed|hover|focus|focused|disabled|visible|hidden|show|collapsed|expanded)$/i;
+
+// Layout and utility classes: stable, but they say little about the element
+const UTILITY_CLASS_PATTERN = /[:[]|^-?(flex|grid|block|inline|hidden|container|row|col|clearfix)(-|$)|^-?(text|bg|font|leading|tracking|[mp][xytrbl]?|w|h|min|max|gap|space|d|justify|items|align|self|order|border|rounded|shadow|opacity|z|overflow|top|left|right|bottom|pull|float|sm|md|lg|xl)-/;
+
+// Alternatives offered per selector type
+const MAX_CSS_ALTERNATIVES = 5;
+const MAX_XPATH_ALTERNATIVES = 3;
+
+// Ancestor levels searched for a hook that leaves a match out of a column
+const MAX_EXCLUSION_LEVELS = 5;
+
+// Share of the other matches a class or attribute hook may leave out too,
+// e.g. every ".sponsored" card, but not every ".odd" row
+const MAX_EXCLUSION_SHARE = 0.25;
+
+class SelectorGenerator {
+  // ========================================================================
+  // ALTERNATIVES
+  // Every candidate selector for an element, best first
+  // ========================================================================
+
+  /**
+   * Ranked CSS and XPath selectors for an element
+   * @param {Element} element - Picked element
+   * @param {Node} scope - Document, shadow root or row container to select within
+   * @returns {Array} [{ selector, type, score, count }], best first
+   */
+  static alternatives(element, scope = element.getRootNode()) {
+    const ranked = this.rank(element, scope);
+
+    // The best selector matching only this element always makes the cut
+    const top = (type, max) => {
+      const list = ranked.filter(alternative => alternative.type === type).slice(0, max);
+      const unique = ranked.find(alternative => alternative.type === type && alternative.count === 1);
+      if (unique && !list.includes(unique)) list[list.length - 1] = unique;
+      return list;
+    };
+
+    return [...top('css', MAX_CSS_ALTERNATIVES), ...top('xpath', MAX_XPATH_ALTERNATIVES)]
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Most stable selector that matches only this element
+   * @param {Element} element - Picked element
+   * @param {string} type - 'css' or 'xpath'
+   * @param {Node} scope - Document, shadow root or row container to select within
+   * @returns {string} Selector
+   */
+  static best(element, type = 'css', scope = element.getRootNode()) {
+    const unique = this.rank(element, scope).find(alternative => alternative.type === type && alternative.count === 1);
+    return unique ? unique.selector : this.positionalPath(element, scope)[type];
+  }
+
+  /**
+   * All candidates in both languages with their match counts, best first.
+   * Selectors matching other elements too rank 30 points lower
+   */
+  static rank(element, scope) {
+    const alternatives = [];
+    const seen = new Set();
+
+    this.candidates(element, scope).forEach(candidate => {
+      // Candidates are built from the element, so they always match it
+      const cssCount = candidate.css ? this.count(candidate.css, 'css', scope) : 0;
+      [['css', candidate.css, cssCount], ['xpath', candidate.xpath, candidate.css ? cssCount : null]].forEach(([type, selector, known]) => {
+        if (!selector || seen.has(`${type}:${selector}`)) return;
+        seen.add(`${type}:${selector}`);
+
+        const count = known === null ? this.count(selector, type, scope) : known;
+        if (count === 0) return;
+
+        // At equal scores CSS comes first
+        const score = candidate.score - (count === 1 ? 0 : 30) - (type === 'xpath' ? 1 : 0);
+        alternatives.push({ selector, type, score: Math.max(score, 1), count });
+      });
+    });
+
+    return alternatives.sort((a, b) => b.score - a.score || a.selector.length - b.selector.length);
+  }
+
+  // ========================================================================
+  // CANDIDATES
+  // ========================================================================
+
+  /**
+   * Candidate selectors for an element, each as CSS and XPath
+   * @returns {Array} [{ css, xpath, score }]; css is null for text matches
+   */
+  static candidates(element, scope) {
+    const descendant = this.isDocument(scope) ? '//' : './/';
+    const candidates = [];
+    const own = this.steps(element);
+
+    own.forEach(step => candidates.push({
+      css: step.css,
+      xpath: step.xpath && `${descendant}${step.xpath}`,
+      score: step.score
+    }));
+
+    // Own hooks that aren't unique may be below a stable ancestor that is
+    const ambiguous = own.filter(step => step.css && step.score >= 30 && this.count(step.css, 'css', scope) > 1);
+    const anchor = ambiguous.length > 0 ? this.findAnchor(element, scope) : null;
+    if (anchor) {
+      ambiguous.forEach(step => candidates.push({
+        css: `${anchor.css} ${step.css}`,
+        xpath: `${descendant}${anchor.xpath}//${step.xpath}`,
+        score: Math.min(anchor.score, step.score) - 10
+      }));
+    }
+
+    const path = this.positionalPath(element, scope);
+    candidates.push({ css: path.css, xpath: null, score: path.score });
+    candidates.push({ css: null, xpath: path.xpath, score: path.score - 5 });
+
+    return candidates;
+  }
+
+  /**
+   * One-level selectors describing the element itself
+   * @param {Element} element - Element
+   * @returns {Array} [{ css, xpath, score }], most stable first
+   */
+  static steps(element) {
+    const tag = element.tagName.toLowerCase();
+    const steps = [];
+
+    SELECTOR_TEST_ATTRIBUTES.forEach(name => {
+      const step = this.attributeStep(element, '', name, 100);
+      if (step) steps.push(step);
+    });
+
+    if (element.id && !this.isGeneratedId(element.id)) {
+      const value = this.xpathString(element.id);
+      steps.push({ css: `#${CSS.escape(element.id)}`, xpath: value && `*[@id=${value}]`, score: 90 });
+    }
+
+    SELECTOR_STABLE_ATTRIBUTES.forEach(({ name, score }) => {
+      const step = this.attributeStep(element, tag, name, score);
+      if (step) steps.push(step);
+    });
+
+    // Single classes, then the first two semantic classes together
+    const classes = this.getStableClasses(element).slice(0, 4);
+    classes.forEach(cls => steps.push(this.classStep(tag, [cls], UTILITY_CLASS_PATTERN.test(cls) ? 35 : 60)));
+    const semantic = classes.filter(cls => !UTILITY_CLASS_PATTERN.test(cls));
+    if (semantic.length >= 2) {
+      steps.push(this.classStep(tag, semantic.slice(0, 2), 58));
+    }
+
+    // Short visible text, for labels and buttons; XPath only. Text with
+    // digits is usually data (prices, dates) that changes
+    const text = element.children.length === 0 ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    const textValue = text.length > 0 && text.length <= 40 && !/\d/.test(text) ? this.xpathString(text) : null;
+    if (textValue) {
+      steps.push({ css: null, xpath: `${tag}[normalize-space()=${textValue}]`, score: 40 });
+    }
+
+    steps.push({ css: tag, xpath: tag, score: SELECTOR_SEMANTIC_TAGS.includes(tag) ? 30 : 10 });
+
+    return steps.sort((a, b) => b.score - a.score);
+  }
+
+  // Step for an attribute value, e.g. input[name="q"]; null when unusable
+  static attributeStep(element, tag, name, score) {
+    const value = element.getAttribute(name);
+    if (!value || value.length > 80 || /[\n\r]/.test(value)) return null;
+
+    const xpathValue = this.xpathString(value);
+    if (!xpathValue) return null;
+
+    return {
+      css: `${tag}[${name}="${value.replace(/["\\]/g, '\\$&')}"]`,
+      xpath: `${tag || '*'}[@${name}=${xpathValue}]`,
+      score: score
+    };
+  }
+
+  // Step for a tag with class names, e.g. span.price
+  static classStep(tag, classes, score) {
+    return {
+      css: `${tag}${classes.map(cls => `.${CSS.escape(cls)}`).join('')}`,
+      xpath: `${tag}${classes.map(cls => `[contains(concat(" ", normalize-space(@class), " "), " ${cls} ")]`).join('')}`,
+      score: score
+    };
+  }
+
+  /**
+   * Nearest ancestor within the scope with a stable hook of its own
+   * @returns {Object|null} Step of the ancestor
+   */
+  static findAnchor(element, scope) {
+    for (let current = element.parentElement; current && current !== scope; current = current.parentElement) {
+      const step = this.steps(current).find(candidate =>
+        candidate.css && candidate.score >= 60 && this.count(candidate.css, 'css', scope) === 1);
+      if (step) return step;
+    }
+    return null;
+  }
+
+  /**
+   * Path of tags with nth-of-type positions. The CSS path climbs until it
+   * is unique or reaches an ancestor with a stable hook; the XPath runs from
+   * the top of the scope
+   * @returns {Object} { css, xpath, score }
+   */
+  static positionalPath(element, scope) {
+    const isDocument = this.isDocument(scope);
+    const top = scope.nodeType === Node.ELEMENT_NODE ? scope : (scope.body || null);
+    if (element === top) return { css: 'body', xpath: '/html/body', score: 20 };
+
+    const cssSteps = [];
+    const xpathSteps = [];
+    let css = null;
+    let score = 20;
+    let positions = 0;
+
+    for (let current = element; current && current !== top; current = current.parentElement) {
+      const tag = current.tagName.toLowerCase();
+      const siblings = current.parentElement
+        ? Array.from(current.parentElement.children).filter(sibling => sibling.tagName === current.tagName)
+        : [current];
+      const index = siblings.indexOf(current) + 1;
+
+      cssSteps.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${index})` : tag);
+      xpathSteps.unshift(siblings.length > 1 ? `${tag}[${index}]` : tag);
+      if (siblings.length > 1) positions++;
+
+      if (css) continue;
+
+      const path = cssSteps.join(' > ');
+      if (this.count(path, 'css', scope) === 1) {
+        css = path;
+        continue;
+      }
+
+      const parent = current.parentElement;
+      const anchor = parent && parent !== top
+        ? this.steps(parent).find(step => step.css && step.score >= 60 && this.count(step.css, 'css', scope) === 1)
+        : null;
+      if (anchor) {
+        css = `${anchor.css} > ${path}`;
+        score = Math.min(anchor.score, 60) - 10;
+      }
+    }
+
+    if (!css) {
+      css = isDocument ? `body > ${cssSteps.join(' > ')}` : cssSteps.join(' > ');
+    }
+
+    return {
+      css: css,
+      xpath: `${isDocument ? '/html/body/' : './'}${xpathSteps.join('/')}`,
+      score: Math.max(score - 3 * positions, 1)
+    };
+  }
+
+  // ========================================================================
+  // STABILITY CHECKS
+  // ========================================================================
+
+  /**
+   * Whether an id looks written by a framework rather than by hand
+   * @param {string} id - Element id
+   * @returns {boolean} True for generated ids
+   */
+  static isGeneratedId(id) {
+    return GENERATED_ID_PATTERNS.some(pattern => pattern.test(id));
+  }
+
+  /**
+   * Whether a class name looks generated (CSS modules, CSS-in-JS)
+   * @param {string} cls - Class name
+   * @returns {boolean} True for generated class names
+   */
+  static isGeneratedClass(cls) {
+    return GENERATED_CLASS_PATTERNS.some(pattern => pattern.test(cls));
+  }
+
+  // Class names worth selecting on: not ours, not generated, not state
+  static getStableClasses(element) {
+    if (!element.className || typeof element.className !== 'string') return [];
+
+    return element.className.trim().split(/\s+/).filter(cls =>
+      cls && !cls.startsWith('web-scraper-') && !this.isGeneratedClass(cls) && !STATE_CLASS_PATTERN.test(cls)
+    );
+  }
+
+  // ========================================================================
+  // EXCLUSIONS
+  // ========================================================================
+
+  /**
+   * CSS selector that leaves a match out of its column: it matches the
+   * element or one of its ancestors, and no other match or ancestor of one.
+   * A class or attribute hook (60 and up, e.g. ".sponsored" on a card) may
+   * also cover a small share of the other matches, which are then left out
+   * as well. The element's own unique selector is the fallback
+   * @param {Element} element - Match to leave out
+   * @param {Array<Element>} others - The column's other matches
+   * @returns {string} Selector, tested against matches with closest()
+   */
+  static exclusion(element, others) {
+    const scope = element.getRootNode();
+    const candidates = [];
+
+    let current = element;
+    for (let level = 0; current && current !== scope && level < MAX_EXCLUSION_LEVELS; level++) {
+      // Closer hooks win at equal stability
+      this.steps(current)
+        .filter(step => step.css && step.score >= 30)
+        .forEach(step => candidates.push({ css: step.css, hook: step.score >= 60, score: step.score - level * 5 }));
+      current = current.parentElement;
+    }
+
+    const match = candidates
+      .sort((a, b) => b.score - a.score)
+      .find(candidate => {
+        const covered = others.filter(other => other.closest(candidate.css)).length;
+        return covered === 0 || (candidate.hook && covered <= others.length * MAX_EXCLUSION_SHARE);
+      });
+    return match ? match.css : this.best(element, 'css', scope);
+  }
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  // Number of matches of a selector within a scope; 0 for invalid selectors.
+  // Within a row container the selector starts at the container, as
+  // content.js runs it
+  static count(selector, type, scope) {
+    try {
+      if (type === 'css') {
+        return scope.querySelectorAll(scope.nodeType === Node.ELEMENT_NODE ? `:scope ${selector}` : selector).length;
+      }
+
+      const ownerDocument = this.isDocument(scope) ? scope : scope.ownerDocument;
+      return ownerDocument.evaluate(`count(${selector})`, scope, null, XPathResult.NUMBER_TYPE, null).numberValue;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  static isDocument(scope) {
+    return scope.nodeType === Node.DOCUMENT_NODE;
+  }
+
+  // XPath string literal; null when the value holds both kinds of quotes
+  static xpathString(value) {
+    if (!value.includes('"')) return `"${value}"`;
+    if (!value.includes("'")) return `'${value}'`;
+    return null;
+  }
+}
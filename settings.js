@@ -0,0 +1,224 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - SETTINGS
+ * ============================================================================
+ * Extension-wide settings, edited on the options page and stored as one
+ * object under the 'settings' key of chrome.storage.local. SETTINGS_SCHEMA
+ * describes every setting (type, default, allowed values); the options page
+ * builds its form from it and load() fills in defaults for missing or
+ * invalid values, so settings written by older versions keep working.
+ *
+ * The popup, content script and background all read the settings when they
+ * start and follow changes with WebScraperSettings.onChange.
+ *
+ * Loaded as a plain script by the popup, the options page and the content
+ * script, and imported by the background service worker; exposes the
+ * globals SETTINGS_SCHEMA, COLUMN_COLORS and WebScraperSettings.
+ * ============================================================================
+ */
+
+// Settings in the order the options page shows them, grouped by section
+const SETTINGS_SCHEMA = {
+  defaultExportFormat: {
+    section: 'Export',
+    label: 'Default export format',
+    description: 'Format chosen in the popup\'s format menu when it opens',
+    type: 'select',
+    options: [
+      { value: 'csv', label: 'CSV' },
+      { value: 'tsv', label: 'TSV (tab-separated)' },
+      { value: 'json', label: 'JSON' },
+      { value: 'ndjson', label: 'NDJSON (one row per line)' },
+      { value: 'xlsx', label: 'Excel' },
+      { value: 'markdown', label: 'Markdown table' },
+      { value: 'html', label: 'HTML table' },
+      { value: 'xml', label: 'XML' },
+      { value: 'sql', label: 'SQL (CREATE TABLE + INSERT)' }
+    ],
+    default: 'csv'
+  },
+  csvDelimiter: {
+    section: 'Export',
+    label: 'CSV delimiter',
+    description: 'Semicolons suit spreadsheet apps that use a decimal comma',
+    type: 'select',
+    options: [
+      { value: ',', label: 'Comma (,)' },
+      { value: ';', label: 'Semicolon (;)' },
+      { value: '\t', label: 'Tab' },
+      { value: '|', label: 'Pipe (|)' }
+    ],
+    default: ','
+  },
+  csvEncoding: {
+    section: 'Export',
+    label: 'CSV encoding',
+    description: 'UTF-16 files always start with a byte order mark',
+    type: 'select',
+    options: [
+      { value: 'utf-8', label: 'UTF-8' },
+      { value: 'utf-16le', label: 'UTF-16 LE' }
+    ],
+    default: 'utf-8'
+  },
+  csvBom: {
+    section: 'Export',
+    label: 'Start UTF-8 CSV files with a byte order mark (helps Excel detect the encoding)',
+    type: 'checkbox',
+    default: false
+  },
+  autoDetectDynamicContent: {
+    section: 'Scraping',
+    label: 'Re-scrape automatically when the page content changes',
+    description: 'While the popup is open, the preview follows pages that update themselves (e.g. live prices)',
+    type: 'checkbox',
+    default: true
+  },
+  requestInterval: {
+    section: 'Scraping',
+    label: 'Minimum time between page loads (ms)',
+    description: 'Applies to batch, drill-down, scheduled and multi-page scraping',
+    type: 'number',
+    min: 0,
+    max: 60000,
+    default: 0
+  },
+  maxParallelTabs: {
+    section: 'Scraping',
+    label: 'Most background tabs open at once',
+    description: 'Caps the concurrency of batch and drill-down scraping',
+    type: 'number',
+    min: 1,
+    max: 10,
+    default: 5
+  },
+  hoverColor: {
+    section: 'Highlighting',
+    label: 'Element under the mouse',
+    type: 'color',
+    default: '#2196f3'
+  },
+  selectedColor: {
+    section: 'Highlighting',
+    label: 'Selected elements',
+    type: 'color',
+    description: 'Also the color of the first column; the other columns get colors of their own',
+    default: '#4caf50'
+  },
+  similarColor: {
+    section: 'Highlighting',
+    label: '"Select similar" matches',
+    type: 'color',
+    default: '#ff9800'
+  }
+};
+
+// Highlight colors of the second and later columns on the page; the first
+// column uses the "Selected elements" color
+const COLUMN_COLORS = ['#e91e63', '#9c27b0', '#009688', '#795548', '#3f51b5', '#f44336', '#607d8b', '#827717'];
+
+class WebScraperSettings {
+  // ========================================================================
+  // DEFAULTS & VALIDATION
+  // ========================================================================
+
+  /**
+   * Every setting at its default value
+   * @returns {Object} Settings
+   */
+  static defaults() {
+    return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, spec]) => [key, spec.default]));
+  }
+
+  /**
+   * Complete settings from stored values: unknown keys are dropped and
+   * missing or invalid values replaced with their defaults
+   * @param {Object} raw - Stored settings (may be undefined)
+   * @returns {Object} Settings
+   */
+  static normalize(raw) {
+    const stored = raw && typeof raw === 'object' ? raw : {};
+    return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, spec]) => {
+      const value = stored[key];
+      return [key, this.isValid(spec, value) ? value : spec.default];
+    }));
+  }
+
+  /**
+   * Whether a value is allowed for a setting
+   * @param {Object} spec - Entry of SETTINGS_SCHEMA
+   * @param {*} value - Value
+   * @returns {boolean} True when valid
+   */
+  static isValid(spec, value) {
+    switch (spec.type) {
+      case 'select':
+        return spec.options.some(option => option.value === value);
+      case 'checkbox':
+        return typeof value === 'boolean';
+      case 'number':
+        return Number.isInteger(value) && value >= spec.min && value <= spec.max;
+      case 'color':
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Highlight color of a column on the page
+   * @param {Object} settings - Complete settings
+   * @param {number} index - Position of the column
+   * @returns {string} "#rrggbb"
+   */
+  static columnColor(settings, index) {
+    return index % (COLUMN_COLORS.length + 1) === 0
+      ? settings.selectedColor
+      : COLUMN_COLORS[index % (COLUMN_COLORS.length + 1) - 1];
+  }
+
+  // ========================================================================
+  // STORAGE
+  // ========================================================================
+
+  /**
+   * Load the settings
+   * @returns {Promise<Object>} Complete settings
+   */
+  static async load() {
+    const result = await chrome.storage.local.get(['settings']);
+    return this.normalize(result.settings);
+  }
+
+  /**
+   * Change some settings, keeping the others
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} Complete settings after the change
+   */
+  static async update(changes) {
+    const settings = this.normalize({ ...await this.load(), ...changes });
+    await chrome.storage.local.set({ settings: settings });
+    return settings;
+  }
+
+  /**
+   * Put every setting back to its default
+   * @returns {Promise<Object>} Default settings
+   */
+  static async reset() {
+    const settings = this.defaults();
+    await chrome.storage.local.set({ settings: settings });
+    return settings;
+  }
+
+  /**
+   * Call back whenever the settings change, in any part of the extension
+   * @param {Function} callback - Called with (settings, previousSettings)
+   */
+  static onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes.settings) return;
+      callback(this.normalize(changes.settings.newValue), this.normalize(changes.settings.oldValue));
+    });
+  }
+}
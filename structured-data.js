@@ -0,0 +1,258 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - STRUCTURED DATA EXTRACTOR
+ * ============================================================================
+ * Collects the machine-readable data many pages already carry:
+ * - JSON-LD <script type="application/ld+json"> blocks (incl. @graph)
+ * - schema.org Microdata (itemscope / itemprop)
+ * - RDFa (typeof / property)
+ * - OpenGraph meta tags (og:, article:, product:)
+ * - Twitter card meta tags (twitter:)
+ *
+ * Every item is flattened to { source, type, fields, element }, where
+ * fields maps a path such as "offers.price" or "author[1].name" to a string.
+ * Arrays of plain values are joined with ", ".
+ *
+ * Runs in the page before content.js; exposes the global
+ * StructuredDataExtractor.
+ * ============================================================================
+ */
+
+// Sources that describe the whole page rather than an element in it
+const STRUCTURED_PAGE_SOURCES = ['json-ld', 'opengraph', 'twitter'];
+
+class StructuredDataExtractor {
+  // ========================================================================
+  // COLLECT EVERYTHING
+  // ========================================================================
+  static collect() {
+    return [
+      ...this.collectJsonLd(),
+      ...this.collectMicrodata(),
+      ...this.collectRdfa(),
+      ...this.collectMetaTags('opengraph', 'meta[property^="og:"], meta[property^="article:"], meta[property^="product:"]', 'property'),
+      ...this.collectMetaTags('twitter', 'meta[name^="twitter:"], meta[property^="twitter:"]', 'name')
+    ].filter(item => Object.keys(item.fields).length > 0);
+  }
+
+  // ========================================================================
+  // JSON-LD
+  // One item per top-level node; @graph arrays are expanded
+  // ========================================================================
+  static collectJsonLd() {
+    const items = [];
+
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      let json;
+      try {
+        json = JSON.parse(script.textContent);
+      } catch (error) {
+        console.warn('Skipping invalid JSON-LD block:', error.message);
+        return;
+      }
+
+      const nodes = [];
+      (Array.isArray(json) ? json : [json]).forEach(node => {
+        if (node && Array.isArray(node['@graph'])) {
+          nodes.push(...node['@graph']);
+        } else {
+          nodes.push(node);
+        }
+      });
+
+      nodes
+        .filter(node => node && typeof node === 'object')
+        .forEach(node => {
+          items.push({
+            source: 'json-ld',
+            type: this.typeName(node['@type']),
+            fields: this.flatten(node),
+            element: null                       // Page-level data
+          });
+        });
+    });
+
+    return items;
+  }
+
+  // ========================================================================
+  // MICRODATA
+  // One item per top-level itemscope; nested items become nested fields
+  // ========================================================================
+  static collectMicrodata() {
+    return Array.from(document.querySelectorAll('[itemscope]:not([itemprop])')).map(root => {
+      const object = this.readScope(root, 'itemscope', 'itemprop');
+      return {
+        source: 'microdata',
+        type: this.typeName(root.getAttribute('itemtype')),
+        fields: this.flatten(object),
+        element: root
+      };
+    });
+  }
+
+  // ========================================================================
+  // RDFA
+  // One item per top-level typeof; properties may be prefixed (schema:name)
+  // ========================================================================
+  static collectRdfa() {
+    return Array.from(document.querySelectorAll('[typeof]:not([property])')).map(root => {
+      const object = this.readScope(root, 'typeof', 'property');
+      return {
+        source: 'rdfa',
+        type: this.typeName(root.getAttribute('typeof')),
+        fields: this.flatten(object),
+        element: root
+      };
+    });
+  }
+
+  // ========================================================================
+  // SCOPE READER
+  // Read the properties belonging to one Microdata/RDFa scope element.
+  // A property belongs to the nearest enclosing scope; a property element
+  // that opens its own scope is read recursively as a nested object
+  // ========================================================================
+  static readScope(root, scopeAttribute, propertyAttribute) {
+    const object = {};
+
+    root.querySelectorAll(`[${propertyAttribute}]`).forEach(element => {
+      const owner = element.parentElement.closest(`[${scopeAttribute}]`);
+      if (owner !== root) return;
+
+      const value = element.hasAttribute(scopeAttribute)
+        ? this.readScope(element, scopeAttribute, propertyAttribute)
+        : this.propertyValue(element);
+
+      // One element can carry several space-separated property names
+      element.getAttribute(propertyAttribute).trim().split(/\s+/).forEach(name => {
+        const key = name.replace(/^.*[/#:]/, '');   // schema:name, http://schema.org/name -> name
+        if (!key) return;
+        if (key in object) {
+          object[key] = [].concat(object[key], value);
+        } else {
+          object[key] = value;
+        }
+      });
+    });
+
+    return object;
+  }
+
+  // ========================================================================
+  // PROPERTY VALUE
+  // Value of a Microdata/RDFa property element, following the spec order
+  // ========================================================================
+  static propertyValue(element) {
+    if (element.hasAttribute('content')) return element.getAttribute('content');
+
+    switch (element.tagName) {
+      case 'A':
+      case 'AREA':
+      case 'LINK':
+        return element.href;
+      case 'IMG':
+      case 'AUDIO':
+      case 'VIDEO':
+      case 'SOURCE':
+      case 'IFRAME':
+      case 'EMBED':
+        return element.src;
+      case 'OBJECT':
+        return element.data;
+      case 'TIME':
+        return element.getAttribute('datetime') || element.textContent.trim();
+      case 'DATA':
+      case 'METER':
+        return element.getAttribute('value') || element.textContent.trim();
+      default:
+        return element.textContent.replace(/\s+/g, ' ').trim();
+    }
+  }
+
+  // ========================================================================
+  // META TAGS
+  // OpenGraph and Twitter cards; repeated tags (e.g. several og:image)
+  // are numbered og:image, og:image[1], ...
+  // ========================================================================
+  static collectMetaTags(source, selector, nameAttribute) {
+    const fields = {};
+
+    document.querySelectorAll(selector).forEach(meta => {
+      const name = meta.getAttribute(nameAttribute) || meta.getAttribute('property') || meta.getAttribute('name');
+      const value = (meta.getAttribute('content') || '').trim();
+      if (!name || !value) return;
+
+      let key = name;
+      for (let i = 1; key in fields; i++) {
+        key = `${name}[${i}]`;
+      }
+      fields[key] = value;
+    });
+
+    const type = source === 'opengraph' ? (fields['og:type'] || 'OpenGraph') : 'Twitter Card';
+    return [{ source: source, type: type, fields: fields, element: null }];
+  }
+
+  // ========================================================================
+  // FLATTEN
+  // Turn a nested object into path -> string pairs
+  // ========================================================================
+  static flatten(value, prefix = '', fields = {}) {
+    if (value === null || value === undefined) return fields;
+
+    if (Array.isArray(value)) {
+      if (value.every(entry => entry === null || typeof entry !== 'object')) {
+        fields[prefix] = value.filter(entry => entry !== null && entry !== '').join(', ');
+      } else {
+        value.forEach((entry, index) => this.flatten(entry, `${prefix}[${index}]`, fields));
+      }
+      return fields;
+    }
+
+    if (typeof value === 'object') {
+      Object.entries(value).forEach(([key, entry]) => {
+        if (key === '@context') return;
+        if (key === '@type' && !prefix) return;     // Top-level type is the item type
+        this.flatten(entry, prefix ? `${prefix}.${key}` : key, fields);
+      });
+      return fields;
+    }
+
+    fields[prefix] = String(value).trim();
+    return fields;
+  }
+
+  // ========================================================================
+  // TYPE NAME
+  // Short type name from @type, itemtype or typeof: "http://schema.org/Product" -> "Product"
+  // ========================================================================
+  static typeName(type) {
+    if (!type) return '';
+    return (Array.isArray(type) ? type : String(type).trim().split(/\s+/))
+      .map(name => String(name).replace(/^.*[/#:]/, ''))
+      .join(', ');
+  }
+
+  // ========================================================================
+  // PAGE-LEVEL CHECK
+  // Whether a source describes the whole page (not tied to an element)
+  // ========================================================================
+  static isPageLevel(source) {
+    return STRUCTURED_PAGE_SOURCES.includes(source);
+  }
+
+  // ========================================================================
+  // FIELD VALUES
+  // Values of one field across the items that match a column spec
+  // { source, itemType, field }, optionally only items inside a scope
+  // element (page-level sources like JSON-LD are never scoped)
+  // ========================================================================
+  static values(items, spec, scope = null) {
+    return items
+      .filter(item => item.source === spec.source && item.type === spec.itemType)
+      .filter(item => !scope || !item.element || scope.contains(item.element))
+      .map(item => item.fields[spec.field])
+      .filter(value => value !== undefined);
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - VALUE TRANSFORMS
+ * ============================================================================
+ * Cleaning pipelines for scraped values. Each column can carry an ordered
+ * list of transform steps, e.g.
+ *
+ *   [{ type: 'stripCurrency' }, { type: 'parseNumber', locale: 'en-US' }]
+ *
+ * turns "$1,299.00" into the number 1299. Steps run in order on the raw
+ * value from extractElementValue; number and date steps give the column a
+ * type that exporters keep (numbers stay numbers, dates become ISO strings).
+ *
+ * Loaded as a plain script by the popup (and importable by the background
+ * service worker); exposes the global WebScraperTransforms.
+ * ============================================================================
+ */
+
+// Available steps, with the parameters each one takes (in form order)
+const TRANSFORM_TYPES = {
+  trim: { label: 'Trim', params: [] },
+  collapseWhitespace: { label: 'Collapse whitespace', params: [] },
+  regexExtract: {
+    label: 'Regex extract',
+    params: [
+      { name: 'pattern', placeholder: 'Pattern, e.g. ([\\d.]+) out of' },
+      { name: 'group', placeholder: 'Group (default 1, or 0)' },
+      { name: 'flags', placeholder: 'Flags, e.g. i' }
+    ]
+  },
+  regexReplace: {
+    label: 'Regex replace',
+    params: [
+      { name: 'pattern', placeholder: 'Pattern' },
+      { name: 'replacement', placeholder: 'Replacement, e.g. $1' },
+      { name: 'flags', placeholder: 'Flags (default g)' }
+    ]
+  },
+  stripCurrency: { label: 'Strip currency', params: [] },
+  parseNumber: {
+    label: 'Parse number',
+    params: [{ name: 'locale', placeholder: 'Locale, e.g. en-US or de-DE' }]
+  },
+  parseDate: {
+    label: 'Parse date',
+    params: [{ name: 'format', placeholder: 'Format, e.g. DD/MM/YYYY or MMM D, YYYY' }]
+  },
+  changeCase: {
+    label: 'Change case',
+    params: [{ name: 'mode', placeholder: 'upper, lower, title or sentence' }]
+  },
+  prefix: { label: 'Add prefix', params: [{ name: 'text', placeholder: 'Prefix text' }] },
+  suffix: { label: 'Add suffix', params: [{ name: 'text', placeholder: 'Suffix text' }] },
+  defaultValue: { label: 'Default value', params: [{ name: 'value', placeholder: 'Used when the value is empty' }] }
+};
+
+const TRANSFORM_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+class WebScraperTransforms {
+  // ========================================================================
+  // PIPELINE
+  // ========================================================================
+
+  /**
+   * Run a value through a column's transform steps
+   * @param {*} value - Raw scraped value
+   * @param {Array<Object>} transforms - Steps, each { type, ...params }
+   * @returns {*} Transformed value
+   */
+  static apply(value, transforms) {
+    if (!Array.isArray(transforms) || transforms.length === 0) return value;
+
+    return transforms.reduce((current, step) => {
+      try {
+        return this.applyStep(current, step);
+      } catch (error) {
+        // A broken step (e.g. an invalid regex) leaves the value unchanged
+        console.warn(`Transform "${step.type}" failed:`, error.message);
+        return current;
+      }
+    }, value);
+  }
+
+  /**
+   * Apply every column's pipeline to scraped rows
+   * @param {Array<Object>} data - Rows keyed by column name
+   * @param {Array<Object>} columns - Column configs with columnName and transforms
+   * @returns {Array<Object>} New rows with transformed values
+   */
+  static applyToRows(data, columns) {
+    const pipelines = columns.filter(column => Array.isArray(column.transforms) && column.transforms.length > 0);
+    if (pipelines.length === 0) return data;
+
+    return data.map(row => {
+      const transformed = { ...row };
+      pipelines.forEach(column => {
+        transformed[column.columnName] = this.apply(row[column.columnName] ?? '', column.transforms);
+      });
+      return transformed;
+    });
+  }
+
+  /**
+   * Apply a single step
+   * @param {*} value - Current value
+   * @param {Object} step - { type, ...params }
+   * @returns {*} New value
+   */
+  static applyStep(value, step) {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    switch (step.type) {
+      case 'trim':
+        return typeof value === 'string' ? value.trim() : value;
+
+      case 'collapseWhitespace':
+        return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value;
+
+      case 'regexExtract': {
+        const match = new RegExp(step.pattern, step.flags || '').exec(text);
+        if (!match) return '';
+        const group = step.group === undefined || step.group === ''
+          ? (match.length > 1 ? 1 : 0)
+          : parseInt(step.group, 10);
+        return match[group] ?? '';
+      }
+
+      case 'regexReplace':
+        return text.replace(new RegExp(step.pattern, step.flags || 'g'), step.replacement || '');
+
+      case 'stripCurrency':
+        if (typeof value !== 'string') return value;
+        return value
+          .replace(/\p{Sc}/gu, '')                      // Currency symbols: $ € £ ¥ ₹ ...
+          .replace(/^\s*[A-Z]{3}(?=[\s\d-])|(?<=[\d\s])[A-Z]{3}\s*$/g, '')  // ISO codes: USD 5, 5 EUR
+          .trim();
+
+      case 'parseNumber':
+        return this.parseNumber(value, step.locale);
+
+      case 'parseDate':
+        return this.parseDate(text, step.format);
+
+      case 'changeCase':
+        return this.changeCase(text, step.mode);
+
+      case 'prefix':
+        return text === '' ? value : `${step.text || ''}${text}`;
+
+      case 'suffix':
+        return text === '' ? value : `${text}${step.text || ''}`;
+
+      case 'defaultValue':
+        return text.trim() === '' ? (step.value ?? '') : value;
+
+      default:
+        throw new Error(`Unknown transform: ${step.type}`);
+    }
+  }
+
+  // ========================================================================
+  // NUMBERS
+  // ========================================================================
+
+  /**
+   * Parse the first number in a string using a locale's separators
+   * @param {*} value - Value such as "$1,299.00" or "1.299,00 €"
+   * @param {string} locale - BCP 47 locale; defaults to en-US
+   * @returns {number|string} Number, or '' if none was found
+   */
+  static parseNumber(value, locale) {
+    if (typeof value === 'number') return value;
+
+    let group = ',';
+    let decimal = '.';
+    try {
+      const parts = new Intl.NumberFormat(locale || 'en-US').formatToParts(12345.6);
+      group = parts.find(part => part.type === 'group')?.value ?? group;
+      decimal = parts.find(part => part.type === 'decimal')?.value ?? decimal;
+    } catch (error) {
+      console.warn('Unknown locale for number parsing:', locale);
+    }
+
+    const escape = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const normalized = String(value ?? '')
+      .replace(/[\s  ']/g, '')                 // Spaces and apostrophes are group marks too
+      .replace(new RegExp(escape(group), 'g'), '')
+      .replace(new RegExp(escape(decimal), 'g'), '.')
+      .replace(/[−–]/g, '-');                  // Typographic minus signs
+
+    const match = normalized.match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : '';
+  }
+
+  // ========================================================================
+  // DATES
+  // ========================================================================
+
+  /**
+   * Parse a date with a format made of the tokens YYYY YY MMMM MMM MM M DD D
+   * HH H mm ss A (anything else is literal). Without a format the browser's
+   * own Date parsing is used, except for ISO dates (YYYY-MM-DD), which it
+   * would read as midnight UTC and so as the day before west of UTC.
+   * @param {string} text - Date text
+   * @param {string} format - Format, e.g. "DD/MM/YYYY"
+   * @returns {string} ISO date (YYYY-MM-DD, or YYYY-MM-DDTHH:mm:ss with a
+   *   time), or '' if the text doesn't match
+   */
+  static parseDate(text, format) {
+    const input = text.trim();
+    if (!input) return '';
+
+    if (!format) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(input)) return this.parseDate(input, 'YYYY-MM-DD');
+
+      const date = new Date(input);
+      if (isNaN(date)) return '';
+      // Only text that holds a time of day gets one
+      const hasTime = /\d:\d{2}/.test(input);
+      return this.formatIsoDate(date.getFullYear(), date.getMonth() + 1, date.getDate(),
+        hasTime ? [date.getHours(), date.getMinutes(), date.getSeconds()] : null);
+    }
+
+    const tokenPatterns = {
+      YYYY: '(\\d{4})', YY: '(\\d{2})',
+      MMMM: '([A-Za-z]+)', MMM: '([A-Za-z]{3})\\.?', MM: '(\\d{2})', M: '(\\d{1,2})',
+      DD: '(\\d{2})', D: '(\\d{1,2})',
+      HH: '(\\d{2})', H: '(\\d{1,2})', mm: '(\\d{2})', ss: '(\\d{2})', A: '([AaPp][Mm])'
+    };
+    const tokenRegex = /YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss|A/g;
+
+    const tokens = [];
+    let pattern = '';
+    let lastIndex = 0;
+    for (const match of format.matchAll(tokenRegex)) {
+      pattern += format.slice(lastIndex, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      pattern += tokenPatterns[match[0]];
+      tokens.push(match[0]);
+      lastIndex = match.index + match[0].length;
+    }
+    pattern += format.slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const match = new RegExp(pattern).exec(input);
+    if (!match) return '';
+
+    const parts = { year: null, month: null, day: 1, hour: null, minute: 0, second: 0, meridiem: null };
+    tokens.forEach((token, index) => {
+      const raw = match[index + 1];
+      switch (token) {
+        case 'YYYY': parts.year = parseInt(raw, 10); break;
+        case 'YY': parts.year = 2000 + parseInt(raw, 10); break;
+        case 'MMMM':
+        case 'MMM': parts.month = TRANSFORM_MONTHS.indexOf(raw.substring(0, 3).toLowerCase()) + 1; break;
+        case 'MM':
+        case 'M': parts.month = parseInt(raw, 10); break;
+        case 'DD':
+        case 'D': parts.day = parseInt(raw, 10); break;
+        case 'HH':
+        case 'H': parts.hour = parseInt(raw, 10); break;
+        case 'mm': parts.minute = parseInt(raw, 10); break;
+        case 'ss': parts.second = parseInt(raw, 10); break;
+        case 'A': parts.meridiem = raw.toLowerCase(); break;
+      }
+    });
+
+    if (!parts.year || !parts.month || parts.month > 12 || parts.day < 1 || parts.day > 31) return '';
+
+    if (parts.hour !== null && parts.meridiem) {
+      parts.hour = (parts.hour % 12) + (parts.meridiem === 'pm' ? 12 : 0);
+    }
+
+    return this.formatIsoDate(parts.year, parts.month, parts.day,
+      parts.hour !== null ? [parts.hour, parts.minute, parts.second] : null);
+  }
+
+  /**
+   * Format date parts as an ISO string
+   * @param {number} year - Full year
+   * @param {number} month - Month 1-12
+   * @param {number} day - Day of month
+   * @param {Array<number>|null} time - [hours, minutes, seconds] or null
+   * @returns {string} ISO date or date-time
+   */
+  static formatIsoDate(year, month, day, time) {
+    const pad = number => String(number).padStart(2, '0');
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    return time ? `${date}T${time.map(pad).join(':')}` : date;
+  }
+
+  // ========================================================================
+  // TEXT
+  // ========================================================================
+
+  /**
+   * Change letter case
+   * @param {string} text - Text to change
+   * @param {string} mode - 'upper', 'lower', 'title' or 'sentence'
+   * @returns {string} Changed text
+   */
+  static changeCase(text, mode) {
+    switch ((mode || '').toLowerCase()) {
+      case 'upper':
+        return text.toUpperCase();
+      case 'lower':
+        return text.toLowerCase();
+      case 'title':
+        return text.toLowerCase().replace(/(^|[\s\-/(])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+      case 'sentence':
+        return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+      default:
+        return text;
+    }
+  }
+
+  // ========================================================================
+  // VALIDATION
+  // ========================================================================
+
+  /**
+   * Check a pipeline before saving or importing it
+   * @param {Array<Object>} transforms - Steps to check
+   * @param {string} path - Path used in error messages
+   * @returns {Array<string>} Error messages; empty when valid
+   */
+  static validate(transforms, path = 'transforms') {
+    if (!Array.isArray(transforms)) return [`${path}: must be an array`];
+
+    const errors = [];
+    transforms.forEach((step, index) => {
+      const stepPath = `${path}[${index}]`;
+      if (!step || typeof step !== 'object' || !TRANSFORM_TYPES[step.type]) {
+        errors.push(`${stepPath}.type: must be one of ${Object.keys(TRANSFORM_TYPES).join(', ')}`);
+        return;
+      }
+
+      if (step.type === 'regexExtract' || step.type === 'regexReplace') {
+        if (typeof step.pattern !== 'string' || step.pattern === '') {
+          errors.push(`${stepPath}.pattern: required for ${step.type}`);
+        } else {
+          try {
+            new RegExp(step.pattern, step.flags || '');
+          } catch (error) {
+            errors.push(`${stepPath}.pattern: ${error.message}`);
+          }
+        }
+      }
+
+      if (step.type === 'changeCase' && !['upper', 'lower', 'title', 'sentence'].includes(step.mode)) {
+        errors.push(`${stepPath}.mode: must be upper, lower, title or sentence`);
+      }
+    });
+
+    return errors;
+  }
+}
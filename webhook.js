@@ -0,0 +1,274 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - WEBHOOK DELIVERY
+ * ============================================================================
+ * POSTs scraped rows to an HTTP endpoint configured per recipe:
+ * - JSON (an array of row objects) or NDJSON (one row object per line)
+ * - Custom headers, e.g. Authorization
+ * - Batching by row count; each batch is one request
+ * - Retries with exponential backoff on network errors, HTTP 429 and 5xx
+ * - A delivery log in chrome.storage.local ('webhookLog', newest first)
+ *
+ * Every request also carries X-Scraper-Batch ("2/5") and X-Scraper-Recipe
+ * headers so the receiver can put batches back together.
+ *
+ * Loaded as a plain script by the popup and imported by the background
+ * service worker, which does the actual delivery; exposes the global
+ * WebScraperWebhook.
+ * ============================================================================
+ */
+
+// Body formats an endpoint can receive
+const WEBHOOK_FORMATS = {
+  json: { label: 'JSON array', contentType: 'application/json' },
+  ndjson: { label: 'NDJSON (one row per line)', contentType: 'application/x-ndjson' }
+};
+
+// Time limit for a single request
+const WEBHOOK_REQUEST_TIMEOUT = 30000;
+
+// Deliveries kept in the log
+const WEBHOOK_LOG_LIMIT = 50;
+
+class WebScraperWebhook {
+  // ========================================================================
+  // SETTINGS
+  // ========================================================================
+
+  /**
+   * Settings used when a recipe has none
+   * @returns {Object} { enabled, url, format, headers, batchSize, retries, backoff, onSchedule }
+   */
+  static defaults() {
+    return {
+      enabled: false,
+      url: '',
+      format: 'json',
+      headers: {},
+      batchSize: 0,               // 0 = all rows in one request
+      retries: 3,
+      backoff: 1000,              // ms before the first retry; doubles each time
+      onSchedule: true            // Also deliver the rows of scheduled runs
+    };
+  }
+
+  /**
+   * Check settings before delivering
+   * @param {Object} settings - Webhook settings
+   * @returns {Array<string>} Error messages; empty when valid
+   */
+  static validate(settings) {
+    const errors = [];
+
+    if (!/^https?:\/\/[^\s/]+/i.test(settings.url || '')) {
+      errors.push('The endpoint URL must start with http:// or https://');
+    }
+    if (!WEBHOOK_FORMATS[settings.format]) {
+      errors.push(`Format must be one of ${Object.keys(WEBHOOK_FORMATS).join(', ')}`);
+    }
+    if (!settings.headers || typeof settings.headers !== 'object' || Array.isArray(settings.headers) ||
+        Object.values(settings.headers).some(value => typeof value !== 'string')) {
+      errors.push('Headers must map header names to text values');
+    }
+    if (!Number.isInteger(settings.batchSize) || settings.batchSize < 0) {
+      errors.push('Batch size must be 0 (all rows) or a positive whole number');
+    }
+    if (!Number.isInteger(settings.retries) || settings.retries < 0) {
+      errors.push('Retries must be 0 or a positive whole number');
+    }
+    if (typeof settings.backoff !== 'number' || settings.backoff < 0) {
+      errors.push('Backoff must be 0 or more milliseconds');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse "Name: value" lines into a header object; blank lines are skipped
+   * @param {string} text - One header per line
+   * @returns {Object} Header name -> value
+   * @throws {Error} For a line without a colon
+   */
+  static parseHeaders(text) {
+    const headers = {};
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+
+      const colon = line.indexOf(':');
+      if (colon <= 0) {
+        throw new Error(`Header line ${index + 1} must look like "Name: value"`);
+      }
+      headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+    });
+
+    return headers;
+  }
+
+  /**
+   * Header object back to "Name: value" lines
+   * @param {Object} headers - Header name -> value
+   * @returns {string} Text for the headers field
+   */
+  static formatHeaders(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+  }
+
+  // ========================================================================
+  // DELIVERY
+  // ========================================================================
+
+  /**
+   * POST rows to the endpoint in batches. A batch that still fails after its
+   * retries stops the delivery; batches already sent are not sent again.
+   * @param {Array} rows - Rows to send (column transforms already applied)
+   * @param {Object} settings - Webhook settings
+   * @param {Object} context - { source: 'manual' | 'schedule', recipeName }
+   * @returns {Promise<Object>} Log entry { id, time, url, source, recipeName, rows,
+   *   batches, delivered, attempts, status, httpStatus, error }
+   */
+  static async deliver(rows, settings, context = {}) {
+    const batches = this.buildBatches(rows, settings.batchSize);
+    const entry = {
+      id: `${Date.now().toString()}-${Math.random().toString(36).slice(2, 8)}`,
+      time: new Date().toISOString(),
+      url: settings.url,
+      source: context.source || 'manual',
+      recipeName: context.recipeName || '',
+      rows: rows.length,
+      batches: batches.length,
+      delivered: 0,               // Batches accepted by the endpoint
+      attempts: 0,                // Requests made, including retries
+      status: 'success',
+      httpStatus: null,
+      error: null
+    };
+
+    for (let index = 0; index < batches.length; index++) {
+      const result = await this.sendBatch(batches[index], settings, {
+        ...context,
+        batch: `${index + 1}/${batches.length}`
+      });
+
+      entry.attempts += result.attempts;
+      entry.httpStatus = result.httpStatus;
+
+      if (result.error) {
+        entry.status = entry.delivered > 0 ? 'partial' : 'error';
+        entry.error = `Batch ${index + 1}: ${result.error}`;
+        break;
+      }
+      entry.delivered++;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Split rows into batches of at most batchSize rows (0 = one batch)
+   * @param {Array} rows - Rows
+   * @param {number} batchSize - Rows per batch
+   * @returns {Array<Array>} Batches; one empty batch when there are no rows
+   */
+  static buildBatches(rows, batchSize) {
+    if (!batchSize || rows.length <= batchSize) return [rows];
+
+    const batches = [];
+    for (let i = 0; i < rows.length; i += batchSize) {
+      batches.push(rows.slice(i, i + batchSize));
+    }
+    return batches;
+  }
+
+  /**
+   * Request body for a batch
+   * @param {Array} rows - Rows of the batch
+   * @param {string} format - 'json' or 'ndjson'
+   * @returns {string} Body
+   */
+  static encode(rows, format) {
+    if (format === 'ndjson') {
+      return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+    }
+    return JSON.stringify(rows);
+  }
+
+  /**
+   * Send one batch, retrying with exponential backoff when it may succeed later
+   * @param {Array} rows - Rows of the batch
+   * @param {Object} settings - Webhook settings
+   * @param {Object} context - { recipeName, batch }
+   * @returns {Promise<Object>} { attempts, httpStatus, error }
+   */
+  static async sendBatch(rows, settings, context) {
+    const body = this.encode(rows, settings.format);
+    const headers = {
+      'Content-Type': WEBHOOK_FORMATS[settings.format].contentType,
+      'X-Scraper-Batch': context.batch,
+      'X-Scraper-Recipe': encodeURIComponent(context.recipeName || ''),
+      ...settings.headers
+    };
+
+    let attempts = 0;
+    let httpStatus = null;
+    let error = null;
+
+    while (attempts <= settings.retries) {
+      if (attempts > 0) {
+        await new Promise(resolve => setTimeout(resolve, settings.backoff * 2 ** (attempts - 1)));
+      }
+      attempts++;
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_REQUEST_TIMEOUT);
+
+      try {
+        const response = await fetch(settings.url, {
+          method: 'POST',
+          headers: headers,
+          body: body,
+          signal: controller.signal
+        });
+        httpStatus = response.status;
+
+        if (response.ok) {
+          return { attempts, httpStatus, error: null };
+        }
+
+        error = `HTTP ${response.status} ${response.statusText}`.trim();
+        // Other client errors won't go away by retrying
+        if (response.status < 500 && response.status !== 429) break;
+      } catch (fetchError) {
+        error = fetchError.name === 'AbortError'
+          ? `No response within ${WEBHOOK_REQUEST_TIMEOUT / 1000}s`
+          : fetchError.message;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    return { attempts, httpStatus, error };
+  }
+
+  // ========================================================================
+  // DELIVERY LOG
+  // ========================================================================
+
+  /**
+   * Load the delivery log, newest first
+   * @returns {Promise<Array>} Log entries
+   */
+  static async loadLog() {
+    const result = await chrome.storage.local.get(['webhookLog']);
+    return Array.isArray(result.webhookLog) ? result.webhookLog : [];
+  }
+
+  /**
+   * Add an entry to the delivery log, dropping the oldest beyond the limit
+   * @param {Object} entry - Result of deliver
+   */
+  static async appendLog(entry) {
+    const log = await this.loadLog();
+    await chrome.storage.local.set({ webhookLog: [entry, ...log].slice(0, WEBHOOK_LOG_LIMIT) });
+  }
+}
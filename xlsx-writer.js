@@ -0,0 +1,432 @@
+/**
+ * ============================================================================
+ * UNIVERSAL WEB SCRAPER - XLSX WRITER
+ * ============================================================================
+ * Writes genuine Office Open XML workbooks (.xlsx) without any library or
+ * network access: the worksheet XML parts are generated here and packed
+ * into a zip archive by a minimal "stored" (uncompressed) zip writer.
+ *
+ * Features:
+ * - Bold header row, frozen so it stays visible while scrolling
+ * - Column widths sized to the content
+ * - Typed cells: numbers, dates, booleans, hyperlinks and text
+ *
+ * Loaded as a plain script by the popup; exposes the global XlsxWriter.
+ * ============================================================================
+ */
+
+// Cell style indexes, matching the cellXfs order in buildStyles()
+const XLSX_STYLE_HEADER = 1;
+const XLSX_STYLE_DATE = 2;
+const XLSX_STYLE_DATETIME = 3;
+const XLSX_STYLE_HYPERLINK = 4;
+
+// Excel refuses files with more hyperlinks than this on one sheet
+const XLSX_MAX_HYPERLINKS = 65530;
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+class XlsxWriter {
+  // ========================================================================
+  // WORKBOOK
+  // ========================================================================
+
+  /**
+   * Build a single-sheet workbook
+   * @param {Array<string>} headers - Column names, written as the header row
+   * @param {Array<Array>} rows - Cell values per row, in header order
+   * @param {string} sheetName - Worksheet name
+   * @returns {Blob} .xlsx file
+   */
+  static createWorkbook(headers, rows, sheetName = 'Scraped Data') {
+    const hyperlinks = [];
+    const sheetXml = this.buildSheet(headers, rows, hyperlinks);
+
+    const files = [
+      { name: '[Content_Types].xml', content: this.buildContentTypes() },
+      { name: '_rels/.rels', content: this.buildRootRels() },
+      { name: 'xl/workbook.xml', content: this.buildWorkbook(sheetName) },
+      { name: 'xl/_rels/workbook.xml.rels', content: this.buildWorkbookRels() },
+      { name: 'xl/styles.xml', content: this.buildStyles() },
+      { name: 'xl/worksheets/sheet1.xml', content: sheetXml }
+    ];
+
+    if (hyperlinks.length > 0) {
+      files.push({ name: 'xl/worksheets/_rels/sheet1.xml.rels', content: this.buildSheetRels(hyperlinks) });
+    }
+
+    return new Blob([this.createZip(files)], { type: XLSX_MIME_TYPE });
+  }
+
+  // ========================================================================
+  // CELL TYPING
+  // ========================================================================
+
+  /**
+   * Work out how a value should be stored in a cell
+   * @param {*} value - Scraped value
+   * @returns {Object} { kind: 'empty'|'number'|'boolean'|'date'|'datetime'|'link'|'text', value }
+   */
+  static classifyValue(value) {
+    if (value === null || value === undefined || value === '') {
+      return { kind: 'empty' };
+    }
+
+    if (typeof value === 'boolean') {
+      return { kind: 'boolean', value: value };
+    }
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? { kind: 'number', value: value } : { kind: 'text', value: String(value) };
+    }
+
+    if (value instanceof Date && !isNaN(value)) {
+      return { kind: 'datetime', value: this.toExcelDate(value, false) };
+    }
+
+    const text = String(value).trim();
+
+    // Plain decimal numbers; leading zeros (IDs, zip codes) stay text
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text) && text.length <= 15) {
+      return { kind: 'number', value: Number(text) };
+    }
+
+    // ISO dates and date-times
+    const dateMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (dateMatch) {
+      const hasTime = dateMatch[4] !== undefined;
+      const date = hasTime ? new Date(text.replace(' ', 'T')) : new Date(Date.UTC(dateMatch[1], dateMatch[2] - 1, dateMatch[3]));
+      if (!isNaN(date)) {
+        return hasTime
+          ? { kind: 'datetime', value: this.toExcelDate(date, false) }
+          : { kind: 'date', value: this.toExcelDate(date, true) };
+      }
+    }
+
+    if (/^https?:\/\/\S+$/i.test(text)) {
+      return { kind: 'link', value: text };
+    }
+
+    return { kind: 'text', value: String(value) };
+  }
+
+  /**
+   * Convert a date to an Excel serial number (days since 1899-12-30)
+   * @param {Date} date - Date to convert
+   * @param {boolean} utc - Use the UTC calendar date (date-only values)
+   *   instead of the local wall-clock time
+   * @returns {number} Serial date
+   */
+  static toExcelDate(date, utc) {
+    const wallClock = utc ? date.getTime() : date.getTime() - date.getTimezoneOffset() * 60000;
+    return (wallClock - Date.UTC(1899, 11, 30)) / 86400000;
+  }
+
+  // ========================================================================
+  // WORKSHEET
+  // ========================================================================
+
+  /**
+   * Build the worksheet XML
+   * @param {Array<string>} headers - Column names
+   * @param {Array<Array>} rows - Cell values
+   * @param {Array} hyperlinks - Collects { ref, target } for the sheet rels
+   * @returns {string} sheet1.xml
+   */
+  static buildSheet(headers, rows, hyperlinks) {
+    const widths = headers.map(header => String(header).length);
+    const sheetRows = [];
+
+    // Header row
+    sheetRows.push(`<row r="1">${headers.map((header, col) =>
+      `<c r="${this.cellRef(col, 0)}" s="${XLSX_STYLE_HEADER}" t="inlineStr"><is><t>${this.escapeXml(header)}</t></is></c>`
+    ).join('')}</row>`);
+
+    rows.forEach((row, rowIndex) => {
+      const cells = headers.map((header, col) => {
+        const ref = this.cellRef(col, rowIndex + 1);
+        const cell = this.classifyValue(row[col]);
+
+        switch (cell.kind) {
+          case 'empty':
+            return '';
+          case 'number':
+            widths[col] = Math.max(widths[col], String(cell.value).length);
+            return `<c r="${ref}"><v>${cell.value}</v></c>`;
+          case 'boolean':
+            widths[col] = Math.max(widths[col], 5);
+            return `<c r="${ref}" t="b"><v>${cell.value ? 1 : 0}</v></c>`;
+          case 'date':
+            widths[col] = Math.max(widths[col], 10);
+            return `<c r="${ref}" s="${XLSX_STYLE_DATE}"><v>${cell.value}</v></c>`;
+          case 'datetime':
+            widths[col] = Math.max(widths[col], 19);
+            return `<c r="${ref}" s="${XLSX_STYLE_DATETIME}"><v>${cell.value}</v></c>`;
+          case 'link':
+            widths[col] = Math.max(widths[col], cell.value.length);
+            if (hyperlinks.length < XLSX_MAX_HYPERLINKS) {
+              hyperlinks.push({ ref: ref, target: cell.value });
+              return `<c r="${ref}" s="${XLSX_STYLE_HYPERLINK}" t="inlineStr"><is><t>${this.escapeXml(cell.value)}</t></is></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t>${this.escapeXml(cell.value)}</t></is></c>`;
+          default: {
+            // Longest line decides the width of multi-line text
+            const longestLine = Math.max(...cell.value.split('\n').map(line => line.length));
+            widths[col] = Math.max(widths[col], longestLine);
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(cell.value)}</t></is></c>`;
+          }
+        }
+      }).join('');
+
+      sheetRows.push(`<row r="${rowIndex + 2}">${cells}</row>`);
+    });
+
+    const cols = widths.map((width, col) =>
+      `<col min="${col + 1}" max="${col + 1}" width="${Math.min(60, Math.max(8, width + 2))}" customWidth="1"/>`
+    ).join('');
+
+    const hyperlinksXml = hyperlinks.length > 0
+      ? `<hyperlinks>${hyperlinks.map((link, index) =>
+          `<hyperlink ref="${link.ref}" r:id="rId${index + 1}"/>`
+        ).join('')}</hyperlinks>`
+      : '';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+      '</sheetView></sheetViews>' +
+      '<sheetFormatPr defaultRowHeight="15"/>' +
+      (cols ? `<cols>${cols}</cols>` : '') +
+      `<sheetData>${sheetRows.join('')}</sheetData>` +
+      hyperlinksXml +
+      '</worksheet>';
+  }
+
+  /**
+   * A1-style reference for a zero-based column and row
+   * @param {number} col - Column index
+   * @param {number} row - Row index
+   * @returns {string} Cell reference, e.g. "C7"
+   */
+  static cellRef(col, row) {
+    let letters = '';
+    for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return `${letters}${row + 1}`;
+  }
+
+  /**
+   * Escape text for XML, dropping control characters XML cannot hold
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  static escapeXml(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ========================================================================
+  // PACKAGE PARTS
+  // ========================================================================
+
+  /**
+   * [Content_Types].xml: content type of every part
+   */
+  static buildContentTypes() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>';
+  }
+
+  /**
+   * _rels/.rels: points the package at the workbook
+   */
+  static buildRootRels() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>';
+  }
+
+  /**
+   * xl/workbook.xml: the single worksheet
+   */
+  static buildWorkbook(sheetName) {
+    // Sheet names: max 31 characters, none of : \ / ? * [ ]
+    const safeName = String(sheetName).replace(/[:\\/?*[\]]/g, ' ').trim().substring(0, 31) || 'Sheet1';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${this.escapeXml(safeName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>';
+  }
+
+  /**
+   * xl/_rels/workbook.xml.rels: worksheet and styles parts
+   */
+  static buildWorkbookRels() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>';
+  }
+
+  /**
+   * xl/worksheets/_rels/sheet1.xml.rels: external hyperlink targets
+   */
+  static buildSheetRels(hyperlinks) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      hyperlinks.map((link, index) =>
+        `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" ` +
+        `Target="${this.escapeXml(link.target)}" TargetMode="External"/>`
+      ).join('') +
+      '</Relationships>';
+  }
+
+  /**
+   * xl/styles.xml: cellXfs index 0 is the default, then the XLSX_STYLE_* constants
+   */
+  static buildStyles() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<numFmts count="2">' +
+      '<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>' +
+      '<numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/>' +
+      '</numFmts>' +
+      '<fonts count="3">' +
+      '<font><sz val="11"/><name val="Calibri"/></font>' +
+      '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+      '<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font>' +
+      '</fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="5">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+  }
+
+  // ========================================================================
+  // ZIP PACKAGING
+  // Minimal zip writer using the "stored" method (no compression)
+  // ========================================================================
+
+  /**
+   * Pack files into a zip archive
+   * @param {Array<{name: string, content: string}>} files - Files to pack
+   * @returns {Uint8Array} Zip archive bytes
+   */
+  static createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    // DOS date/time of "now" for all entries
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    files.forEach(file => {
+      const nameBytes = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);       // Local file header signature
+      local.setUint16(4, 20, true);               // Version needed to extract
+      local.setUint16(6, 0x0800, true);           // Flags: UTF-8 names
+      local.setUint16(8, 0, true);                // Method: stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);     // Compressed size
+      local.setUint32(22, data.length, true);     // Uncompressed size
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);               // Extra field length
+      localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);     // Central directory signature
+      central.setUint16(4, 20, true);             // Version made by
+      central.setUint16(6, 20, true);             // Version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);        // Offset of the local header
+      centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);           // End of central directory signature
+    end.setUint16(8, files.length, true);         // Entries on this disk
+    end.setUint16(10, files.length, true);        // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);              // Central directory offset
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      zip.set(part, position);
+      position += part.length;
+    });
+
+    return zip;
+  }
+
+  /**
+   * CRC-32 checksum as used by zip
+   * @param {Uint8Array} data - Bytes to checksum
+   * @returns {number} Unsigned CRC-32
+   */
+  static crc32(data) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+      crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}